@@ -5,20 +5,67 @@ import ZoneButtons from './components/ZoneButtons';
 import HistoryLog from './components/HistoryLog';
 import DownloadResults from './components/DownloadResults';
 import Modal from './components/Modal';
+import AbandonedSessions from './components/AbandonedSessions';
+import ZoneSetManager from './components/ZoneSetManager';
+import FreeThrowPanel from './components/FreeThrowPanel';
+import FreeThrowReview from './components/FreeThrowReview';
+import ShotChart from './components/ShotChart';
+import CourtTracker from './components/CourtTracker';
+import ShooterRotation from './components/ShooterRotation';
+import FailedWrites from './components/FailedWrites';
 import { AppBar, Toolbar, Box, Typography } from '@mui/material';
 import { shootingSessionManager } from './firebase/sessionManager';
+import { generateID } from './firebase/services';
 import { getEasternTimeISO } from './utils/timezone';
 import { addCavsRoster } from './utils/addRoster';
+import { saveActiveSession, loadActiveSession, clearActiveSession } from './utils/sessionPersistence';
+import { zoneRegistry, DEFAULT_ZONE_SET_ID } from './utils/zoneRegistry';
+import { drillTemplateRegistry, DEFAULT_DRILL_TEMPLATE_ID } from './utils/drillTemplates';
+import { guidedProgression } from './utils/guidedProgression';
+import { shotValue } from './utils/shotValue';
+import { shotTags, MISS_DIRECTIONS } from './utils/shotTags';
+import { shotContext, SHOT_CONTEXT_DIMENSIONS, EMPTY_SHOT_CONTEXT } from './utils/shotContext';
+import { shotDistance, DEFAULT_SHOT_DISTANCE } from './utils/shotDistance';
+import { courtLayoutRegistry, isCourtViewSupported } from './utils/courtLayout';
+import { courtProfileRegistry, DEFAULT_COURT_PROFILE_ID } from './utils/courtProfiles';
 
 window.addCavsRoster = addCavsRoster;
 
+// Group sessions: state of a shooter who has not shot yet
+const EMPTY_SHOOTER_STATE = { shots: [], currentFirebaseSession: null, undoStack: [], redoStack: [], selectedZoneIndex: null, coachActions: [] };
+
 // App: Main application component managing all navigation and state - Entry point
 function App() {
   const [shots, setShots] = useState([]);
   const [lastUndoShotTime, setLastUndoShotTime] = useState(null);
+  const [selectedZoneIndex, setSelectedZoneIndex] = useState(null); // Number: zone shown in ZoneButtons (null = zone of the last shot)
+  // Undo/redo stacks of coach commands: { type: 'shot', shot } or { type: 'zoneChange', fromIndex, toIndex }
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
+  const [zoneSetID, setZoneSetID] = useState(DEFAULT_ZONE_SET_ID);   // String: zone set the test is shot with
+  const [zoneSets, setZoneSets] = useState(() => zoneRegistry.getZoneSets()); // Array: built-in and custom zone sets
+  const [drillTemplateID, setDrillTemplateID] = useState(DEFAULT_DRILL_TEMPLATE_ID); // String: drill template chosen in PlayerSelection
+  const [restEndsAt, setRestEndsAt] = useState(null);               // Number: when the current rest period ends (ms timestamp)
+  const [restSecondsLeft, setRestSecondsLeft] = useState(0);        // Number: rest countdown shown in the header
+  const [countdownInterval, setCountdownInterval] = useState(null); // Object: countdown drills only - { index, ended } of the current interval
+  // Guided zone progression: { enabled, attemptsPerZone, randomOrder } (see utils/guidedProgression)
+  const [guidedSettings, setGuidedSettings] = useState(() => guidedProgression.getDefaultSettings(drillTemplateRegistry.getDrillTemplate()));
+  // Shot context stored on every new shot: { shotType, defense } (see utils/shotContext)
+  const [activeShotContext, setActiveShotContext] = useState(() => shotContext.getDefaultContext(drillTemplateRegistry.getDrillTemplate()));
+  const [reviewContextFilter, setReviewContextFilter] = useState(EMPTY_SHOT_CONTEXT); // Object: context the review and analytics export are limited to
+  const [activeShotDistance, setActiveShotDistance] = useState(DEFAULT_SHOT_DISTANCE); // String: distance behind the line stored on every new shot (see utils/shotDistance)
+  const [shootingView, setShootingView] = useState('zones'); // String: 'zones' (ZoneButtons carousel) or 'court' (CourtTracker, tablets and desktops)
+  const [courtLayouts, setCourtLayouts] = useState(() => courtLayoutRegistry.getLayouts()); // Array: built-in and saved court layouts
+  const [courtProfileID, setCourtProfileID] = useState(() => courtProfileRegistry.getActiveProfileID()); // String: court (line distances) the test is shot on
+  const [courtLayoutID, setCourtLayoutID] = useState(() => courtLayoutRegistry.getActiveLayoutID(courtProfileID)); // String: court layout in use for that court on this device
   
   const [currentPage, setCurrentPage] = useState('home');
   const [selectedPlayer, setSelectedPlayer] = useState(null);
+  // Group sessions: several players rotate through the spots, each with their own shooting log
+  const [groupPlayers, setGroupPlayers] = useState([]); // Array: players of the group in rotation order (empty = one player); selectedPlayer is the active shooter
+  const [groupID, setGroupID] = useState(null);         // String: group ID shared by the shooters' logs once the session starts
+  // Shooters waiting their turn, by player id: { shots, currentFirebaseSession, undoStack, redoStack, selectedZoneIndex }
+  const [groupShooters, setGroupShooters] = useState({});
   
   const [showEndSessionDialog, setShowEndSessionDialog] = useState(false);
   const [showDiscardConfirmDialog, setShowDiscardConfirmDialog] = useState(false);
@@ -46,11 +93,70 @@ function App() {
   
   const [currentFirebaseSession, setCurrentFirebaseSession] = useState(null);
   const [firebaseSessionError, setFirebaseSessionError] = useState(null);
+  const [pendingWrites, setPendingWrites] = useState(0);           // Number: queued writes not yet synced to Firebase
+  const [failedWrites, setFailedWrites] = useState(0);             // Number: queued writes set aside after a permanent error
 
   const [coachActions, setCoachActions] = useState([]);
+  const [recoverableSession, setRecoverableSession] = useState(() => loadActiveSession()); // Object: session interrupted by a reload, offered on the home page
+
+  // Zone set of the current test (zoneSets state re-renders once custom sets are loaded)
+  const activeZoneSet = zoneSets.find(zoneSet => zoneSet.zoneSetID === zoneSetID) || zoneRegistry.getZoneSet(zoneSetID);
+  // Drill template of the current test and its shot cap for the zones actually used
+  const activeDrillTemplate = drillTemplateRegistry.getDrillTemplate(drillTemplateID);
+  const shotCap = drillTemplateRegistry.getShotCap(activeDrillTemplate, activeZoneSet.zones);
+  // Countdown mode (drill templates with intervalSeconds): one interval per spot
+  const isCountdown = drillTemplateRegistry.isCountdown(activeDrillTemplate);
+  const intervalMs = (activeDrillTemplate.intervalSeconds || 0) * 1000;
+  const intervalCount = drillTemplateRegistry.getIntervalCount(activeDrillTemplate, activeZoneSet.zones);
+  const timeLimitSeconds = drillTemplateRegistry.getTimeLimitSeconds(activeDrillTemplate, activeZoneSet.zones);
+  // Free-throw test: shots are recorded in trips with FreeThrowPanel instead of ZoneButtons
+  const isFreeThrowDrill = drillTemplateRegistry.isFreeThrowDrill(activeDrillTemplate);
+  // Court the test is shot on and its layout in use (courtLayouts state re-renders once saved layouts are loaded)
+  const activeCourtProfile = courtProfileRegistry.getProfile(courtProfileID);
+  const activeCourtLayout = courtLayouts.find(layout => layout.layoutID === courtLayoutID && layout.profileID === courtProfileID) ||
+    courtLayoutRegistry.getBuiltInLayout(courtProfileID);
+  // Court view: tap the spot on the court instead of the zone carousel (screen large enough, zones drawn on the court)
+  const isCourtViewAvailable = !isFreeThrowDrill && isCourtViewSupported(windowDimensions, activeZoneSet.zones, activeCourtLayout);
+  const isGroupSession = groupPlayers.length > 0;
+
+  // State the active shooter leaves behind when the coach switches to another player
+  const getActiveShooterState = () => ({ shots, currentFirebaseSession, undoStack, redoStack, selectedZoneIndex, coachActions });
+
+  // Every shooter of the test with their own shots and log: { player, shots, currentFirebaseSession, ... }
+  // (just the selected player outside group sessions)
+  const getShooters = () => (isGroupSession
+    ? groupPlayers.map(player => (player.id === selectedPlayer?.id
+      ? { player, ...getActiveShooterState() }
+      : { player, ...EMPTY_SHOOTER_STATE, ...groupShooters[player.id] }))
+    : [{ player: selectedPlayer, ...getActiveShooterState() }]);
+
+  // Logs of every shooter: pauses, intervals and the end of the session apply to the whole group
+  const getSessionLogs = () => getShooters().map(shooter => shooter.currentFirebaseSession).filter(Boolean);
+
+  // Drill progress: 'complete' once the drill's shot cap or time limit is reached (by every shooter of a group),
+  // 'intervalDue' when a countdown interval's time is up, 'restOver' when the rest after it is over
+  const getDrillStatus = () => {
+    if (sessionStarted && getShooters().every(shooter => drillTemplateRegistry.isDrillComplete(activeDrillTemplate, shooter.shots, activeZoneSet.zones, elapsedTime))) {
+      return 'complete';
+    }
+    if (sessionStarted && !sessionPaused && countdownInterval && !countdownInterval.ended &&
+      elapsedTime >= (countdownInterval.index + 1) * intervalMs) {
+      return 'intervalDue';
+    }
+    if (countdownInterval?.ended && sessionPaused && restEndsAt && Date.now() >= restEndsAt) {
+      return 'restOver';
+    }
+    return null;
+  };
+  const drillStatus = getDrillStatus();
+  const drillStatusHandlers = React.useRef({});   // Object: drill status → handler of the latest render (see the drill progress effect)
+
+  // Names shown in the end, save and results dialogs
+  const getShooterNames = () => getShooters().map(shooter => shooter.player?.name || 'Unknown Player').join(', ');
 
-  // Function to log coach actions locally
-  const logCoachAction = (actionType, additionalData = {}) => {
+  // Function to log coach actions locally, in the active shooter's list
+  // Group-wide actions (start, pause, intervals, end) also go to every waiting shooter of a group, so each player's audit report has them
+  const logCoachAction = (actionType, additionalData = {}, { groupWide = false } = {}) => {
     const coachAction = {
       actionType,
       timestamp: getEasternTimeISO(),
@@ -59,6 +165,15 @@ function App() {
       ...additionalData
     };
     setCoachActions(prev => [...prev, coachAction]);
+    if (groupWide && isGroupSession) {
+      setGroupShooters(prev => Object.fromEntries(Object.entries(prev).map(([playerKey, shooter]) => {
+        const shooterActions = shooter.coachActions || [];
+        return [playerKey, {
+          ...shooter,
+          coachActions: [...shooterActions, { ...coachAction, sequenceNumber: shooter.shots.length + shooterActions.length + 1 }]
+        }];
+      })));
+    }
   };
 
   // Enhanced device detection using dynamic window dimensions
@@ -121,6 +236,55 @@ function App() {
       }
     };
   }, [handleResize, handleOrientationChange]);
+  // Load coach-defined zone sets into the zone registry
+  React.useEffect(() => {
+    zoneRegistry.loadCustomZoneSets().then(setZoneSets);
+  }, []);
+
+  // Load court layouts saved from the zone editor
+  React.useEffect(() => {
+    courtLayoutRegistry.loadCustomLayouts().then(setCourtLayouts);
+  }, []);
+
+  // Track writes waiting in the offline queue (gym Wi-Fi drops)
+  React.useEffect(() => {
+    return shootingSessionManager.subscribeToPendingWrites((count, lastError, failedCount) => {
+      setPendingWrites(count);
+      setFailedWrites(failedCount);
+    });
+  }, []);
+
+  // Persist the in-progress session on every change so a reload or crash can resume it
+  React.useEffect(() => {
+    if (currentPage !== 'shootingTest' || !sessionStarted || !selectedPlayer) {
+      return;
+    }
+    saveActiveSession({
+      selectedPlayer,
+      shots,
+      coachActions,
+      startTime,
+      totalPausedTime,
+      lastPauseTime,
+      sessionPaused,
+      elapsedTime,
+      currentFirebaseSession,
+      selectedZoneIndex,
+      undoStack,
+      redoStack,
+      zoneSetID,
+      drillTemplateID,
+      courtProfileID,
+      guidedSettings,
+      countdownInterval,
+      shotContext: activeShotContext,
+      shotDistance: activeShotDistance,
+      groupID,
+      groupPlayers,
+      groupShooters
+    });
+  }, [currentPage, sessionStarted, selectedPlayer, shots, coachActions, startTime, totalPausedTime, lastPauseTime, sessionPaused, elapsedTime, currentFirebaseSession, selectedZoneIndex, undoStack, redoStack, zoneSetID, drillTemplateID, courtProfileID, guidedSettings, countdownInterval, activeShotContext, activeShotDistance, groupID, groupPlayers, groupShooters]);
+
   // Timer effect
   React.useEffect(() => {
     let interval = null;
@@ -134,12 +298,28 @@ function App() {
     return () => clearInterval(interval);
   }, [sessionStarted, sessionPaused, startTime, totalPausedTime]);
 
-  // Auto-complete session when 100 shots are reached
+  // Rest countdown: ticks on its own because the session timer stops while a countdown drill rests
+  React.useEffect(() => {
+    if (!restEndsAt) {
+      setRestSecondsLeft(0);
+      return undefined;
+    }
+    const updateRest = () => setRestSecondsLeft(Math.max(0, Math.ceil((restEndsAt - Date.now()) / 1000)));
+    updateRest();
+    const interval = setInterval(updateRest, 1000);
+    return () => clearInterval(interval);
+  }, [restEndsAt]);
+
+  // Countdown mode: move the timer to the interval boundary exactly when its time is up
+  // (the drill progress effect then ends the interval)
   React.useEffect(() => {
-    if (sessionStarted && shots.length === 100) {
-      handleEndSession();
+    if (!sessionStarted || sessionPaused || !startTime || !countdownInterval || countdownInterval.ended) {
+      return undefined;
     }
-  }, [shots.length, sessionStarted]);
+    const boundary = (countdownInterval.index + 1) * intervalMs;
+    const timeout = setTimeout(() => setElapsedTime(boundary), Math.max(0, boundary - (Date.now() - startTime - totalPausedTime)));
+    return () => clearTimeout(timeout);
+  }, [sessionStarted, sessionPaused, startTime, totalPausedTime, countdownInterval, intervalMs]);
 
   const formatTime = (milliseconds) => {
     const totalSeconds = Math.floor(milliseconds / 1000);
@@ -152,6 +332,122 @@ function App() {
     setCurrentPage('playerSelection');
   };
 
+  // Restore a saved session snapshot (crash recovery or an abandoned session) as a paused session
+  const restoreSession = async (saved) => {
+    setRecoverableSession(null);
+    
+    setSelectedPlayer(saved.selectedPlayer);
+    // Snapshots without group state (one player, or an abandoned group log resumed on its own) are one-player sessions
+    setGroupPlayers(saved.groupPlayers ?? []);
+    setGroupID(saved.groupID ?? null);
+    setShots(saved.shots || []);
+    setSelectedZoneIndex(saved.selectedZoneIndex ?? null);
+    setZoneSetID(saved.zoneSetID || saved.currentFirebaseSession?.zoneSetID || DEFAULT_ZONE_SET_ID);
+    const restoredTemplate = drillTemplateRegistry.getDrillTemplate(saved.drillTemplateID || saved.currentFirebaseSession?.drillTemplateID);
+    setDrillTemplateID(restoredTemplate.templateID);
+    // Sessions saved before court profiles existed were shot on the NBA court
+    const restoredProfileID = saved.courtProfileID || saved.currentFirebaseSession?.courtProfileID || DEFAULT_COURT_PROFILE_ID;
+    setCourtProfileID(restoredProfileID);
+    setCourtLayoutID(courtLayoutRegistry.getActiveLayoutID(restoredProfileID));
+    // Sessions saved before guided mode existed were shot with manual zone changes
+    setGuidedSettings(saved.guidedSettings ?? { ...guidedProgression.getDefaultSettings(restoredTemplate), enabled: false });
+    // Snapshots without a shot context (abandoned-session resume) continue with the context of the last shot
+    setActiveShotContext(saved.shotContext ?? saved.shots?.[saved.shots.length - 1]?.context ?? shotContext.getDefaultContext(restoredTemplate));
+    setReviewContextFilter(EMPTY_SHOT_CONTEXT);
+    // Snapshots without a distance continue from the distance of the last shot
+    setActiveShotDistance(saved.shotDistance ?? shotDistance.getDistance(saved.shots?.[saved.shots.length - 1]));
+    setRestEndsAt(null);
+    // Snapshots without interval state (abandoned-session resume) continue the interval the timer is in
+    const restoredZones = zoneRegistry.getZoneSet(saved.zoneSetID || saved.currentFirebaseSession?.zoneSetID).zones;
+    setCountdownInterval(saved.countdownInterval ?? (drillTemplateRegistry.isCountdown(restoredTemplate)
+      ? { index: drillTemplateRegistry.getIntervalIndex(restoredTemplate, restoredZones, saved.elapsedTime), ended: false }
+      : null));
+    // Snapshots saved before the undo stack existed: every shot can still be undone
+    setUndoStack(saved.undoStack ?? (saved.shots || []).map(shot => ({ type: 'shot', shot })));
+    setRedoStack(saved.redoStack ?? []);
+    setStartTime(saved.startTime);
+    setTotalPausedTime(saved.totalPausedTime || 0);
+    setElapsedTime(saved.elapsedTime || 0);
+    setSessionStarted(true);
+    
+    // Resume paused: the time the page was gone counts as paused time,
+    // so the timer continues from where it stopped once the coach presses Resume
+    setSessionPaused(true);
+    setLastPauseTime(saved.sessionPaused && saved.lastPauseTime ? saved.lastPauseTime : saved.savedAt);
+    
+    // Every shooter's coach actions record the recovery (group sessions keep one list per player)
+    const withRecoveredAction = (shooter) => [...(shooter.coachActions || []), {
+      actionType: 'session_recovered',
+      timestamp: getEasternTimeISO(),
+      elapsedTime: saved.elapsedTime || 0,
+      sequenceNumber: (shooter.shots || []).length + (shooter.coachActions || []).length + 1,
+      interruptedAt: new Date(saved.savedAt).toISOString()
+    }];
+    setCoachActions(withRecoveredAction(saved));
+    setGroupShooters(Object.fromEntries(Object.entries(saved.groupShooters ?? {})
+      .map(([playerKey, shooter]) => [playerKey, { ...EMPTY_SHOOTER_STATE, ...shooter, coachActions: withRecoveredAction(shooter) }])));
+    
+    setCurrentFirebaseSession(saved.currentFirebaseSession);
+    setFirebaseSessionError(null);
+    setCurrentPage('shootingTest');
+    
+    // Keep writing to the same shooting logs (the group's waiting shooters too), continuing their sequence numbers
+    const savedLogs = [
+      { session: saved.currentFirebaseSession, sequenceCounter: saved.sequenceCounter },
+      ...Object.values(saved.groupShooters || {}).map(shooter => ({ session: shooter.currentFirebaseSession, sequenceCounter: shooter.sequenceCounter }))
+    ].filter(({ session }) => session);
+    for (const { session, sequenceCounter } of savedLogs) {
+      try {
+        await shootingSessionManager.recoverShootingSession(session, {
+          sequenceCounter,
+          interruptedAt: saved.savedAt,
+          sessionElapsedTime: Math.floor((saved.elapsedTime || 0) / 1000)
+        });
+      } catch (error) {
+        console.error('Error recovering Firebase session:', error);
+        setFirebaseSessionError(`Failed to recover session: ${error.message}`);
+      }
+    }
+  };
+
+  // Restore an interrupted session - Called by HomePage "Resume session" button
+  const handleResumeRecoveredSession = () => {
+    restoreSession(recoverableSession);
+  };
+
+  const handleManageAbandonedSessions = () => {
+    setCurrentPage('abandonedSessions');
+  };
+
+  const handleManageZoneSets = () => {
+    setCurrentPage('zoneSets');
+  };
+
+  // handleCourtLayoutSelected: Puts a court layout in use on this device - Called by the CourtTracker zone editor
+  const handleCourtLayoutSelected = (layoutID) => {
+    courtLayoutRegistry.setActiveLayoutID(courtProfileID, layoutID);
+    setCourtLayoutID(layoutID);
+  };
+
+  // handleCourtProfileSelected: Chooses the court before a test starts (remembered on the device) - Called by the court picker
+  const handleCourtProfileSelected = (profileID) => {
+    courtProfileRegistry.setActiveProfileID(profileID);
+    setCourtProfileID(profileID);
+    setCourtLayoutID(courtLayoutRegistry.getActiveLayoutID(profileID));
+  };
+
+  // handleZoneSetSelected: Chooses the zone set before a test starts - Called by the zone set picker
+  const handleZoneSetSelected = (newZoneSetID) => {
+    setZoneSetID(newZoneSetID);
+    setSelectedZoneIndex(null);
+  };
+
+  // Forget an interrupted session - Called by HomePage "Dismiss" button
+  const handleDismissRecoveredSession = () => {
+    clearActiveSession();
+    setRecoverableSession(null);
+  };
+
   const handleDownloadResults = () => {
     // Navigate to download search interface
     setCurrentPage('downloadResults');
@@ -176,141 +472,171 @@ function App() {
     downloadSessionReport('audit');
   };
 
-  const generateAnalyticsReport = () => {
+  // Countdown interval (1-based) a shot was taken in; empty for drills that count up
+  const getShotInterval = (shot) => (isCountdown
+    ? drillTemplateRegistry.getIntervalIndex(activeDrillTemplate, activeZoneSet.zones, shot.timerValue) + 1
+    : '');
+
+  // Report identifiers of a shooter: their log ID (or a local one) and player ID
+  const getReportIDs = ({ player, currentFirebaseSession: session }) => ({
+    logID: session?.logID || `session_${Date.now()}`,
+    playerID: player?.id || player?.name?.replace(/\s+/g, '_').toLowerCase() || 'unknown_player'
+  });
+
+  // Columns only the audit report has (the analytics report is player shots only)
+  const AUDIT_ONLY_COLUMNS = ['action_type', 'event_type'];
+
+  // Report columns: [header, value of one row record] - every row, header included, is built from this one list,
+  // so a column can never shift. A record is { shot, sequenceNumber } for a player shot or { action, sequenceNumber }
+  // for a coach action; shot-only columns stay empty on coach actions.
+  // Per-session figures (makes per minute, points, miss breakdown) are computed from reportShots.
+  const getReportColumns = (shooter, reportShots) => {
+    const { logID, playerID } = getReportIDs(shooter);
+    const zoneReview = calculateZoneReview(reportShots);
+    const pointsStats = shotValue.calculatePointsStats(reportShots);
+    const missBreakdown = shotTags.getMissDirectionBreakdown(reportShots);
+    const shotColumn = (header, getValue) => [header, ({ shot }) => (shot ? getValue(shot) : '')];
+    const tripColumn = (header, getValue) => shotColumn(header, shot => (shot.trip ? getValue(shot.trip) : ''));   // Free-throw test
+
+    return [
+      ['playerID', () => playerID],
+      ['logID', () => logID],
+      ['action_type', ({ shot }) => (shot ? 'player' : 'coach')],
+      ['event_type', ({ shot, action }) => (shot ? (shot.made ? 'shot_made' : 'shot_missed') : action.actionType)],
+      shotColumn('shot_result', shot => (shot.made ? 'made' : 'missed')),
+      ['shot_zone', ({ shot, action }) => (shot ? shot.location : action.zoneId || '')],   // Coach actions: set for undos
+      ['time_taken', ({ shot, action }) => (shot ? shot.timeTakenForShot || shot.timerValue || 0 : action.elapsedTime || 0)],  // Prefer new timing method
+      ['timestamp', ({ shot, action }) => (shot || action).timestamp],
+      ['sequence_number', ({ sequenceNumber }) => sequenceNumber],
+      ['zone_set', () => zoneSetID],               // Zone IDs are from this set
+      ['court_profile', () => courtProfileID],     // Line distances the zones were shot at
+      ['group_id', () => groupID || ''],           // Group session shared with other players' logs
+      ['interval', ({ shot, action }) => (shot   // Countdown drills; interval_start / interval_end coach actions
+        ? getShotInterval(shot)
+        : (action.intervalIndex !== undefined ? action.intervalIndex + 1 : ''))],
+      shotColumn('zone_makes_per_min', shot => zoneReview[shot.location].makesPerMinute.toFixed(2)),
+      tripColumn('trip_number', trip => trip.tripNumber),
+      tripColumn('trip_size', trip => trip.tripSize),
+      tripColumn('trip_attempt', trip => trip.attempt),
+      tripColumn('after_sprint', trip => (trip.afterSprint ? 'yes' : 'no')),
+      shotColumn('shot_value', shot => shotValue.getShotValue(shot)),
+      shotColumn('points', shot => (shot.made ? shotValue.getShotValue(shot) : 0)),
+      shotColumn('session_points_per_shot', () => pointsStats.pointsPerShot.toFixed(2)),
+      shotColumn('session_efg_pct', () => (pointsStats.effectiveFGPct * 100).toFixed(1)),
+      shotColumn('miss_direction', shot => (shot.made ? '' : (shot.tags?.missDirection || ''))),
+      shotColumn('make_quality', shot => (shot.made ? (shot.tags?.makeQuality || '') : '')),
+      ...MISS_DIRECTIONS.map(({ id }) => shotColumn(`zone_misses_${id}`, shot => missBreakdown[shot.location]?.[id] || 0)),
+      shotColumn('shot_type', shot => shot.context?.shotType || ''),
+      shotColumn('defense', shot => shot.context?.defense || ''),
+      shotColumn('x', shot => shot.coordinates?.x ?? ''),   // Court coordinates (CourtTracker shots)
+      shotColumn('y', shot => shot.coordinates?.y ?? ''),
+      shotColumn('distance', shot => shotDistance.getDistance(shot))   // Behind the line
+    ];
+  };
+
+  // Build a CSV document: the header row, then one row per record
+  const buildCsv = (columns, records) => [
+    columns.map(([header]) => header),
+    ...records.map(record => columns.map(([, getValue]) => getValue(record)))
+  ].map(row => row.join(',')).join('\n');
+
+  const generateAnalyticsReport = (shooter) => {
     // ANALYTICS MODE - Clean shot data only, no coach actions
     // This is what analytics teams want - just the final shots after all undos
-    const logID = currentFirebaseSession?.logID || `session_${Date.now()}`;
-    const playerID = selectedPlayer?.id || selectedPlayer?.name?.replace(/\s+/g, '_').toLowerCase() || 'unknown_player';
-    
-    const csvContent = [
-      // Header row - simplified for analytics
-      ['playerID', 'logID', 'shot_result', 'shot_zone', 'time_taken', 'timestamp', 'sequence_number'],
-      
-      // Only player shots - no coach actions, no action_type column needed
-      ...shots.map((shot, index) => [
-        playerID,
-        logID,
-        shot.made ? 'made' : 'missed', // shot_result
-        shot.location, // shot_zone
-        shot.timeTakenForShot || shot.timerValue || 0, // time_taken (prefer new timing method)
-        shot.timestamp, // timestamp
-        index + 1 // sequence_number
-      ])
-    ];
+    // Limited to the shot context picked in the Session Review (all shots when none is picked)
+    const reportShots = shotContext.filterShots(shooter.shots, reviewContextFilter);
+    const columns = getReportColumns(shooter, reportShots).filter(([header]) => !AUDIT_ONLY_COLUMNS.includes(header));
 
-    return csvContent.map(row => row.join(',')).join('\n');
+    // sequence_number is the shot's position in the whole session
+    return buildCsv(columns, reportShots.map(shot => ({ shot, sequenceNumber: shooter.shots.indexOf(shot) + 1 })));
   };
 
-  const generateSessionReport = () => {
+  const generateSessionReport = (shooter) => {
     // AUDIT MODE - Complete session log with both player actions and coach actions
-    // Generate a unique session ID if we don't have a Firebase session
-    const logID = currentFirebaseSession?.logID || `session_${Date.now()}`;
-    const playerID = selectedPlayer?.id || selectedPlayer?.name?.replace(/\s+/g, '_').toLowerCase() || 'unknown_player';
-    
-    // Create comprehensive CSV with both player actions (shots) and coach actions (session events)
-    const csvContent = [
-      // Header row with enhanced columns to separate player vs coach actions
-      ['playerID', 'logID', 'action_type', 'event_type', 'shot_result', 'shot_zone', 'time_taken', 'timestamp', 'sequence_number'],
-      
-      // Player Actions (Shots) - marked as 'player' action_type
-      ...shots.map((shot, index) => [
-        playerID,
-        logID,
-        'player', // action_type
-        shot.made ? 'shot_made' : 'shot_missed', // event_type
-        shot.made ? 'made' : 'missed', // shot_result (for compatibility)
-        shot.location, // shot_zone
-        shot.timeTakenForShot || shot.timerValue || 0, // time_taken (prefer new timing method)
-        shot.timestamp, // timestamp
-        index + 1 // sequence_number
-      ]),
-      
-      // Coach Actions (Session Events) - marked as 'coach' action_type
-      // Include all tracked coach actions from the session
-      ...coachActions.map((action, index) => [
-        playerID,
-        logID,
-        'coach', // action_type
-        action.actionType, // event_type (e.g., 'shot_undo_left_corner', 'session_pause', etc.)
-        '', // shot_result (N/A for coach actions)
-        action.zoneId || '', // shot_zone (populated for undo actions, empty for session events)
-        action.elapsedTime || 0, // time_taken
-        action.timestamp, // timestamp
-        action.sequenceNumber || (shots.length + index + 1) // sequence_number
-      ]),
-      
-      // Add basic session lifecycle events if not already tracked
-      [
-        playerID,
-        logID,
-        'coach', // action_type
-        'session_start', // event_type
-        '', // shot_result (N/A for coach actions)
-        '', // shot_zone (N/A for coach actions)
-        0, // time_taken (session start)
-        startTime ? new Date(startTime).toISOString() : getEasternTimeISO(), // timestamp
-        0 // sequence_number (session start)
-      ],
-      
-      // Add session end event
-      [
-        playerID,
-        logID,
-        'coach', // action_type
-        'session_end', // event_type
-        '', // shot_result (N/A)
-        '', // shot_zone (N/A)
-        elapsedTime || 0, // time_taken (total session time)
-        getEasternTimeISO(), // timestamp (current time)
-        shots.length + coachActions.length + 1 // sequence_number (after all events)
-      ]
-    ];
-
-    return csvContent.map(row => row.join(',')).join('\n');
+    const { shots: shooterShots, coachActions: shooterActions } = shooter;
+
+    return buildCsv(getReportColumns(shooter, shooterShots), [
+      // Player Actions (Shots)
+      ...shooterShots.map((shot, index) => ({ shot, sequenceNumber: index + 1 })),
+
+      // Coach Actions (Session Events) - all tracked coach actions of this shooter (group-wide ones are in every list)
+      ...shooterActions.map((action, index) => ({ action, sequenceNumber: action.sequenceNumber || (shooterShots.length + index + 1) })),
+
+      // Basic session lifecycle events
+      {
+        action: { actionType: 'session_start', elapsedTime: 0, timestamp: startTime ? new Date(startTime).toISOString() : getEasternTimeISO() },
+        sequenceNumber: 0
+      },
+      {
+        action: { actionType: 'session_end', elapsedTime, timestamp: getEasternTimeISO() },
+        sequenceNumber: shooterShots.length + shooterActions.length + 1   // After all events
+      }
+    ]);
   };
 
+  // Downloads one report per shooter who took shots (a group session gives each player their own file)
   const downloadSessionReport = (mode = 'analytics') => {
-    if (shots.length === 0) {
+    const reportShooters = getShooters().filter(shooter => shooter.shots.length > 0);
+    if (reportShooters.length === 0) {
       alert('No shots taken yet. Cannot generate report.');
       return;
     }
 
     try {
-      let csvContent;
-      let filename;
-      
-      if (mode === 'analytics') {
-        // Clean data for analytics - shots only, no coach actions
-        csvContent = generateAnalyticsReport();
-        filename = `analytics_${selectedPlayer?.name || 'player'}_${getEasternTimeISO().slice(0, 10)}.csv`;
-      } else {
-        // Complete audit trail with coach actions
-        csvContent = generateSessionReport();
-        filename = `session_audit_${selectedPlayer?.name || 'player'}_${getEasternTimeISO().slice(0, 10)}.csv`;
-      }
-      
-      const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-      const link = document.createElement('a');
-      
-      if (link.download !== undefined) {
-        const url = URL.createObjectURL(blob);
-        link.setAttribute('href', url);
-        link.setAttribute('download', filename);
-        link.style.visibility = 'hidden';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-      }
+      reportShooters.forEach(shooter => {
+        let csvContent;
+        let filename;
+        
+        if (mode === 'analytics') {
+          // Clean data for analytics - shots only, no coach actions
+          csvContent = generateAnalyticsReport(shooter);
+          const contextSuffix = shotContext.isSet(reviewContextFilter)
+            ? `_${SHOT_CONTEXT_DIMENSIONS.map(({ key }) => reviewContextFilter[key]).filter(Boolean).join('_')}`
+            : '';
+          filename = `analytics_${shooter.player?.name || 'player'}${contextSuffix}_${getEasternTimeISO().slice(0, 10)}.csv`;
+        } else {
+          // Complete audit trail with coach actions
+          csvContent = generateSessionReport(shooter);
+          filename = `session_audit_${shooter.player?.name || 'player'}_${getEasternTimeISO().slice(0, 10)}.csv`;
+        }
+        
+        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        
+        if (link.download !== undefined) {
+          const url = URL.createObjectURL(blob);
+          link.setAttribute('href', url);
+          link.setAttribute('download', filename);
+          link.style.visibility = 'hidden';
+          document.body.appendChild(link);
+          link.click();
+          document.body.removeChild(link);
+          URL.revokeObjectURL(url);
+        }
+      });
     } catch (error) {
       console.error('Error generating report:', error);
       alert('Failed to generate report. Please try again.');
     }
   };
 
-  const handlePlayerSelected = (playerObject) => {
+  const handlePlayerSelected = (playerObject, templateID = DEFAULT_DRILL_TEMPLATE_ID) => {
     setSelectedPlayer(playerObject); // Now receives full player object
+    setGroupPlayers([]);
+    setGroupID(null);
+    setGroupShooters({});
+    setCoachActions([]);
     setShots([]); // Reset shots for new test
+    resetCommandHistory();
+    // The drill template brings its zone set; the coach can still pick another before starting
+    setDrillTemplateID(templateID);
+    setZoneSetID(drillTemplateRegistry.getDrillTemplate(templateID).zoneSetID);
+    setGuidedSettings(guidedProgression.getDefaultSettings(drillTemplateRegistry.getDrillTemplate(templateID)));
+    setActiveShotContext(shotContext.getDefaultContext(drillTemplateRegistry.getDrillTemplate(templateID)));
+    setReviewContextFilter(EMPTY_SHOT_CONTEXT);
+    setActiveShotDistance(DEFAULT_SHOT_DISTANCE);
+    setRestEndsAt(null);
+    setCountdownInterval(null);
     setSessionStarted(false);
     setStartTime(null);
     setElapsedTime(0);
@@ -321,16 +647,69 @@ function App() {
     setCurrentFirebaseSession(null);
   };
 
+  // handleGroupSelected: Sets up a group session, the first player in the rotation shoots first - Called by PlayerSelection
+  const handleGroupSelected = (players, templateID = DEFAULT_DRILL_TEMPLATE_ID) => {
+    handlePlayerSelected(players[0], templateID);
+    setGroupPlayers(players);
+  };
+
+  // handleSwitchShooter: Makes another player of the group the active shooter - Called by ShooterRotation
+  const handleSwitchShooter = (player) => {
+    if (!isGroupSession || player.id === selectedPlayer?.id) {
+      return;
+    }
+    
+    // Park the active shooter's shots, log, undo history and coach actions; bring back the next shooter's
+    const { [player.id]: nextShooter = EMPTY_SHOOTER_STATE, ...waitingShooters } = groupShooters;
+    setGroupShooters({ ...waitingShooters, [selectedPlayer.id]: getActiveShooterState() });
+    setSelectedPlayer(player);
+    setShots(nextShooter.shots);
+    setCurrentFirebaseSession(nextShooter.currentFirebaseSession);
+    setUndoStack(nextShooter.undoStack);
+    setRedoStack(nextShooter.redoStack);
+    setSelectedZoneIndex(nextShooter.selectedZoneIndex);
+    setCoachActions(nextShooter.coachActions ?? []);
+    setLastUndoShotTime(null);
+    setRestEndsAt(null);
+    
+    // Logged in the incoming shooter's list, numbered after their own shots and actions
+    if (sessionStarted) {
+      const nextActions = nextShooter.coachActions ?? [];
+      logCoachAction('shooter_switch', {
+        playerName: player.name,
+        previousPlayerName: selectedPlayer.name,
+        sequenceNumber: nextShooter.shots.length + nextActions.length + 1
+      });
+    }
+  };
+
   const handleStartSession = async () => {
+    // A new session replaces any interrupted one still stored on the device
+    setRecoverableSession(null);
+    
     try {
       setFirebaseSessionError(null);
       
+      let firebaseSessions = [];
+      
       // Check if this is a guest session - if so, skip Firebase entirely
       if (selectedPlayer?.isGuest) {
         setCurrentFirebaseSession(null);
+      } else if (isGroupSession) {
+        // Group session: one shooting log per player, linked by the group ID
+        const newGroupID = generateID('group');
+        for (const player of groupPlayers) {
+          firebaseSessions.push(await shootingSessionManager.startShootingSession(player.playerID || player.id, { zoneSetID, drillTemplateID, courtProfileID, groupID: newGroupID }));
+        }
+        setGroupID(newGroupID);
+        setCurrentFirebaseSession(firebaseSessions[groupPlayers.findIndex(player => player.id === selectedPlayer.id)]);
+        setGroupShooters(Object.fromEntries(groupPlayers
+          .map((player, index) => [player.id, { ...EMPTY_SHOOTER_STATE, ...groupShooters[player.id], currentFirebaseSession: firebaseSessions[index] }])
+          .filter(([playerKey]) => playerKey !== selectedPlayer.id)));
       } else {
-        // Start Firebase session for regular players only
-        const firebaseSession = await shootingSessionManager.startShootingSession(selectedPlayer.id);
+        // Start Firebase session for regular players only (prefer playerID so no lookup is needed offline)
+        const firebaseSession = await shootingSessionManager.startShootingSession(selectedPlayer.playerID || selectedPlayer.id, { zoneSetID, drillTemplateID, courtProfileID });
+        firebaseSessions = [firebaseSession];
         setCurrentFirebaseSession(firebaseSession);
       }
       
@@ -345,8 +724,20 @@ function App() {
       // Log coach action
       logCoachAction('session_start', { 
         playerName: selectedPlayer?.name,
-        sessionType: selectedPlayer?.isGuest ? 'guest' : 'regular'
-      });
+        sessionType: selectedPlayer?.isGuest ? 'guest' : (isGroupSession ? 'group' : 'regular'),
+        ...(isGroupSession ? { groupPlayerNames: groupPlayers.map(player => player.name) } : {}),
+        zoneSetID,
+        drillTemplateID,
+        courtProfileID,
+        guidedSettings
+      }, { groupWide: true });
+      
+      // Countdown drills start their first interval with the session
+      if (isCountdown) {
+        setCountdownInterval({ index: 0, ended: false });
+        setSelectedZoneIndex(drillTemplateRegistry.getIntervalZoneIndex(0, activeZoneSet.zones));
+        await logIntervalBoundary(firebaseSessions, 'interval_start', 0, 0);
+      }
       
     } catch (error) {
       console.error('Error starting session:', error);
@@ -374,11 +765,22 @@ function App() {
         // Log coach action
         logCoachAction('session_resume', { 
           pauseDuration: pauseDuration 
-        });
+        }, { groupWide: true });
+        
+        // Countdown drills: resuming after an interval ran out starts the next one
+        const nextInterval = countdownInterval?.ended ? countdownInterval.index + 1 : null;
+        if (nextInterval !== null) {
+          setCountdownInterval({ index: nextInterval, ended: false });
+          setSelectedZoneIndex(drillTemplateRegistry.getIntervalZoneIndex(nextInterval, activeZoneSet.zones));
+          setRestEndsAt(null);
+        }
         
-        // Log resume event in Firebase
-        if (currentFirebaseSession) {
-          await shootingSessionManager.resumeSession(currentFirebaseSession, totalPausedTime + pauseDuration);
+        // Log resume event in Firebase (in every log of a group session)
+        for (const session of getSessionLogs()) {
+          await shootingSessionManager.resumeSession(session, totalPausedTime + pauseDuration);
+        }
+        if (nextInterval !== null) {
+          await logIntervalBoundary(getSessionLogs(), 'interval_start', nextInterval, nextInterval * intervalMs);
         }
       } else {
         // Pause - record when we paused
@@ -386,11 +788,11 @@ function App() {
         setLastPauseTime(Date.now());
         
         // Log coach action
-        logCoachAction('session_pause');
+        logCoachAction('session_pause', {}, { groupWide: true });
         
-        // Log pause event in Firebase
-        if (currentFirebaseSession) {
-          await shootingSessionManager.pauseSession(currentFirebaseSession);
+        // Log pause event in Firebase (in every log of a group session)
+        for (const session of getSessionLogs()) {
+          await shootingSessionManager.pauseSession(session);
         }
       }
     } catch (error) {
@@ -399,32 +801,81 @@ function App() {
     }
   };
 
+  // Log a countdown interval boundary as a coach action and a session event in each of the given logs
+  const logIntervalBoundary = async (sessions, eventType, intervalIndex, timerValue) => {
+    const intervalData = {
+      intervalIndex,
+      shotZone: activeZoneSet.zones[drillTemplateRegistry.getIntervalZoneIndex(intervalIndex, activeZoneSet.zones)].id,
+      intervalSeconds: activeDrillTemplate.intervalSeconds
+    };
+    logCoachAction(eventType, { intervalIndex, zoneId: intervalData.shotZone }, { groupWide: true });
+    
+    for (const session of sessions) {
+      try {
+        await shootingSessionManager.recordIntervalBoundary(session, eventType, intervalData, Math.floor(timerValue / 1000));
+      } catch (error) {
+        console.error(`Error recording ${eventType}:`, error);
+        setFirebaseSessionError(`Failed to record interval: ${error.message}`);
+      }
+    }
+  };
+
+  // handleIntervalEnd: Countdown ran out - pause (and rest) until the next interval - Called by the drill progress effect
+  const handleIntervalEnd = async () => {
+    const { index } = countdownInterval;
+    const boundary = (index + 1) * intervalMs;
+    setElapsedTime(boundary);
+    
+    // The last interval ends the drill: the auto-complete effect ends the session, which logs interval_end
+    if (index + 1 >= intervalCount) {
+      return;
+    }
+    
+    setCountdownInterval({ index, ended: true });
+    if (activeDrillTemplate.restSeconds) {
+      setRestEndsAt(Date.now() + activeDrillTemplate.restSeconds * 1000);
+    }
+    await logIntervalBoundary(getSessionLogs(), 'interval_end', index, boundary);
+    await handlePauseSession();
+  };
+
   const handleResetShots = () => {
     setShowResetDialog(true);
   };
 
+  // Final stats of one shooter's log
+  const calculateFinalStats = (sessionShots) => {
+    const totalMade = sessionShots.filter(shot => shot.made).length;
+    return {
+      totalShots: sessionShots.length,
+      totalMade: totalMade,
+      totalMissed: sessionShots.length - totalMade,
+      accuracy: sessionShots.length > 0 ? totalMade / sessionShots.length : 0,
+      ...shotValue.calculatePointsStats(sessionShots)
+    };
+  };
+
   const handleConfirmReset = async () => {
     try {
-      // End Firebase session if active
-      if (currentFirebaseSession) {
-        // Calculate final stats for the session
-        const finalStats = {
-          totalShots: shots.length,
-          totalMade: shots.filter(shot => shot.made).length,
-          totalMissed: shots.filter(shot => !shot.made).length,
-          accuracy: shots.length > 0 ? (shots.filter(shot => shot.made).length / shots.length) : 0
-        };
-        
-        await shootingSessionManager.endShootingSession(currentFirebaseSession, finalStats);
-        setCurrentFirebaseSession(null);
+      // End Firebase sessions if active (every shooter's log in a group session)
+      for (const shooter of getShooters().filter(candidate => candidate.currentFirebaseSession)) {
+        await shootingSessionManager.endShootingSession(shooter.currentFirebaseSession, calculateFinalStats(shooter.shots));
       }
+      setCurrentFirebaseSession(null);
     } catch (error) {
       console.error('Error ending Firebase session:', error);
       setFirebaseSessionError(`Failed to end session: ${error.message}`);
     }
     
-    // Reset all shot data
+    // Reset all shot data (a group keeps its players, their next start opens new logs)
     setShots([]);
+    setGroupShooters({});
+    setCoachActions([]);
+    setGroupID(null);
+    resetCommandHistory();
+    setRestEndsAt(null);
+    setCountdownInterval(null);
+    clearActiveSession();
     
     // Reset session state
     setSessionStarted(false);
@@ -448,16 +899,48 @@ function App() {
     setShowResetDialog(false);
   };
 
-  // handleShot: Records shot data and saves to Firebase - Called by ZoneButtons and CourtTracker
+  // Clear undo/redo history and zone selection for a new or finished test
+  const resetCommandHistory = () => {
+    setUndoStack([]);
+    setRedoStack([]);
+    setSelectedZoneIndex(null);
+  };
+
+  // Shots restored from older snapshots have no shotID; match them by position in the test
+  const isSameShot = (a, b) => (a.shotID
+    ? a.shotID === b.shotID
+    : a.sequenceNumber === b.sequenceNumber && a.timerValue === b.timerValue);
+
+  // Record a new coach command; a new action makes the undone ones unreachable
+  const pushCommand = (command) => {
+    setUndoStack(prev => [...prev, command]);
+    setRedoStack([]);
+  };
+
+  // handleShot: Adds the shot locally and saves it to Firebase - Called by ZoneButtons and CourtTracker
   const handleShot = async (newShot) => {
+    // The ID is assigned here so undo and redo can name this exact shot in Firebase
+    const shot = { ...newShot, shotID: generateID('shot') };
+    setShots(prevShots => [...prevShots, shot]);
+    pushCommand({ type: 'shot', shot });
+    
+    // Finishing a zone block starts the drill's rest period
+    const restSeconds = drillTemplateRegistry.getRestAfterShot(activeDrillTemplate, [...shots, shot], activeZoneSet.zones);
+    setRestEndsAt(restSeconds > 0 ? Date.now() + restSeconds * 1000 : null);
+    
     try {
       // Record shot in Firebase if session is active
       if (currentFirebaseSession) {
         await shootingSessionManager.recordShot(currentFirebaseSession, {
-          location: newShot.location,
-          made: newShot.made,
+          shotID: shot.shotID,
+          location: shot.location,
+          made: shot.made,
           timeTaken: elapsedTime,
-          sequenceNumber: shots.length + 1
+          sequenceNumber: shots.length + 1,
+          trip: shot.trip,
+          context: shot.context,
+          coordinates: shot.coordinates,
+          distance: shot.distance
         });
       }
     } catch (error) {
@@ -465,41 +948,54 @@ function App() {
       setFirebaseSessionError(`Failed to record shot: ${error.message}`);
       // Continue with local shot recording even if Firebase fails
     }
-    
-    // This function can be used for any additional shot processing if needed
-    // The actual shot adding is handled in the individual components
   };
 
-  const handleUndoLastShot = async () => {
-    // Single undo button - undoes the most recent shot regardless of zone
-    if (shots.length === 0) {
+  // handleZoneChange: Switches the shooting zone as an undoable command - Called by ZoneButtons
+  const handleZoneChange = (toIndex, fromIndex) => {
+    if (toIndex === fromIndex) {
+      return;
+    }
+    setSelectedZoneIndex(toIndex);
+    pushCommand({ type: 'zoneChange', fromIndex, toIndex });
+  };
+
+  // handleUndo: Reverts the most recent shot or zone change - Called by the Undo button
+  const handleUndo = async () => {
+    if (undoStack.length === 0) {
+      return;
+    }
+    
+    const command = undoStack[undoStack.length - 1];
+    setUndoStack(undoStack.slice(0, -1));
+    setRedoStack(prev => [...prev, command]);
+    
+    if (command.type === 'zoneChange') {
+      setSelectedZoneIndex(command.fromIndex);
       return;
     }
     
-    const lastShot = shots[shots.length - 1];
-    const previousShotTime = shots.length > 1 ? shots[shots.length - 2].timerValue : 0;
-    const timeTakenForShot = lastShot.timerValue - previousShotTime;
+    const { shot } = command;
+    const shotIndex = shots.findIndex(candidate => isSameShot(candidate, shot));
+    const previousShotTime = shotIndex > 0 ? shots[shotIndex - 1].timerValue : 0;
+    const timeTakenForShot = shot.timerValue - previousShotTime;
     
     // Store the time it took for this shot so we can reuse it
     setLastUndoShotTime(timeTakenForShot);
     
     // Log coach action with the specific zone
-    logCoachAction(`shot_undo_${lastShot.location}`, { 
-      zoneId: lastShot.location,
-      shotResult: lastShot.made ? 'made' : 'missed',
-      originalSequenceNumber: lastShot.sequenceNumber,
+    logCoachAction(`shot_undo_${shot.location}`, { 
+      zoneId: shot.location,
+      shotResult: shot.made ? 'made' : 'missed',
+      originalSequenceNumber: shot.sequenceNumber,
       timeTakenForShot: timeTakenForShot
     });
     
-    // Remove the last shot
-    const newShots = [...shots];
-    newShots.pop();
-    setShots(newShots);
+    setShots(shots.filter((_, index) => index !== shotIndex));
     
     // Attempt Firebase undo
     try {
       if (currentFirebaseSession && sessionStarted) {
-        const undoResult = await shootingSessionManager.undoLastShot(currentFirebaseSession, lastShot.location);
+        await shootingSessionManager.undoShot(currentFirebaseSession, { shotID: shot.shotID, zoneId: shot.location });
       }
     } catch (error) {
       console.error('Error undoing shot in Firebase:', error);
@@ -508,21 +1004,195 @@ function App() {
     }
   };
 
+  // handleRedo: Re-applies the most recently undone shot or zone change - Called by the Redo button
+  const handleRedo = async () => {
+    if (redoStack.length === 0) {
+      return;
+    }
+    
+    const command = redoStack[redoStack.length - 1];
+    setRedoStack(redoStack.slice(0, -1));
+    setUndoStack(prev => [...prev, command]);
+    
+    if (command.type === 'zoneChange') {
+      setSelectedZoneIndex(command.toIndex);
+      return;
+    }
+    
+    // The shot comes back with its original timing; the pending undo time no longer applies
+    const { shot } = command;
+    setLastUndoShotTime(null);
+    setShots(prevShots => [...prevShots, shot]);
+    
+    logCoachAction(`shot_redo_${shot.location}`, {
+      zoneId: shot.location,
+      shotResult: shot.made ? 'made' : 'missed',
+      originalSequenceNumber: shot.sequenceNumber
+    });
+    
+    try {
+      if (currentFirebaseSession && sessionStarted && shot.shotID) {
+        await shootingSessionManager.redoShot(currentFirebaseSession, { shotID: shot.shotID, zoneId: shot.location });
+      }
+    } catch (error) {
+      console.error('Error redoing shot in Firebase:', error);
+      setFirebaseSessionError(`Failed to redo shot in Firebase: ${error.message}`);
+      setTimeout(() => setFirebaseSessionError(null), 5000);
+    }
+  };
+
+  // Replace or drop a shot's commands in the undo/redo stacks after it was corrected
+  const updateShotCommands = (shotToMatch, updatedShot) => {
+    const updateStack = (stack) => stack
+      .filter(command => command.type !== 'shot' || !isSameShot(command.shot, shotToMatch) || updatedShot)
+      .map(command => (command.type === 'shot' && isSameShot(command.shot, shotToMatch) ? { ...command, shot: updatedShot } : command));
+    setUndoStack(updateStack);
+    setRedoStack(updateStack);
+  };
+
+  // handleEditShot: Corrects the zone or result of any shot - Called by HistoryLog shot editor
+  const handleEditShot = async (shotIndex, { location, made }) => {
+    const shot = shots[shotIndex];
+    if (!shot) {
+      return;
+    }
+    
+    const editedShot = { ...shot, location, made };
+    setShots(shots.map((candidate, index) => (index === shotIndex ? editedShot : candidate)));
+    updateShotCommands(shot, editedShot);
+    
+    logCoachAction('shot_edit', {
+      zoneId: location,
+      previousZoneId: shot.location,
+      shotResult: made ? 'made' : 'missed',
+      previousShotResult: shot.made ? 'made' : 'missed',
+      originalSequenceNumber: shot.sequenceNumber
+    });
+    
+    try {
+      if (currentFirebaseSession && shot.shotID) {
+        await shootingSessionManager.editShot(currentFirebaseSession, {
+          shotID: shot.shotID,
+          before: { shotZone: shot.location, shotResult: shot.made ? 'made' : 'missed' },
+          after: { shotZone: location, shotResult: made ? 'made' : 'missed' }
+        });
+      }
+    } catch (error) {
+      console.error('Error editing shot in Firebase:', error);
+      setFirebaseSessionError(`Failed to edit shot in Firebase: ${error.message}`);
+      setTimeout(() => setFirebaseSessionError(null), 5000);
+    }
+  };
+
+  // handleShotContextChange: Sets the context of the next shots - Called by the ShotContextPicker in ZoneButtons and CourtTracker
+  const handleShotContextChange = (context) => {
+    setActiveShotContext(context);
+    if (sessionStarted) {
+      logCoachAction('shot_context_change', { shotType: context.shotType, defense: context.defense });
+    }
+  };
+
+  // handleShotDistanceChange: Sets the distance of the next shots - Called by the ZoneButtons zone display
+  const handleShotDistanceChange = (distance) => {
+    setActiveShotDistance(distance);
+    if (sessionStarted) {
+      logCoachAction('shot_distance_change', { distance });
+    }
+  };
+
+  // handleTagShot: Stores a miss-direction or make-quality tag on a shot - Called by the ZoneButtons quick-tag row
+  const handleTagShot = async (shot, tags) => {
+    const taggedShot = { ...shot, tags };
+    setShots(prevShots => prevShots.map(candidate => (isSameShot(candidate, shot) ? taggedShot : candidate)));
+    updateShotCommands(shot, taggedShot);
+    
+    try {
+      if (currentFirebaseSession && shot.shotID) {
+        await shootingSessionManager.tagShot(currentFirebaseSession, { shotID: shot.shotID, tags });
+      }
+    } catch (error) {
+      console.error('Error tagging shot in Firebase:', error);
+      setFirebaseSessionError(`Failed to tag shot in Firebase: ${error.message}`);
+      setTimeout(() => setFirebaseSessionError(null), 5000);
+    }
+  };
+
+  // handleRemoveShot: Removes one shot without undoing the shots after it - Called by HistoryLog shot editor
+  const handleRemoveShot = async (shotIndex) => {
+    const shot = shots[shotIndex];
+    if (!shot) {
+      return;
+    }
+    
+    setShots(shots.filter((_, index) => index !== shotIndex));
+    updateShotCommands(shot, null);
+    
+    logCoachAction('shot_edit', {
+      zoneId: shot.location,
+      shotResult: shot.made ? 'made' : 'missed',
+      originalSequenceNumber: shot.sequenceNumber,
+      removed: true
+    });
+    
+    try {
+      if (currentFirebaseSession && shot.shotID) {
+        await shootingSessionManager.editShot(currentFirebaseSession, {
+          shotID: shot.shotID,
+          before: { shotZone: shot.location, shotResult: shot.made ? 'made' : 'missed' },
+          after: null
+        });
+      }
+    } catch (error) {
+      console.error('Error removing shot in Firebase:', error);
+      setFirebaseSessionError(`Failed to remove shot in Firebase: ${error.message}`);
+      setTimeout(() => setFirebaseSessionError(null), 5000);
+    }
+  };
+
   const handleBackToHome = () => {
     setCurrentPage('home');
     setSelectedPlayer(null); // Reset to null
+    setGroupPlayers([]);
+    setGroupID(null);
+    setGroupShooters({});
+    setCoachActions([]);
     setShots([]);
+    resetCommandHistory();
+    setRestEndsAt(null);
+    setCountdownInterval(null);
     setSessionStarted(false);
     setStartTime(null);
     setElapsedTime(0);
+    
+    // Session is finished (saved, discarded or exited) - nothing left to recover
+    if (sessionStarted || shots.length > 0) {
+      clearActiveSession();
+    }
   };
 
   const handleExitRequest = () => {
     setShowExitDialog(true);
   };
 
-  const handleConfirmExit = () => {
+  const handleConfirmExit = async () => {
     setShowExitDialog(false);
+    
+    // Record the exit so the unfinished logs are not mistaken for a closed tab
+    if (!selectedPlayer?.isGuest) {
+      for (const shooter of getShooters().filter(candidate => candidate.currentFirebaseSession)) {
+        try {
+          await shootingSessionManager.abandonSession(shooter.currentFirebaseSession, {
+            reason: 'exit',
+            shotsRecorded: shooter.shots.length,
+            sessionElapsedTime: Math.floor(elapsedTime / 1000)
+          });
+        } catch (error) {
+          console.error('Error recording session exit:', error);
+        }
+      }
+      setCurrentFirebaseSession(null);
+    }
+    
     handleBackToHome();
   };
 
@@ -530,22 +1200,27 @@ function App() {
     setShowExitDialog(false);
   };
 
-  // Function to calculate zone review statistics
-  const calculateZoneReview = () => {
-    const zones = {
-      left_corner: { name: 'Left Corner', made: 0, attempts: 0, timeSpent: 0, shots: [] },
-      left_wing: { name: 'Left Wing', made: 0, attempts: 0, timeSpent: 0, shots: [] },
-      top_key: { name: 'Top of Key', made: 0, attempts: 0, timeSpent: 0, shots: [] },
-      right_wing: { name: 'Right Wing', made: 0, attempts: 0, timeSpent: 0, shots: [] },
-      right_corner: { name: 'Right Corner', made: 0, attempts: 0, timeSpent: 0, shots: [] }
-    };
+  // Function to calculate zone review statistics for the session's zone set
+  // calculateZoneReview: Per-zone results of the given shots (all shots, or one shot context)
+  const calculateZoneReview = (reviewShots = shots) => {
+    const zones = Object.fromEntries(activeZoneSet.zones.map(zone => [
+      zone.id,
+      { name: zone.label, made: 0, attempts: 0, points: 0, timeSpent: 0, shots: [] }
+    ]));
 
     // Group shots by zone and collect timestamps
-    shots.forEach((shot, index) => {
+    reviewShots.forEach((shot, index) => {
+      // A shot from a zone outside the set (e.g. a deleted custom zone) still gets a row
+      if (!zones[shot.location]) {
+        zones[shot.location] = { name: zoneRegistry.getZoneLabel(shot.location), made: 0, attempts: 0, points: 0, timeSpent: 0, shots: [] };
+      }
       const zone = zones[shot.location];
       if (zone) {
         zone.attempts++;
-        if (shot.made) zone.made++;
+        if (shot.made) {
+          zone.made++;
+          zone.points += shotValue.getShotValue(shot);
+        }
         zone.shots.push({
           index,
           timerValue: shot.timerValue || 0,
@@ -572,6 +1247,19 @@ function App() {
         }
       }
       zone.percentage = zone.attempts > 0 ? Math.round((zone.made / zone.attempts) * 100) : 0;
+      zone.pointsPerShot = zone.attempts > 0 ? zone.points / zone.attempts : 0;
+      zone.distances = shotDistance.getBreakdown(reviewShots.filter(shot => shot.location === zoneId)); // Zone × distance results
+    });
+
+    // Countdown drills know exactly how long each zone was shot from
+    if (isCountdown) {
+      const zoneSeconds = drillTemplateRegistry.getZoneSeconds(activeDrillTemplate, activeZoneSet.zones, elapsedTime);
+      Object.entries(zoneSeconds).forEach(([zoneId, seconds]) => {
+        zones[zoneId].timeSpent = seconds * 1000;
+      });
+    }
+    Object.values(zones).forEach(zone => {
+      zone.makesPerMinute = zone.timeSpent > 0 ? zone.made / (zone.timeSpent / 60000) : 0;
     });
 
     return zones;
@@ -581,16 +1269,30 @@ function App() {
     // Stop the session and timer immediately when End is pressed
     setSessionStarted(false);
     setSessionPaused(false);
+    setRestEndsAt(null);
+    
+    // Countdown drills: close the running interval (the last one, or one cut short by End)
+    if (countdownInterval && !countdownInterval.ended) {
+      setCountdownInterval({ ...countdownInterval, ended: true });
+      logIntervalBoundary(getSessionLogs(), 'interval_end', countdownInterval.index, Math.min(elapsedTime, (countdownInterval.index + 1) * intervalMs));
+    }
     
     // Log coach action
     logCoachAction('session_end', { 
-      totalShots: shots.length,
+      totalShots: getShooters().reduce((total, shooter) => total + shooter.shots.length, 0),
       sessionDuration: elapsedTime 
-    });
+    }, { groupWide: true });
     
     setShowEndSessionDialog(true);
   };
 
+  // Drill progress: act once on each change - auto-complete the session, end the countdown interval, or start the next one
+  // (the handlers are read from a ref so the effect runs when the status changes, not on every render)
+  drillStatusHandlers.current = { complete: handleEndSession, intervalDue: handleIntervalEnd, restOver: handlePauseSession };
+  React.useEffect(() => {
+    drillStatusHandlers.current[drillStatus]?.();
+  }, [drillStatus]);
+
   const handleSaveResults = () => {
     setShowEndSessionDialog(false);
     
@@ -604,7 +1306,15 @@ function App() {
     // For regular players, show saving dialog and save to Firebase
     setShowSaveDialog(true);
     
-    // Simulate saving process
+    // Close each log with its shooter's final stats (queued, so this also works offline)
+    getShooters().filter(shooter => shooter.currentFirebaseSession).forEach(shooter => {
+      shootingSessionManager.endShootingSession(shooter.currentFirebaseSession, calculateFinalStats(shooter.shots)).catch(error => {
+        console.error('Error ending Firebase session:', error);
+        setFirebaseSessionError(`Failed to end session: ${error.message}`);
+      });
+    });
+    
+    // Show the saving dialog briefly - the end-of-session write is already queued on the device
     setTimeout(() => {
       setShowSaveDialog(false);
       setShowReviewDialog(true); // Show review instead of results
@@ -629,9 +1339,11 @@ function App() {
 
   const handleConfirmDiscard = async () => {
     try {
-      // If there's a Firebase session active, discard it completely
-      if (currentFirebaseSession && !selectedPlayer?.isGuest) {
-        await shootingSessionManager.discardSession(currentFirebaseSession);
+      // If there are Firebase sessions active (one per shooter in a group), discard them completely
+      if (!selectedPlayer?.isGuest) {
+        for (const session of getSessionLogs()) {
+          await shootingSessionManager.discardSession(session);
+        }
       }
       
       // Reset all local state
@@ -661,9 +1373,11 @@ function App() {
 
   const handleDiscardResults = async () => {
     try {
-      // If there's a Firebase session active, discard it completely
-      if (currentFirebaseSession && !selectedPlayer?.isGuest) {
-        await shootingSessionManager.discardSession(currentFirebaseSession);
+      // If there are Firebase sessions active (one per shooter in a group), discard them completely
+      if (!selectedPlayer?.isGuest) {
+        for (const session of getSessionLogs()) {
+          await shootingSessionManager.discardSession(session);
+        }
       }
       
       // Reset all local state
@@ -702,6 +1416,27 @@ function App() {
           <HomePage 
             onStartNewTest={handleStartNewTest}
             onDownloadResults={handleDownloadResults}
+            recoverableSession={recoverableSession}
+            onResumeSession={handleResumeRecoveredSession}
+            onDismissRecoverableSession={handleDismissRecoveredSession}
+            onManageAbandonedSessions={handleManageAbandonedSessions}
+            onManageZoneSets={handleManageZoneSets}
+          />
+        );
+      
+      case 'zoneSets':
+        return (
+          <ZoneSetManager 
+            onBackToHome={handleBackToHomeFromDownload}
+            onZoneSetsChanged={setZoneSets}
+          />
+        );
+      
+      case 'abandonedSessions':
+        return (
+          <AbandonedSessions 
+            onBackToHome={handleBackToHomeFromDownload}
+            onResumeSession={restoreSession}
           />
         );
       
@@ -718,6 +1453,7 @@ function App() {
         return (
           <PlayerSelection 
             onPlayerSelected={handlePlayerSelected}
+            onGroupSelected={handleGroupSelected}
             onBackToHome={handleBackToHome}
           />
         );
@@ -777,23 +1513,38 @@ function App() {
                   fontSize: '1rem',
                   textAlign: 'center'
                 }}>
-                  Shot {shots.length}/100
+                  Shot {shots.length}{shotCap !== null ? `/${shotCap}` : ''}
+                  {isCountdown && countdownInterval && ` · Interval ${countdownInterval.index + 1}/${intervalCount}`}
                 </div>
                 
-                {/* Global Undo Button - Undoes last shot regardless of zone */}
+                {/* Rest cue after a completed zone block */}
+                {sessionStarted && restSecondsLeft > 0 && (
+                  <div style={{
+                    color: '#6F263D',
+                    backgroundColor: '#FFB81C',
+                    fontWeight: 'bold',
+                    fontSize: '0.85rem',
+                    padding: '0.25rem 0.5rem',
+                    borderRadius: '6px'
+                  }}>
+                    Rest {restSecondsLeft}s
+                  </div>
+                )}
+                
+                {/* Global Undo Button - Undoes the last shot or zone change */}
                 <button 
-                  onClick={handleUndoLastShot}
-                  disabled={shots.length === 0}
+                  onClick={handleUndo}
+                  disabled={undoStack.length === 0}
                   style={{
                     padding: '0.5rem 0.75rem',
                     fontSize: '0.85rem',
                     fontWeight: 'bold',
                     border: '2px solid #FFB81C',
                     borderRadius: '6px',
-                    cursor: shots.length === 0 ? 'not-allowed' : 'pointer',
-                    backgroundColor: shots.length === 0 ? '#555' : '#DC3545',
-                    color: shots.length === 0 ? '#888' : '#FFB81C',
-                    opacity: shots.length === 0 ? 0.5 : 1,
+                    cursor: undoStack.length === 0 ? 'not-allowed' : 'pointer',
+                    backgroundColor: undoStack.length === 0 ? '#555' : '#DC3545',
+                    color: undoStack.length === 0 ? '#888' : '#FFB81C',
+                    opacity: undoStack.length === 0 ? 0.5 : 1,
                     minWidth: '80px',
                     minHeight: '36px',
                     display: 'flex',
@@ -805,6 +1556,31 @@ function App() {
                   Undo
                 </button>
                 
+                {/* Redo Button - Re-applies the last undone shot or zone change */}
+                <button 
+                  onClick={handleRedo}
+                  disabled={redoStack.length === 0}
+                  style={{
+                    padding: '0.5rem 0.75rem',
+                    fontSize: '0.85rem',
+                    fontWeight: 'bold',
+                    border: '2px solid #FFB81C',
+                    borderRadius: '6px',
+                    cursor: redoStack.length === 0 ? 'not-allowed' : 'pointer',
+                    backgroundColor: redoStack.length === 0 ? '#555' : '#28a745',
+                    color: redoStack.length === 0 ? '#888' : '#FFB81C',
+                    opacity: redoStack.length === 0 ? 0.5 : 1,
+                    minWidth: '80px',
+                    minHeight: '36px',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    boxSizing: 'border-box'
+                  }}
+                >
+                  Redo
+                </button>
+                
                 <button 
                   onClick={handleResetShots}
                   disabled={shots.length === 0}
@@ -842,9 +1618,123 @@ function App() {
               borderRadius: '6px',
               border: '1px solid #FFB81C'
             }}>
-              Player: {selectedPlayer?.name} {selectedPlayer?.jerseyNumber ? `#${selectedPlayer.jerseyNumber}` : ''}
+              {isGroupSession ? 'Shooter' : 'Player'}: {selectedPlayer?.name} {selectedPlayer?.jerseyNumber ? `#${selectedPlayer.jerseyNumber}` : ''}
+              {isGroupSession && ` (group of ${groupPlayers.length})`}
+              {' - Zones: '}
+              {/* Zone set can only change before the first shot (free throws are always shot from the line) */}
+              {!sessionStarted && shots.length === 0 && !isFreeThrowDrill ? (
+                <select
+                  value={zoneSetID}
+                  onChange={(e) => handleZoneSetSelected(e.target.value)}
+                  style={{
+                    backgroundColor: '#6F263D',
+                    color: '#FFB81C',
+                    border: '1px solid #FFB81C',
+                    borderRadius: '4px',
+                    fontWeight: 'bold',
+                    fontSize: '0.9rem',
+                    padding: '0.1rem 0.25rem'
+                  }}
+                >
+                  {zoneSets.map(zoneSet => (
+                    <option key={zoneSet.zoneSetID} value={zoneSet.zoneSetID}>{zoneSet.name}</option>
+                  ))}
+                </select>
+              ) : (
+                activeZoneSet.name
+              )}
+              {' - Court: '}
+              {/* Court can only change before the first shot: a session's stats belong to one set of line distances */}
+              {!sessionStarted && shots.length === 0 ? (
+                <select
+                  value={courtProfileID}
+                  onChange={(e) => handleCourtProfileSelected(e.target.value)}
+                  style={{
+                    backgroundColor: '#6F263D',
+                    color: '#FFB81C',
+                    border: '1px solid #FFB81C',
+                    borderRadius: '4px',
+                    fontWeight: 'bold',
+                    fontSize: '0.9rem',
+                    padding: '0.1rem 0.25rem'
+                  }}
+                >
+                  {courtProfileRegistry.getProfiles().map(profile => (
+                    <option key={profile.profileID} value={profile.profileID}>{profile.name}</option>
+                  ))}
+                </select>
+              ) : (
+                activeCourtProfile.name
+              )}
+              {` - Drill: ${activeDrillTemplate.name}`}
+              
+              {/* Guided zone progression: can be switched off any time, configured before the first shot */}
+              {!isFreeThrowDrill && (
+                <div style={{
+                  display: 'flex',
+                  justifyContent: 'center',
+                  alignItems: 'center',
+                  flexWrap: 'wrap',
+                  gap: '0.75rem',
+                  fontSize: '0.85rem',
+                  marginTop: '0.25rem'
+                }}>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', cursor: 'pointer' }}>
+                    <input
+                      type="checkbox"
+                      checked={guidedSettings.enabled}
+                      onChange={(e) => setGuidedSettings({ ...guidedSettings, enabled: e.target.checked })}
+                    />
+                    Guided zones
+                  </label>
+                  {guidedSettings.enabled && (!sessionStarted && shots.length === 0 ? (
+                    <>
+                      <label style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+                        Shots per spot
+                        <input
+                          type="number"
+                          min="1"
+                          max="100"
+                          value={guidedSettings.attemptsPerZone}
+                          onChange={(e) => setGuidedSettings({ ...guidedSettings, attemptsPerZone: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                          style={{
+                            width: '3.5rem',
+                            backgroundColor: '#6F263D',
+                            color: '#FFB81C',
+                            border: '1px solid #FFB81C',
+                            borderRadius: '4px',
+                            fontWeight: 'bold',
+                            padding: '0.1rem 0.25rem'
+                          }}
+                        />
+                      </label>
+                      <label style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', cursor: 'pointer' }}>
+                        <input
+                          type="checkbox"
+                          checked={guidedSettings.randomOrder}
+                          onChange={(e) => setGuidedSettings({ ...guidedSettings, randomOrder: e.target.checked })}
+                        />
+                        Random order
+                      </label>
+                    </>
+                  ) : (
+                    <span>
+                      {guidedSettings.attemptsPerZone} per spot{guidedSettings.randomOrder ? ', random order' : guidedSettings.backAndForth ? ', back and forth' : ''}
+                    </span>
+                  ))}
+                </div>
+              )}
             </div>
 
+            {/* Group session: tap a player to record their shots (each keeps their own log and undo history) */}
+            {isGroupSession && (
+              <ShooterRotation
+                shooters={getShooters()}
+                activePlayerID={selectedPlayer?.id}
+                onSwitchShooter={handleSwitchShooter}
+              />
+            )}
+
             {/* Firebase Session Status */}
             {currentFirebaseSession && (
               <div style={{
@@ -860,6 +1750,21 @@ function App() {
               </div>
             )}
 
+            {/* Offline Sync Status */}
+            {pendingWrites > 0 && (
+              <div style={{
+                textAlign: 'center',
+                color: '#ffc107',
+                fontSize: '0.8rem',
+                padding: '0.25rem',
+                backgroundColor: 'rgba(255, 193, 7, 0.1)',
+                borderRadius: '4px',
+                border: '1px solid #ffc107'
+              }}>
+                {pendingWrites} {pendingWrites === 1 ? 'write' : 'writes'} pending sync - saved on this device
+              </div>
+            )}
+
             {/* Firebase Error Status */}
             {firebaseSessionError && (
               <div style={{
@@ -932,7 +1837,11 @@ function App() {
                 alignItems: 'center',
                 justifyContent: 'center'
               }}>
-                {sessionStarted ? formatTime(elapsedTime) : '00:00'}
+                {/* Countdown drills show the time left in the interval, other drills count up */}
+                {isCountdown
+                  ? formatTime(countdownInterval ? (countdownInterval.ended ? 0 : Math.max(0, (countdownInterval.index + 1) * intervalMs - elapsedTime)) : intervalMs)
+                  : (sessionStarted ? formatTime(elapsedTime) : '00:00')}
+                {!isCountdown && timeLimitSeconds ? ` / ${formatTime(timeLimitSeconds * 1000)}` : ''}
               </div>
 
               {/* End Session Button */}
@@ -979,24 +1888,91 @@ function App() {
             }}>
               {/* Shooting Interface */}
               <div className="zone-buttons-container">
-                <ZoneButtons 
-                  shots={shots} 
-                  setShots={setShots} 
-                  currentPlayer={selectedPlayer?.name || 'Unknown Player'}
-                  onShot={handleShot}
-                  onUndoLastShot={handleUndoLastShot}
-                  lastUndoShotTime={lastUndoShotTime}
-                  setLastUndoShotTime={setLastUndoShotTime}
-                  sessionStarted={sessionStarted}
-                  sessionPaused={sessionPaused}
-                  currentElapsedTime={elapsedTime}
-                  windowDimensions={windowDimensions}
-                  orientation={orientation}
-                  isIPhoneLandscape={isIPhoneLandscape}
-                  appRenderKey={appRenderKey}
-                  isReversed={isReversed}
-                  setIsReversed={setIsReversed}
-                />
+                {/* Court view toggle: tablets can tap the court instead of using the carousel */}
+                {isCourtViewAvailable && (
+                  <div style={{ display: 'flex', justifyContent: 'center', gap: '0.5rem', marginBottom: '0.5rem' }}>
+                    {[['zones', 'Zone Buttons'], ['court', 'Court View']].map(([view, label]) => (
+                      <button
+                        key={view}
+                        onClick={() => setShootingView(view)}
+                        style={{
+                          padding: '0.5rem 1rem',
+                          minHeight: '44px',
+                          fontSize: '0.9rem',
+                          fontWeight: 'bold',
+                          border: '2px solid #FFB81C',
+                          borderRadius: '25px',
+                          cursor: 'pointer',
+                          backgroundColor: shootingView === view ? '#FFB81C' : 'transparent',
+                          color: shootingView === view ? '#6F263D' : '#FFB81C'
+                        }}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {isFreeThrowDrill ? (
+                  <FreeThrowPanel
+                    shots={shots}
+                    currentPlayer={selectedPlayer?.name || 'Unknown Player'}
+                    onShot={handleShot}
+                    sessionStarted={sessionStarted}
+                    sessionPaused={sessionPaused}
+                    currentElapsedTime={elapsedTime}
+                    drillTemplate={activeDrillTemplate}
+                  />
+                ) : isCourtViewAvailable && shootingView === 'court' ? (
+                  <CourtTracker
+                    shots={shots}
+                    currentPlayer={selectedPlayer?.name || 'Unknown Player'}
+                    onShot={handleShot}
+                    lastUndoShotTime={lastUndoShotTime}
+                    setLastUndoShotTime={setLastUndoShotTime}
+                    sessionStarted={sessionStarted}
+                    sessionPaused={sessionPaused}
+                    currentElapsedTime={elapsedTime}
+                    windowDimensions={windowDimensions}
+                    drillTemplate={activeDrillTemplate}
+                    activeShotContext={activeShotContext}
+                    onShotContextChange={handleShotContextChange}
+                    activeShotDistance={activeShotDistance}
+                    zones={activeZoneSet.zones}
+                    courtProfile={activeCourtProfile}
+                    courtLayout={activeCourtLayout}
+                    courtLayouts={courtLayouts}
+                    onCourtLayoutsChanged={setCourtLayouts}
+                    onCourtLayoutSelected={handleCourtLayoutSelected}
+                  />
+                ) : (
+                  <ZoneButtons 
+                    shots={shots} 
+                    currentPlayer={selectedPlayer?.name || 'Unknown Player'}
+                    onShot={handleShot}
+                    onUndoLastShot={handleUndo}
+                    onTagShot={handleTagShot}
+                    activeShotContext={activeShotContext}
+                    onShotContextChange={handleShotContextChange}
+                    activeShotDistance={activeShotDistance}
+                    onShotDistanceChange={handleShotDistanceChange}
+                    selectedZoneIndex={selectedZoneIndex}
+                    onZoneChange={handleZoneChange}
+                    zones={activeZoneSet.zones}
+                    drillTemplate={activeDrillTemplate}
+                    guidedSettings={guidedSettings}
+                    lastUndoShotTime={lastUndoShotTime}
+                    setLastUndoShotTime={setLastUndoShotTime}
+                    sessionStarted={sessionStarted}
+                    sessionPaused={sessionPaused}
+                    currentElapsedTime={elapsedTime}
+                    windowDimensions={windowDimensions}
+                    orientation={orientation}
+                    isIPhoneLandscape={isIPhoneLandscape}
+                    appRenderKey={appRenderKey}
+                    isReversed={isReversed}
+                    setIsReversed={setIsReversed}
+                  />
+                )}
               </div>
 
               {/* History Log */}
@@ -1010,6 +1986,9 @@ function App() {
                   orientation={orientation}
                   isIPhoneLandscape={isIPhoneLandscape}
                   appRenderKey={appRenderKey}
+                  onEditShot={handleEditShot}
+                  onRemoveShot={handleRemoveShot}
+                  zones={activeZoneSet.zones}
                 />
               </div>
             </div>
@@ -1062,6 +2041,7 @@ function App() {
       </AppBar>
 
       <main className="main-content">
+        <FailedWrites failedCount={failedWrites} />
         {renderContent()}
       </main>
 
@@ -1073,7 +2053,7 @@ function App() {
         size="normal"
       >
         <p>
-          Do you want to save or discard the results for {selectedPlayer?.name || 'Unknown Player'}?
+          Do you want to save or discard the results for {getShooterNames()}?
         </p>
         <div className="modal-button-container">
           <button
@@ -1195,7 +2175,7 @@ function App() {
           margin: '0 auto 1rem'
         }}></div>
         <p>
-          Saving shooting test results for {selectedPlayer?.name || 'Unknown Player'}...
+          Saving shooting test results for {getShooterNames()}...
         </p>
       </Modal>
 
@@ -1233,15 +2213,102 @@ function App() {
             }}>
               Session Review
             </h2>
+
+            {/* Group session: review each player's results in turn */}
+            {isGroupSession && (
+              <div style={{ marginBottom: '1rem' }}>
+                <ShooterRotation
+                  shooters={getShooters()}
+                  activePlayerID={selectedPlayer?.id}
+                  onSwitchShooter={handleSwitchShooter}
+                  theme="light"
+                />
+              </div>
+            )}
+
+            {/* Shot context filter: compare situations (also limits the analytics download) */}
+            {!isFreeThrowDrill && (
+              <div style={{
+                display: 'flex',
+                justifyContent: 'center',
+                flexWrap: 'wrap',
+                gap: '0.5rem',
+                marginBottom: '1rem'
+              }}>
+                {SHOT_CONTEXT_DIMENSIONS.map(dimension => (
+                  <select
+                    key={dimension.key}
+                    value={reviewContextFilter[dimension.key] || ''}
+                    onChange={(e) => setReviewContextFilter({ ...reviewContextFilter, [dimension.key]: e.target.value || null })}
+                    aria-label={`${dimension.label} filter`}
+                    style={{
+                      padding: '6px 10px',
+                      borderRadius: '6px',
+                      border: '2px solid #6F263D',
+                      color: '#6F263D',
+                      fontWeight: 'bold',
+                      fontSize: window.innerWidth <= 480 ? '0.8rem' : '0.9rem'
+                    }}
+                  >
+                    <option value="">{dimension.label}: All</option>
+                    {dimension.options.map(option => (
+                      <option key={option.id} value={option.id}>{option.label}</option>
+                    ))}
+                  </select>
+                ))}
+              </div>
+            )}
+
+            {/* Points: shot value weighted results (see utils/shotValue) */}
+            {(() => {
+              const pointsStats = shotValue.calculatePointsStats(shotContext.filterShots(shots, reviewContextFilter));
+              return (
+                <div style={{
+                  display: 'flex',
+                  justifyContent: 'space-around',
+                  marginBottom: '1.5rem',
+                  padding: window.innerWidth <= 480 ? '8px' : '12px',
+                  backgroundColor: '#f8f9fa',
+                  borderRadius: '8px',
+                  color: '#6F263D',
+                  textAlign: 'center'
+                }}>
+                  {[
+                    ['Points', pointsStats.totalPoints],
+                    ['PTS/Shot', pointsStats.pointsPerShot.toFixed(2)],
+                    ['eFG%', `${Math.round(pointsStats.effectiveFGPct * 100)}%`]
+                  ].map(([label, value]) => (
+                    <div key={label}>
+                      <div style={{ fontWeight: 'bold', fontSize: window.innerWidth <= 480 ? '1rem' : '1.2rem' }}>{value}</div>
+                      <div style={{ fontSize: window.innerWidth <= 480 ? '0.7rem' : '0.8rem', color: '#666' }}>{label}</div>
+                    </div>
+                  ))}
+                </div>
+              );
+            })()}
+
+            {/* Shot chart: zones coloured by FG% against benchmark, exportable for player meetings */}
+            {!isFreeThrowDrill && (
+              <div style={{ marginBottom: '1.5rem' }}>
+                <ShotChart
+                  shots={shotContext.filterShots(shots, reviewContextFilter)}
+                  layout={activeCourtLayout}
+                  title={`${selectedPlayer?.name || 'Player'} · ${getEasternTimeISO().slice(0, 10)} · ${activeCourtProfile.name}${shotContext.isSet(reviewContextFilter) ? ` · ${shotContext.getLabel(reviewContextFilter)}` : ''}`}
+                  exportName={`shot_chart_${selectedPlayer?.name || 'player'}`}
+                />
+              </div>
+            )}
             
             <div style={{ marginBottom: '1.5rem' }}>
               <h3 style={{ 
                 color: '#6F263D', 
                 marginBottom: '1rem',
                 fontSize: window.innerWidth <= 480 ? '1rem' : '1.2rem'
-              }}>Zone Performance</h3>
-              {(() => {
-                const zoneReview = calculateZoneReview();
+              }}>{isFreeThrowDrill ? 'Free-Throw Trips' : 'Zone Performance'}</h3>
+              {isFreeThrowDrill ? <FreeThrowReview shots={shots} /> : (() => {
+                const reviewShots = shotContext.filterShots(shots, reviewContextFilter);
+                const zoneReview = calculateZoneReview(reviewShots);
+                const missBreakdown = shotTags.getMissDirectionBreakdown(reviewShots);
                 return Object.entries(zoneReview).map(([zoneId, zone]) => (
                   <div key={zoneId} style={{
                     display: 'flex',
@@ -1263,8 +2330,29 @@ function App() {
                         fontSize: window.innerWidth <= 480 ? '0.75rem' : '0.9rem', 
                         color: '#666' 
                       }}>
-                        {zone.made}/{zone.attempts} shots
+                        {zone.made}/{zone.attempts} shots · {zone.points} pts ({zone.pointsPerShot.toFixed(2)}/shot)
                       </div>
+                      {zone.distances.some(distance => distance.id !== DEFAULT_SHOT_DISTANCE) && (
+                        <div style={{ 
+                          fontSize: window.innerWidth <= 480 ? '0.7rem' : '0.8rem', 
+                          color: '#666' 
+                        }}>
+                          By distance: {zone.distances
+                            .map(distance => `${distance.label} ${distance.made}/${distance.attempts} (${distance.percentage}%)`)
+                            .join(' · ')}
+                        </div>
+                      )}
+                      {missBreakdown[zoneId] && missBreakdown[zoneId].untagged < zone.attempts - zone.made && (
+                        <div style={{ 
+                          fontSize: window.innerWidth <= 480 ? '0.7rem' : '0.8rem', 
+                          color: '#666' 
+                        }}>
+                          Misses: {MISS_DIRECTIONS
+                            .filter(({ id }) => missBreakdown[zoneId][id] > 0)
+                            .map(({ id, label }) => `${missBreakdown[zoneId][id]} ${label.toLowerCase()}`)
+                            .join(' · ')}
+                        </div>
+                      )}
                     </div>
                     <div style={{ textAlign: 'right' }}>
                       <div style={{ 
@@ -1278,7 +2366,7 @@ function App() {
                         fontSize: window.innerWidth <= 480 ? '0.7rem' : '0.8rem', 
                         color: '#666' 
                       }}>
-                        {Math.floor(zone.timeSpent / 1000)}s in zone
+                        {Math.floor(zone.timeSpent / 1000)}s in zone · {zone.makesPerMinute.toFixed(1)} makes/min
                       </div>
                     </div>
                   </div>
@@ -1372,9 +2460,11 @@ function App() {
         size="normal"
       >
         <p>
-          Shooting test results for {selectedPlayer?.name || 'Unknown Player'} have been saved successfully.
+          Shooting test results for {getShooterNames()} have been saved successfully.
           <br /><br />
-          Total shots: {shots.length}
+          Total shots: {isGroupSession
+            ? getShooters().map(shooter => `${shooter.player.name} ${shooter.shots.length}`).join(', ')
+            : shots.length}
         </p>
         <div className="modal-button-container">
           <button
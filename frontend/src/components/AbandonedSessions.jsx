@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react';
+import './DownloadResults.css';
+import './AbandonedSessions.css';
+import { abandonedSessionsService, ABANDONED_SESSION_MAX_AGE_HOURS } from '../firebase/abandonedSessions';
+import { playersService } from '../firebase/services';
+import { sessionProjector } from '../firebase/sessionProjector';
+
+// AbandonedSessions: Admin tool to resume, close out or purge unfinished sessions and repair drifted stats - Called from App.jsx renderContent()
+const AbandonedSessions = ({ onBackToHome, onResumeSession }) => {
+  const [maxAgeHours, setMaxAgeHours] = useState(ABANDONED_SESSION_MAX_AGE_HOURS);
+  const [sessions, setSessions] = useState([]);
+  const [playerNames, setPlayerNames] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [busyLogID, setBusyLogID] = useState(null);           // String: logID of the row with an action in progress
+  const [confirmPurgeLogID, setConfirmPurgeLogID] = useState(null);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [statusMessage, setStatusMessage] = useState('');
+  const [rebuildProgress, setRebuildProgress] = useState(null);  // Object: { completed, total } while rebuilding all sessions
+
+  useEffect(() => {
+    loadPlayerNames();
+    searchSessions(ABANDONED_SESSION_MAX_AGE_HOURS);
+  }, []);
+
+  const loadPlayerNames = async () => {
+    try {
+      const players = await playersService.getAllPlayers();
+      setPlayerNames(Object.fromEntries(players.map(player => [player.playerID, player.name])));
+    } catch (error) {
+      console.error('Error loading players:', error);
+    }
+  };
+
+  const searchSessions = async (hours) => {
+    try {
+      setLoading(true);
+      setErrorMessage('');
+      setStatusMessage('');
+      const found = await abandonedSessionsService.findAbandonedSessions({ maxAgeHours: Number(hours) || 0 });
+      setSessions(found);
+    } catch (error) {
+      console.error('Error searching abandoned sessions:', error);
+      setErrorMessage('Failed to load abandoned sessions. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run an action for one session, then drop it from the list
+  const runSessionAction = async (logID, action, successMessage) => {
+    try {
+      setBusyLogID(logID);
+      setErrorMessage('');
+      await action();
+      setSessions(prev => prev.filter(session => session.logID !== logID));
+      setStatusMessage(successMessage);
+    } catch (error) {
+      console.error('Error updating abandoned session:', error);
+      setErrorMessage(`Failed to update session: ${error.message}`);
+    } finally {
+      setBusyLogID(null);
+    }
+  };
+
+  const handleResume = async (logID) => {
+    try {
+      setBusyLogID(logID);
+      setErrorMessage('');
+      const snapshot = await abandonedSessionsService.buildResumeSnapshot(logID);
+      onResumeSession(snapshot);
+    } catch (error) {
+      console.error('Error resuming session:', error);
+      setErrorMessage(`Failed to resume session: ${error.message}`);
+      setBusyLogID(null);
+    }
+  };
+
+  const handleCloseOut = (logID) => {
+    runSessionAction(logID, () => abandonedSessionsService.closeOutSession(logID), 'Session closed out with stats from its recorded shots.');
+  };
+
+  const handleConfirmPurge = () => {
+    const logID = confirmPurgeLogID;
+    setConfirmPurgeLogID(null);
+    runSessionAction(logID, () => abandonedSessionsService.purgeSession(logID), 'Session and all of its shots and events were deleted.');
+  };
+
+  // Recompute every shooting log's stats from its session events
+  const handleRebuildAll = async () => {
+    try {
+      setErrorMessage('');
+      setStatusMessage('');
+      setRebuildProgress({ completed: 0, total: 0 });
+      const summary = await sessionProjector.rebuildAllSessions((completed, total) => setRebuildProgress({ completed, total }));
+      setStatusMessage(`Rebuilt ${summary.rebuilt} of ${summary.total} sessions - ${summary.changed} had drifted stats.`);
+      if (summary.failed.length > 0) {
+        setErrorMessage(`${summary.failed.length} session(s) could not be rebuilt: ${summary.failed.map(failure => failure.logID).join(', ')}`);
+      }
+    } catch (error) {
+      console.error('Error rebuilding sessions:', error);
+      setErrorMessage(`Failed to rebuild sessions: ${error.message}`);
+    } finally {
+      setRebuildProgress(null);
+    }
+  };
+
+  const formatDateTime = (value) => {
+    if (!value) return 'N/A';
+    return new Date(value).toLocaleString();
+  };
+
+  return (
+    <div className="download-results-container">
+      <div className="download-results-content">
+        <h1 className="download-results-title">Abandoned Sessions</h1>
+
+        {/* Search Form */}
+        <div className="search-form">
+          <div className="form-group">
+            <label className="form-label">No activity for at least (hours):</label>
+            <input
+              type="number"
+              min="0"
+              step="1"
+              className="form-input"
+              value={maxAgeHours}
+              onChange={(e) => setMaxAgeHours(e.target.value)}
+              disabled={loading}
+            />
+          </div>
+
+          <div className="button-group">
+            <button
+              className="search-button"
+              onClick={() => searchSessions(maxAgeHours)}
+              disabled={loading}
+            >
+              {loading ? 'Searching...' : 'Find Sessions'}
+            </button>
+            <button
+              className="search-button"
+              onClick={handleRebuildAll}
+              disabled={loading || rebuildProgress !== null}
+              title="Recompute every session's totals and zone stats from its event history"
+            >
+              {rebuildProgress ? `Rebuilding ${rebuildProgress.completed}/${rebuildProgress.total}...` : 'Rebuild All Session Stats'}
+            </button>
+            <button
+              className="back-button"
+              onClick={onBackToHome}
+              disabled={loading}
+            >
+              Back to Home
+            </button>
+          </div>
+        </div>
+
+        {/* Error Message */}
+        {errorMessage && (
+          <div className="error-message">
+            {errorMessage}
+          </div>
+        )}
+
+        {statusMessage && (
+          <div className="abandoned-status-message">
+            {statusMessage}
+          </div>
+        )}
+
+        {!loading && sessions.length === 0 && (
+          <div className="abandoned-empty-message">
+            No sessions without an end event in this range.
+          </div>
+        )}
+
+        {sessions.length > 0 && (
+          <div className="sessions-table-container">
+            <table className="sessions-table">
+              <thead>
+                <tr>
+                  <th>Player</th>
+                  <th>Started</th>
+                  <th>Last Activity</th>
+                  <th>FGA</th>
+                  <th>FGM</th>
+                  <th>How It Ended</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sessions.map(session => (
+                  <tr key={session.logID}>
+                    <td>{playerNames[session.playerID] || session.playerID}</td>
+                    <td>{formatDateTime(session.sessionDate)}</td>
+                    <td>{formatDateTime(session.lastActivityAt)}</td>
+                    <td>{session.totalShots}</td>
+                    <td>{session.totalMade}</td>
+                    <td>{session.exitedExplicitly ? `Exited (${session.abandonReason || 'exit'})` : 'Never closed'}</td>
+                    <td>
+                      <div className="abandoned-actions">
+                        <button
+                          className="abandoned-action-button resume"
+                          onClick={() => handleResume(session.logID)}
+                          disabled={busyLogID !== null}
+                        >
+                          Resume
+                        </button>
+                        <button
+                          className="abandoned-action-button close-out"
+                          onClick={() => handleCloseOut(session.logID)}
+                          disabled={busyLogID !== null}
+                        >
+                          Close Out
+                        </button>
+                        <button
+                          className="abandoned-action-button purge"
+                          onClick={() => setConfirmPurgeLogID(session.logID)}
+                          disabled={busyLogID !== null}
+                        >
+                          Purge
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Purge Confirmation Modal */}
+        {confirmPurgeLogID && (
+          <div className="modal-overlay">
+            <div className="modal-content">
+              <h3>Purge Session</h3>
+              <p>This permanently deletes the session log with all of its shots and events.</p>
+              <div className="modal-buttons">
+                <button className="modal-button cancel" onClick={handleConfirmPurge}>
+                  Purge
+                </button>
+                <button className="modal-button secondary" onClick={() => setConfirmPurgeLogID(null)}>
+                  Keep Session
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AbandonedSessions;
@@ -0,0 +1,328 @@
+import React, { useState, useRef } from 'react';
+import './CourtTracker.css';
+import './CourtLayoutEditor.css';
+import { courtLayoutsService } from '../firebase/services';
+import { courtLayoutRegistry } from '../utils/courtLayout';
+import { parsePolygon, toViewBoxPoint } from '../utils/geometry';
+import { courtProfileRegistry } from '../utils/courtProfiles';
+import { zoneRegistry } from '../utils/zoneRegistry';
+
+// Convert array of point objects to SVG polygon coordinate string
+const pointsToPolygon = (points) => points.map(point => `${point.x},${point.y}`).join(' ');
+
+// Editable copy of a layout; built-in layouts are saved as a new layout
+const toDraft = (layout) => ({
+  layoutID: layout.isCustom ? layout.layoutID : null,
+  createdAt: layout.createdAt,
+  name: layout.isCustom ? layout.name : `${layout.name} (copy)`,
+  profileID: layout.profileID,
+  zones: layout.zones.map(({ id, polygon }) => ({ id, polygon }))
+});
+
+/**
+ * CourtLayoutEditor Component: Draw, edit and share court zone layouts
+ *
+ * Workflow:
+ * 1. Pick the layout to start from (the built-in layout is copied) - only
+ *    layouts of the session's court profile are offered
+ * 2. Edit a zone (its points are loaded) or start a new one, click the court
+ *    to place points, then Apply Zone
+ * 3. Save Layout stores it in Firestore (courtLayouts) and puts it in use;
+ *    Export/Import JSON moves layouts between facilities
+ *
+ * Mouse devices only - CourtTracker hides the editor on touch screens.
+ */
+// CourtLayoutEditor: Zone polygon editor for court layouts - Called from CourtTracker in zone editor mode
+const CourtLayoutEditor = ({ profile, layout, layouts, onLayoutsChanged, onLayoutSelected, onClose }) => {
+  const [draft, setDraft] = useState(() => toDraft(layout));         // Object: { layoutID, name, zones } being edited
+  const [editingZoneId, setEditingZoneId] = useState(null);          // String: zone whose polygon is being redrawn (null = new zone)
+  const [currentZoneName, setCurrentZoneName] = useState('');        // String: zone ID the points are for
+  const [selectedPoints, setSelectedPoints] = useState([]);          // Array: clicked { x, y } points of the zone
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const fileInputRef = useRef(null);
+
+  const isCustomLayout = Boolean(draft.layoutID);
+  const profileLayouts = layouts.filter(candidate => candidate.profileID === profile.profileID);
+
+  // handleCourtClick: Adds a point to the zone being drawn - Called by clicks on the court
+  const handleCourtClick = (event) => {
+    const newPoint = toViewBoxPoint(event, event.currentTarget.getBoundingClientRect());
+    setSelectedPoints([...selectedPoints, newPoint]);
+  };
+
+  // Reset the zone being drawn
+  const clearSelection = () => {
+    setSelectedPoints([]);
+    setCurrentZoneName('');
+    setEditingZoneId(null);
+  };
+
+  // Load an existing zone's polygon so its points can be redrawn
+  const startEditingZone = (zone) => {
+    setEditingZoneId(zone.id);
+    setCurrentZoneName(zone.id);
+    setSelectedPoints(parsePolygon(zone.polygon));
+    setMessage('');
+  };
+
+  const removeZone = (zoneId) => {
+    setDraft({ ...draft, zones: draft.zones.filter(zone => zone.id !== zoneId) });
+    if (editingZoneId === zoneId) {
+      clearSelection();
+    }
+  };
+
+  // applyZone: Puts the drawn polygon into the draft (replacing the zone being edited)
+  const applyZone = () => {
+    const zoneId = currentZoneName.trim();
+    if (!zoneId || selectedPoints.length < 3) {
+      setMessage('Name the zone and place at least 3 points.');
+      return;
+    }
+    if (zoneId !== editingZoneId && draft.zones.some(zone => zone.id === zoneId)) {
+      setMessage(`This layout already has a ${zoneRegistry.getZoneLabel(zoneId)} zone - edit it instead.`);
+      return;
+    }
+
+    const zone = { id: zoneId, polygon: pointsToPolygon(selectedPoints) };
+    setDraft({
+      ...draft,
+      zones: editingZoneId
+        ? draft.zones.map(candidate => (candidate.id === editingZoneId ? zone : candidate))
+        : [...draft.zones, zone]
+    });
+    setMessage('');
+    clearSelection();
+  };
+
+  // Start from another layout (unsaved changes are dropped)
+  const handleLayoutPicked = (layoutID) => {
+    if (!layoutID) return;
+    setDraft(toDraft(courtLayoutRegistry.getLayout(layoutID)));
+    clearSelection();
+    setMessage('');
+  };
+
+  const handleSave = async () => {
+    if (!draft.name.trim()) {
+      setMessage('Give the layout a name.');
+      return;
+    }
+    if (draft.zones.length === 0) {
+      setMessage('Add at least one zone.');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setMessage('');
+      const saved = await courtLayoutsService.saveCourtLayout({ ...draft, name: draft.name.trim() });
+      onLayoutsChanged(await courtLayoutRegistry.loadCustomLayouts());
+      onLayoutSelected(saved.layoutID);
+      setDraft(toDraft(courtLayoutRegistry.getLayout(saved.layoutID)));
+      setMessage(`Saved "${saved.name}" - now in use.`);
+    } catch (error) {
+      console.error('Error saving court layout:', error);
+      setMessage(`Failed to save layout: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!isCustomLayout || !window.confirm(`Delete the layout "${draft.name}"?`)) return;
+
+    try {
+      setSaving(true);
+      await courtLayoutsService.deleteCourtLayout(draft.layoutID);
+      onLayoutsChanged(await courtLayoutRegistry.loadCustomLayouts());
+      if (layout.layoutID === draft.layoutID) {
+        onLayoutSelected(courtLayoutRegistry.getBuiltInLayout(profile.profileID).layoutID);
+      }
+      setDraft(toDraft(courtLayoutRegistry.getBuiltInLayout(profile.profileID)));
+      clearSelection();
+      setMessage('Layout deleted.');
+    } catch (error) {
+      console.error('Error deleting court layout:', error);
+      setMessage(`Failed to delete layout: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Export the draft as a JSON file another facility can import
+  const handleExport = () => {
+    const blob = new Blob([courtLayoutRegistry.toJSON(draft)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.setAttribute('href', URL.createObjectURL(blob));
+    link.setAttribute('download', `${draft.name.trim().replace(/\s+/g, '_') || 'court_layout'}.json`);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  };
+
+  // Import a JSON layout file as a new, unsaved layout
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = courtLayoutRegistry.parseJSON(await file.text());
+      if (imported.profileID !== profile.profileID) {
+        setMessage(`"${imported.name}" is drawn on the ${courtProfileRegistry.getProfileName(imported.profileID)} court - pick that court to import it.`);
+        return;
+      }
+      setDraft({ layoutID: null, ...imported });
+      clearSelection();
+      setMessage(`Imported "${imported.name}" - save it to use it here.`);
+    } catch (error) {
+      setMessage(`Failed to import layout: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="court-layout-editor">
+      <div className="court-layout-editor-panel">
+        <h3>Court Layout Editor - {profile.name}</h3>
+
+        <div className="court-layout-editor-row">
+          <label>Start from:</label>
+          <select
+            value={draft.layoutID || ''}
+            onChange={(e) => handleLayoutPicked(e.target.value)}
+            disabled={saving}
+          >
+            {!draft.layoutID && <option value="">(new layout)</option>}
+            {profileLayouts.map(candidate => (
+              <option key={candidate.layoutID} value={candidate.layoutID}>
+                {candidate.name}{candidate.layoutID === layout.layoutID ? ' (in use)' : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="court-layout-editor-row">
+          <label>Layout name:</label>
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            placeholder="e.g., Practice Facility Court 2"
+          />
+        </div>
+
+        {/* Zones of the layout */}
+        <div className="court-layout-editor-zones">
+          {draft.zones.map(zone => (
+            <div key={zone.id} className={`court-layout-editor-zone ${editingZoneId === zone.id ? 'editing' : ''}`}>
+              <span>{zoneRegistry.getZoneLabel(zone.id)}</span>
+              <button onClick={() => startEditingZone(zone)} disabled={saving}>Edit</button>
+              <button onClick={() => removeZone(zone.id)} disabled={saving}>Remove</button>
+            </div>
+          ))}
+        </div>
+
+        {/* Zone being drawn */}
+        <div className="court-layout-editor-row">
+          <label>{editingZoneId ? 'Editing zone:' : 'New zone ID:'}</label>
+          <input
+            type="text"
+            value={currentZoneName}
+            onChange={(e) => setCurrentZoneName(e.target.value)}
+            placeholder="Zone ID (e.g., left_corner)"
+          />
+        </div>
+        <div className="court-layout-editor-hint">
+          Points selected: {selectedPoints.length} - click the court around the zone (at least 3 points)
+        </div>
+        <div className="court-layout-editor-buttons">
+          <button onClick={applyZone} disabled={selectedPoints.length < 3}>Apply Zone</button>
+          <button onClick={() => setSelectedPoints(selectedPoints.slice(0, -1))} disabled={selectedPoints.length === 0}>Remove Last</button>
+          <button onClick={clearSelection}>Clear</button>
+        </div>
+
+        {/* Layout actions */}
+        <div className="court-layout-editor-buttons">
+          <button className="primary" onClick={handleSave} disabled={saving}>Save Layout</button>
+          {isCustomLayout && (
+            <button onClick={() => onLayoutSelected(draft.layoutID)} disabled={saving || draft.layoutID === layout.layoutID}>Use Layout</button>
+          )}
+          <button onClick={handleExport}>Export JSON</button>
+          <button onClick={() => fileInputRef.current?.click()}>Import JSON</button>
+          {isCustomLayout && (
+            <button className="danger" onClick={handleDelete} disabled={saving}>Delete</button>
+          )}
+          <button onClick={onClose}>Exit Editor</button>
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          style={{ display: 'none' }}
+        />
+
+        {message && <div className="court-layout-editor-message">{message}</div>}
+      </div>
+
+      <div className="court-container" onClick={handleCourtClick} style={{ cursor: 'crosshair' }}>
+        <img src={profile.imageURL} alt={`${profile.name} court`} className="court-image" />
+        <svg
+          className="court-overlay"
+          viewBox="0 0 100 60"
+          preserveAspectRatio="none"
+          style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%', pointerEvents: 'none' }}
+        >
+          {/* Zones of the draft (the one being redrawn is hidden) */}
+          {draft.zones.filter(zone => zone.id !== editingZoneId).map(zone => (
+            <polygon key={zone.id} points={zone.polygon} className="court-zone-outline" />
+          ))}
+
+          {/* Preview polygon */}
+          {selectedPoints.length >= 3 && (
+            <polygon
+              points={pointsToPolygon(selectedPoints)}
+              fill="rgba(255, 68, 68, 0.2)"
+              stroke="#FF4444"
+              strokeWidth="0.3"
+              strokeDasharray="1,1"
+            />
+          )}
+
+          {/* Lines connecting points */}
+          {selectedPoints.map((point, index) => {
+            if (index === 0) return null;
+            const prevPoint = selectedPoints[index - 1];
+            return (
+              <line
+                key={`line-${index}`}
+                x1={prevPoint.x}
+                y1={prevPoint.y}
+                x2={point.x}
+                y2={point.y}
+                stroke="#FF4444"
+                strokeWidth="0.2"
+                strokeDasharray="0.5,0.5"
+              />
+            );
+          })}
+
+          {/* Selected Points */}
+          {selectedPoints.map((point, index) => (
+            <g key={index}>
+              <circle cx={point.x} cy={point.y} r="0.8" fill="#FF4444" stroke="white" strokeWidth="0.2" />
+              <text x={point.x + 1} y={point.y - 1} fontSize="1.5" fill="#FF4444" fontWeight="bold">
+                {index + 1}
+              </text>
+            </g>
+          ))}
+        </svg>
+      </div>
+    </div>
+  );
+};
+
+export default CourtLayoutEditor;
@@ -1,5 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import './DownloadResults.css';
+import SessionDetail from './SessionDetail';
+import ShotChart from './ShotChart';
+import { drillTemplateRegistry } from '../utils/drillTemplates';
+import { zoneRegistry } from '../utils/zoneRegistry';
+import { shotValue } from '../utils/shotValue';
+import { shotTags, MISS_DIRECTIONS } from '../utils/shotTags';
+import { shotContext, SHOT_CONTEXT_DIMENSIONS, EMPTY_SHOT_CONTEXT } from '../utils/shotContext';
+import { courtProfileRegistry } from '../utils/courtProfiles';
+import { shotDistance } from '../utils/shotDistance';
+import { courtLayoutRegistry } from '../utils/courtLayout';
 
 // DownloadResults: Historical data export interface - Called from App.jsx renderContent()
 const DownloadResults = ({ 
@@ -12,6 +22,7 @@ const DownloadResults = ({
   
   const [startDate, setStartDate] = useState('');
   const [endDate, setEndDate] = useState('');
+  const [contextFilter, setContextFilter] = useState(EMPTY_SHOT_CONTEXT); // Object: shot context the CSV is limited to
   
   const [loading, setLoading] = useState(false);
   const [searchResults, setSearchResults] = useState([]);
@@ -19,6 +30,8 @@ const DownloadResults = ({
   const [showManualSelection, setShowManualSelection] = useState(false);
   const [selectedSessions, setSelectedSessions] = useState(new Set());
   const [errorMessage, setErrorMessage] = useState('');
+  const [detailSessionId, setDetailSessionId] = useState(null);  // String: logID open in the session detail view
+  const [chartGroups, setChartGroups] = useState(null);          // Array: player history charts, one per court - [{ profileID, shots }] (null = hidden)
   
   useEffect(() => {
     loadAllPlayers();
@@ -113,6 +126,57 @@ const DownloadResults = ({
     setSelectedSessions(new Set());
   };
 
+  // Keep the session list current after a session was corrected or deleted in SessionDetail
+  const handleSessionChanged = async (sessionId, { deleted }) => {
+    if (deleted) {
+      setSearchResults(prev => prev.filter(session => session.sessionId !== sessionId));
+      const newSelected = new Set(selectedSessions);
+      newSelected.delete(sessionId);
+      setSelectedSessions(newSelected);
+      return;
+    }
+    
+    try {
+      const sessions = await shootingSessionManager.getPlayerSessions({
+        playerId: selectedPlayer,
+        startDate: startDate || null,
+        endDate: endDate || null
+      });
+      setSearchResults(sessions || []);
+    } catch (error) {
+      console.error('Error refreshing sessions:', error);
+    }
+  };
+
+  // Player history chart: shots of the selected sessions (all listed sessions when none is selected),
+  // one chart per court profile so shots from different line distances are never combined
+  const handleShowChart = async () => {
+    const chartSessions = selectedSessions.size > 0
+      ? searchResults.filter(session => selectedSessions.has(session.sessionId))
+      : searchResults;
+
+    try {
+      setLoading(true);
+      setErrorMessage('');
+      const sessionShots = await Promise.all(chartSessions.map(session => shootingSessionManager.getSessionShots(session.sessionId)));
+      const groups = [];
+      chartSessions.forEach((session, index) => {
+        let group = groups.find(candidate => candidate.profileID === session.courtProfileID);
+        if (!group) {
+          group = { profileID: session.courtProfileID, shots: [] };
+          groups.push(group);
+        }
+        group.shots.push(...shotContext.filterShots(sessionShots[index] || [], contextFilter));
+      });
+      setChartGroups(groups);
+    } catch (error) {
+      console.error('Error loading shot chart:', error);
+      setErrorMessage('Failed to load the shot chart. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const toggleSessionSelection = (sessionId) => {
     const newSelected = new Set(selectedSessions);
     if (newSelected.has(sessionId)) {
@@ -151,8 +215,18 @@ const DownloadResults = ({
   };
 
   const generateHistoricalCSV = async (sessions) => {
-    // CSV format: PlayerID, logID, timestamp, timerVal_ms, shotID, shotZone, shotResult
-    const rows = [['PlayerID', 'logID', 'timestamp', 'timerVal_ms', 'shotID', 'shotZone', 'shotResult']];
+    // CSV format: PlayerID, logID, timestamp, timerVal_ms, shotID, shotZone, shotResult, zoneSet, courtProfile, groupID, drillTemplate, interval, zoneMakesPerMin,
+    //             shotValue, points, sessionPointsPerShot, sessionEFGPct, missDirection, makeQuality, zoneMissesShort/Long/Left/Right,
+    //             shotType, defense, x, y, distance
+    // Only shots in the chosen shot context are exported; per-session figures are computed from those shots
+    // zoneSet names the zone set (utils/zoneRegistry) the session's shotZone IDs come from and courtProfile
+    // the court (utils/courtProfiles) they were shot on - compare zones only within one courtProfile;
+    // groupID links the logs of players who shot in the same group session (empty for one-player sessions);
+    // interval and zoneMakesPerMin are filled for countdown drills only; x/y only for shots tapped on the court;
+    // distance is how far behind the line the shot was taken (utils/shotDistance)
+    const rows = [['PlayerID', 'logID', 'timestamp', 'timerVal_ms', 'shotID', 'shotZone', 'shotResult', 'zoneSet', 'courtProfile', 'groupID', 'drillTemplate', 'interval', 'zoneMakesPerMin',
+      'shotValue', 'points', 'sessionPointsPerShot', 'sessionEFGPct',
+      'missDirection', 'makeQuality', ...MISS_DIRECTIONS.map(({ label }) => `zoneMisses${label}`), 'shotType', 'defense', 'x', 'y', 'distance']];
     
     // Sort sessions by start time
     const sortedSessions = sessions.sort((a, b) => 
@@ -162,7 +236,7 @@ const DownloadResults = ({
     for (const session of sortedSessions) {
       try {
         // Get all shots for this session
-        const shots = await shootingSessionManager.getSessionShots(session.sessionId);
+        const shots = shotContext.filterShots(await shootingSessionManager.getSessionShots(session.sessionId) || [], contextFilter);
         
         if (shots && shots.length > 0) {
           // Sort shots by timestamp within each session
@@ -170,7 +244,30 @@ const DownloadResults = ({
             new Date(a.timestamp) - new Date(b.timestamp)
           );
 
+          // Countdown drills: interval of each shot and makes per minute of each zone,
+          // counting every interval up to the one the last shot was taken in
+          const template = drillTemplateRegistry.getDrillTemplate(session.drillTemplateID);
+          const zones = zoneRegistry.getZoneSet(session.zoneSetID).zones;
+          const isCountdown = drillTemplateRegistry.isCountdown(template);
+          const getInterval = (shot) => drillTemplateRegistry.getIntervalIndex(template, zones, shot.timeTaken);
+          const zoneMakesPerMin = {};
+          if (isCountdown) {
+            const lastInterval = Math.max(...sortedShots.map(getInterval));
+            const zoneSeconds = drillTemplateRegistry.getZoneSeconds(template, zones, (lastInterval + 1) * template.intervalSeconds * 1000);
+            Object.entries(zoneSeconds).forEach(([zoneId, seconds]) => {
+              const made = sortedShots.filter(shot => shot.shotZone === zoneId && shot.shotResult === 'made').length;
+              zoneMakesPerMin[zoneId] = seconds > 0 ? (made / (seconds / 60)).toFixed(2) : '';
+            });
+          }
+
+          // Points per shot and effective FG% of the whole session (see utils/shotValue)
+          const pointsStats = shotValue.calculatePointsStats(sortedShots);
+          // Misses per direction in each zone (see utils/shotTags)
+          const missBreakdown = shotTags.getMissDirectionBreakdown(sortedShots);
+
           sortedShots.forEach((shot, index) => {
+            const value = shotValue.getShotValue(shot);
+            const made = (shot.shotResult || (shot.made ? 'made' : 'missed')) === 'made';
             rows.push([
               session.playerId || selectedPlayer,
               session.sessionId,
@@ -178,7 +275,25 @@ const DownloadResults = ({
               shot.timeTaken || shot.timerVal || '',
               shot.shotID || `shot_${index + 1}`,
               shot.shotZone || shot.location || shot.zone || '',
-              shot.shotResult || (shot.made ? 'made' : 'missed')
+              shot.shotResult || (shot.made ? 'made' : 'missed'),
+              session.zoneSetID || '',
+              session.courtProfileID || '',
+              session.groupID || '',
+              session.drillTemplateID || '',
+              isCountdown ? getInterval(shot) + 1 : '',
+              isCountdown ? (zoneMakesPerMin[shot.shotZone] ?? '') : '',
+              value,
+              made ? value : 0,
+              pointsStats.pointsPerShot.toFixed(2),
+              (pointsStats.effectiveFGPct * 100).toFixed(1),
+              made ? '' : (shot.tags?.missDirection || ''),
+              made ? (shot.tags?.makeQuality || '') : '',
+              ...MISS_DIRECTIONS.map(({ id }) => missBreakdown[shot.shotZone]?.[id] || 0),
+              shot.context?.shotType || '',
+              shot.context?.defense || '',
+              shot.coordinates?.x ?? '', // Court coordinates (shots tapped on the court)
+              shot.coordinates?.y ?? '',
+              shotDistance.getDistance(shot)
             ]);
           });
         }
@@ -259,6 +374,25 @@ const DownloadResults = ({
             </div>
           </div>
 
+          <div className="date-range-group">
+            {SHOT_CONTEXT_DIMENSIONS.map(dimension => (
+              <div key={dimension.key} className="form-group">
+                <label className="form-label">{dimension.label} Context (Optional):</label>
+                <select
+                  className="form-select"
+                  value={contextFilter[dimension.key] || ''}
+                  onChange={(e) => setContextFilter({ ...contextFilter, [dimension.key]: e.target.value || null })}
+                  disabled={loading}
+                >
+                  <option value="">All shots</option>
+                  {dimension.options.map(option => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
           <div className="button-group">
             <button 
               className="search-button"
@@ -306,8 +440,18 @@ const DownloadResults = ({
           </div>
         )}
 
+        {/* Session Detail - timeline, corrections and audit trail of one session */}
+        {showManualSelection && detailSessionId && (
+          <SessionDetail
+            logID={detailSessionId}
+            playerName={allPlayers.find(p => (p.playerID || p.id) === selectedPlayer)?.name || selectedPlayer}
+            onClose={() => setDetailSessionId(null)}
+            onSessionChanged={handleSessionChanged}
+          />
+        )}
+
         {/* Manual Selection Table */}
-        {showManualSelection && (
+        {showManualSelection && !detailSessionId && (
           <div className="manual-selection-container">
             <div className="manual-selection-header">
               <h3>Select Sessions to Download</h3>
@@ -318,7 +462,32 @@ const DownloadResults = ({
               >
                 Download Selected ({selectedSessions.size})
               </button>
+              <button 
+                className="download-selected-button"
+                onClick={handleShowChart}
+                disabled={loading}
+              >
+                Shot Chart ({selectedSessions.size > 0 ? selectedSessions.size : 'All'})
+              </button>
             </div>
+
+            {/* Player history shot charts, one per court */}
+            {chartGroups && (
+              <div className="history-shot-chart">
+                {chartGroups.map(group => (
+                  <ShotChart
+                    key={group.profileID}
+                    shots={group.shots}
+                    layout={courtLayoutRegistry.getActiveLayout(group.profileID)}
+                    title={`${allPlayers.find(p => (p.playerID || p.id) === selectedPlayer)?.name || selectedPlayer} · ${startDate || 'all'} to ${endDate || 'all'} · ${courtProfileRegistry.getProfileName(group.profileID)}${shotContext.isSet(contextFilter) ? ` · ${shotContext.getLabel(contextFilter)}` : ''}`}
+                    exportName={`shot_chart_${selectedPlayer}_${group.profileID}`}
+                  />
+                ))}
+                <button className="cancel-button" onClick={() => setChartGroups(null)}>
+                  Hide Chart
+                </button>
+              </div>
+            )}
             
             <div className="sessions-table-container">
               <table className="sessions-table">
@@ -328,9 +497,13 @@ const DownloadResults = ({
                     <th>Session Date</th>
                     <th>Start Time</th>
                     <th>Duration</th>
+                    <th>Court</th>
                     <th>FGA</th>
                     <th>FGM</th>
                     <th>Percentage</th>
+                    <th>PTS</th>
+                    <th>eFG%</th>
+                    <th>Details</th>
                   </tr>
                 </thead>
                 <tbody>
@@ -346,9 +519,20 @@ const DownloadResults = ({
                       <td>{formatDate(session.startTime)}</td>
                       <td>{formatTime(session.startTime)}</td>
                       <td>{session.duration || 'N/A'}</td>
+                      <td>{courtProfileRegistry.getProfileName(session.courtProfileID)}</td>
                       <td>{session.totalShots || 0}</td>
                       <td>{session.madeShots || 0}</td>
                       <td>{session.totalShots ? Math.round((session.madeShots / session.totalShots) * 100) : 0}%</td>
+                      <td>{session.points || 0}</td>
+                      <td>{Math.round((session.effectiveFGPct || 0) * 100)}%</td>
+                      <td>
+                        <button
+                          className="session-details-button"
+                          onClick={() => setDetailSessionId(session.sessionId)}
+                        >
+                          View
+                        </button>
+                      </td>
                     </tr>
                   ))}
                 </tbody>
@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import './FailedWrites.css';
+import { shootingSessionManager } from '../firebase/sessionManager';
+
+// FailedWrites: Writes the offline queue set aside because they can never succeed, with retry and discard - Called from App.jsx on every page
+const FailedWrites = ({ failedCount }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [failedWrites, setFailedWrites] = useState([]);
+  const [busyID, setBusyID] = useState(null);   // Number: queue ID of the write with an action in progress
+
+  // Reload the list whenever the queue reports a different number of failed writes
+  useEffect(() => {
+    shootingSessionManager.getFailedWrites()
+      .then(setFailedWrites)
+      .catch(error => console.error('Error loading failed writes:', error));
+  }, [failedCount]);
+
+  const handleAction = async (id, action) => {
+    setBusyID(id);
+    try {
+      await (action === 'retry'
+        ? shootingSessionManager.retryFailedWrite(id)
+        : shootingSessionManager.discardFailedWrite(id));
+    } catch (error) {
+      console.error(`Error trying to ${action} failed write:`, error);
+    } finally {
+      setBusyID(null);
+    }
+  };
+
+  if (failedCount === 0) {
+    return null;
+  }
+
+  return (
+    <div className="failed-writes">
+      <div className="failed-writes-summary">
+        <span>
+          {failedCount} {failedCount === 1 ? 'write' : 'writes'} could not be saved and {failedCount === 1 ? 'was' : 'were'} set aside so later writes keep syncing
+        </span>
+        <button className="failed-writes-button" onClick={() => setExpanded(!expanded)}>
+          {expanded ? 'Hide' : 'Details'}
+        </button>
+      </div>
+
+      {expanded && (
+        <ul className="failed-writes-list">
+          {failedWrites.map(write => (
+            <li key={write.id} className="failed-writes-item">
+              <div>
+                <strong>{write.type}</strong>
+                {write.payload?.logID || write.payload?.shot?.logID ? ` · log ${(write.payload.logID || write.payload.shot.logID).slice(-8)}` : ''}
+                {` · queued ${new Date(write.enqueuedAt).toLocaleString()}`}
+                <div className="failed-writes-error">{write.error?.code ? `${write.error.code}: ` : ''}{write.error?.message}</div>
+              </div>
+              <div className="failed-writes-actions">
+                <button className="failed-writes-button" onClick={() => handleAction(write.id, 'retry')} disabled={busyID === write.id}>
+                  Retry
+                </button>
+                <button className="failed-writes-button danger" onClick={() => handleAction(write.id, 'discard')} disabled={busyID === write.id}>
+                  Discard
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default FailedWrites;
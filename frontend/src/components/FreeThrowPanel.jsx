@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import './ZoneButtons.css';
+import './FreeThrowPanel.css';
+import { getEasternTimeISO } from '../utils/timezone';
+import { generateID } from '../firebase/services';
+import { freeThrowTrips, FREE_THROW_ZONE_ID, TRIP_SIZES } from '../utils/freeThrowTrips';
+
+// FreeThrowPanel: Free-throw test interface recording shots in trips to the line - Called from App.jsx renderContent()
+const FreeThrowPanel = ({
+  shots,
+  currentPlayer,
+  onShot,
+  sessionStarted,
+  sessionPaused,
+  currentElapsedTime,
+  drillTemplate            // Object: free-throw drill template ({ trips } trips in the test)
+}) => {
+  const [nextTripSize, setNextTripSize] = useState(2);        // Number: attempts of the next trip (1, 2 or 3)
+  const [nextAfterSprint, setNextAfterSprint] = useState(false); // Boolean: player sprints before the next trip
+
+  const trip = freeThrowTrips.getCurrentTrip(shots, { tripSize: nextTripSize, afterSprint: nextAfterSprint });
+  const stats = freeThrowTrips.calculateStats(shots);
+  const canShoot = sessionStarted && !sessionPaused;
+
+  // handleShot: Records a free throw with its trip metadata - Called by Make/Miss buttons
+  const handleShot = (made) => {
+    if (!canShoot) {
+      alert('Please start the session first!');
+      return;
+    }
+
+    const lastShot = shots[shots.length - 1];
+    const shotData = {
+      location: FREE_THROW_ZONE_ID,
+      made,
+      timestamp: getEasternTimeISO(),
+      timerValue: currentElapsedTime,
+      timeTakenForShot: currentElapsedTime - (lastShot?.timerValue || 0),
+      sequenceNumber: shots.length + 1,
+      player: currentPlayer,
+      trip: {
+        tripID: trip.tripID || generateID('trip'),
+        tripNumber: trip.tripNumber,
+        tripSize: trip.tripSize,
+        attempt: trip.attempt,
+        afterSprint: trip.afterSprint
+      }
+    };
+
+    if (typeof onShot === 'function') {
+      onShot(shotData);
+    }
+  };
+
+  return (
+    <div className="zone-buttons-container">
+      {/* Session Statistics */}
+      <div className="session-stats">
+        <span className="stat-label">Free Throws:</span>
+        <span className="stat-value">{stats.overall.made}/{stats.overall.attempts} ({stats.overall.percentage}%)</span>
+      </div>
+
+      {/* Current Trip */}
+      <div className="zone-display">
+        <h2 className="zone-name">Trip {trip.tripNumber} of {drillTemplate.trips}</h2>
+        <div className="zone-stats">
+          Attempt {trip.attempt} of {trip.tripSize}
+        </div>
+        {trip.afterSprint && <div className="free-throw-sprint-badge">After sprint</div>}
+      </div>
+
+      {/* Next trip setup - locked while a trip is in progress */}
+      <div className="free-throw-trip-setup">
+        <div className="zone-indicators">
+          {TRIP_SIZES.map(size => (
+            <button
+              key={size}
+              className={`zone-dot ${trip.tripSize === size ? 'active' : ''}`}
+              onClick={() => setNextTripSize(size)}
+              disabled={!trip.isNew}
+              aria-label={`Trip of ${size}`}
+            >
+              {size} FT
+            </button>
+          ))}
+        </div>
+        <label className="free-throw-sprint-toggle">
+          <input
+            type="checkbox"
+            checked={trip.afterSprint}
+            onChange={(e) => setNextAfterSprint(e.target.checked)}
+            disabled={!trip.isNew}
+          />
+          Sprint before this trip
+        </label>
+      </div>
+
+      {/* Single Make/Miss Buttons */}
+      <div className="shot-buttons">
+        <button
+          className="shot-button miss-button"
+          onClick={() => handleShot(false)}
+          disabled={!canShoot}
+        >
+          <span className="button-icon">✗</span>
+          <span className="button-text">MISS</span>
+        </button>
+
+        <button
+          className="shot-button make-button"
+          onClick={() => handleShot(true)}
+          disabled={!canShoot}
+        >
+          <span className="button-icon">✓</span>
+          <span className="button-text">MAKE</span>
+        </button>
+      </div>
+
+      {/* Session Status Warning */}
+      {!canShoot && (
+        <div className="session-warning">
+          {!sessionStarted ? 'Start session to begin tracking free throws' : 'Session paused - resume to continue'}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FreeThrowPanel;
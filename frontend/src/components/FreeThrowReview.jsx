@@ -0,0 +1,53 @@
+import React from 'react';
+import './FreeThrowReview.css';
+import { freeThrowTrips, TRIP_SIZES } from '../utils/freeThrowTrips';
+
+// FreeThrowReview: Session review for the free-throw test - Called from App.jsx Session Review dialog
+const FreeThrowReview = ({ shots }) => {
+  const stats = freeThrowTrips.calculateStats(shots);
+
+  const cards = [
+    { label: 'Overall', summary: stats.overall },
+    ...TRIP_SIZES
+      .filter(attempt => stats.byAttempt[attempt].attempts > 0)
+      .map(attempt => ({ label: `${['1st', '2nd', '3rd'][attempt - 1]} attempt`, summary: stats.byAttempt[attempt] })),
+    { label: 'Fresh', summary: stats.fresh },
+    { label: 'After sprint', summary: stats.afterSprint }
+  ];
+
+  return (
+    <div>
+      <div className="free-throw-review-grid">
+        {cards.map(card => (
+          <div key={card.label} className="free-throw-review-card">
+            <div className="free-throw-review-card-label">{card.label}</div>
+            <div className="free-throw-review-card-value">
+              {card.summary.attempts > 0 ? `${card.summary.percentage}%` : '-'}
+            </div>
+            <div className="free-throw-review-card-label">{card.summary.made}/{card.summary.attempts}</div>
+          </div>
+        ))}
+      </div>
+
+      {/* Trip by trip */}
+      <div className="free-throw-review-trips">
+        {stats.trips.map(trip => (
+          <div key={trip.tripID} className="free-throw-review-trip">
+            <span>
+              Trip {trip.tripNumber} ({trip.tripSize} FT{trip.afterSprint ? ', after sprint' : ''})
+            </span>
+            <span>
+              {trip.results.map((made, index) => (
+                <span key={index} className={`free-throw-review-result ${made ? 'made' : 'missed'}`}>
+                  {made ? ' ✓' : ' ✗'}
+                </span>
+              ))}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default FreeThrowReview;
@@ -1,13 +1,18 @@
 import React, { useState, useRef } from 'react';
+import Modal from './Modal';
 import './HistoryLog.css';
+import { zoneRegistry } from '../utils/zoneRegistry';
 
-// HistoryLog: Real-time shot history display with timestamps - Called from App.jsx renderContent()
+// HistoryLog: Real-time shot history display with timestamps; entries open a shot editor - Called from App.jsx renderContent()
 const HistoryLog = ({ 
   shots, 
   playerName = "Guest", 
   sessionStartTime, 
   totalPausedTime = 0,
-  isIPhoneLandscape
+  isIPhoneLandscape,
+  onEditShot,
+  onRemoveShot,
+  zones = zoneRegistry.getZoneSet().zones   // Zones a shot can be moved to when it is corrected
 }) => {
   const effectiveIsIPhone = isIPhoneLandscape !== undefined ? 
     /iPhone/i.test(navigator.userAgent) : 
@@ -15,19 +20,41 @@ const HistoryLog = ({
   
   const [isCollapsed, setIsCollapsed] = useState(!effectiveIsIPhone);
   const scrollRef = useRef(null);
+  const [editingShotIndex, setEditingShotIndex] = useState(null);  // Number: index in shots of the shot being corrected
+  const [editDraft, setEditDraft] = useState(null);                // Object: { location, made } chosen in the editor
+  
+  const canEdit = typeof onEditShot === 'function';
 
-  // formatLocation: Converts zone IDs to readable names - Called by shot display
-  const formatLocation = (location) => {
-    const map = {
-      left_corner: "L Corner",      // Left corner three-point area
-      left_wing: "L Wing",          // Left wing three-point area
-      top_key: "Top of Key",        // Paint and free throw extended area
-      right_wing: "R Wing",         // Right wing three-point area
-      right_corner: "R Corner",     // Right corner three-point area
-    };
-    return map[location] || location;
+  // openShotEditor: Selects a shot for correction - Called by clicking a log entry
+  const openShotEditor = (shotIndex) => {
+    if (!canEdit || !shots[shotIndex]) return;
+    setEditingShotIndex(shotIndex);
+    setEditDraft({ location: shots[shotIndex].location, made: shots[shotIndex].made });
   };
 
+  const closeShotEditor = () => {
+    setEditingShotIndex(null);
+    setEditDraft(null);
+  };
+
+  const handleSaveEdit = () => {
+    const shot = shots[editingShotIndex];
+    if (shot && (shot.location !== editDraft.location || shot.made !== editDraft.made)) {
+      onEditShot(editingShotIndex, editDraft);
+    }
+    closeShotEditor();
+  };
+
+  const handleRemoveShot = () => {
+    if (typeof onRemoveShot === 'function') {
+      onRemoveShot(editingShotIndex);
+    }
+    closeShotEditor();
+  };
+
+  // formatLocation: Converts zone IDs to readable names - Called by shot display
+  const formatLocation = (location) => zoneRegistry.getZoneLabel(location, { short: true });
+
   // formatTime: Converts timer values to MM:SS format - Called by shot display
   const formatTime = (shot) => {
     // If the shot has a stored timer value, use that (new shots)
@@ -68,7 +95,10 @@ const HistoryLog = ({
           <div className="separator-line"></div>
           <div className="latest-shot">
             {shots.length > 0 ? (
-              <div className="log-entry">
+              <div
+                className={`log-entry ${canEdit ? 'selectable' : ''}`}
+                onClick={() => openShotEditor(shots.length - 1)}
+              >
                 <strong>{playerName}:</strong> Shot {shots.length} <span className={shots[shots.length - 1].made ? "shot-made" : "shot-missed"}>{shots[shots.length - 1].made ? "made" : "missed"}</span> from <i>{formatLocation(shots[shots.length - 1].location)}</i>
                 <span className="shot-timestamp">at {formatTime(shots[shots.length - 1])}</span>
               </div>
@@ -83,7 +113,11 @@ const HistoryLog = ({
           <div className="log-container">
             <div className="log-scroll" ref={scrollRef}>
               {shots.slice().reverse().map((shot, index) => (
-                <div key={shots.length - index - 1} className="log-entry">
+                <div
+                  key={shots.length - index - 1}
+                  className={`log-entry ${canEdit ? 'selectable' : ''}`}
+                  onClick={() => openShotEditor(shots.length - index - 1)}
+                >
                   <strong>{playerName}:</strong> Shot {shots.length - index} <span className={shot.made ? "shot-made" : "shot-missed"}>{shot.made ? "made" : "missed"}</span> from <i>{formatLocation(shot.location)}</i>
                   <span className="shot-timestamp">at {formatTime(shot)}</span>
                 </div>
@@ -92,6 +126,56 @@ const HistoryLog = ({
           </div>
         </>
       )}
+
+      {/* Shot Editor - correct the zone or result of one shot, or remove it */}
+      <Modal
+        isOpen={editingShotIndex !== null && editDraft !== null}
+        onClose={closeShotEditor}
+        title={`Edit Shot ${editingShotIndex + 1}`}
+      >
+        {editDraft && (
+          <>
+            <p>Zone</p>
+            <div className="shot-edit-options">
+              {zones.map(zone => (
+                <button
+                  key={zone.id}
+                  className={`shot-edit-option ${editDraft.location === zone.id ? 'active' : ''}`}
+                  onClick={() => setEditDraft({ ...editDraft, location: zone.id })}
+                >
+                  {zone.shortLabel}
+                </button>
+              ))}
+            </div>
+            <p>Result</p>
+            <div className="shot-edit-options">
+              <button
+                className={`shot-edit-option ${editDraft.made ? 'active' : ''}`}
+                onClick={() => setEditDraft({ ...editDraft, made: true })}
+              >
+                Made
+              </button>
+              <button
+                className={`shot-edit-option ${!editDraft.made ? 'active' : ''}`}
+                onClick={() => setEditDraft({ ...editDraft, made: false })}
+              >
+                Missed
+              </button>
+            </div>
+            <div className="modal-button-container">
+              <button onClick={handleSaveEdit} className="modal-btn-success">
+                Save Changes
+              </button>
+              <button onClick={handleRemoveShot} className="modal-btn-danger">
+                Remove Shot
+              </button>
+              <button onClick={closeShotEditor} className="modal-btn-neutral">
+                Cancel
+              </button>
+            </div>
+          </>
+        )}
+      </Modal>
     </div>
   );
 };
@@ -13,6 +13,9 @@
  * User Workflows:
  * 1. Conduct New Shooting Test: Player Selection → Shooting Session → Results
  * 2. Download Results: Historical Data → Export Options → CSV Download
+ * 3. Resume Session: Continue a test interrupted by a browser reload or crash
+ * 4. Abandoned Sessions: Admin cleanup of sessions that were never ended
+ * 5. Zone Sets: Define custom shooting spots (mid-range, elbows, 7-spot arc...)
  * 
  * Visual Design:
  * - Cavaliers wine (#6F263D) and gold (#FFB81C) color scheme
@@ -30,6 +33,11 @@ import './HomePage.css';
  * Props:
  * @param {Function} onStartNewTest - Callback to initiate new shooting session workflow
  * @param {Function} onDownloadResults - Callback to access historical data and export functionality
+ * @param {Object} recoverableSession - Snapshot of an interrupted session (null when there is none)
+ * @param {Function} onResumeSession - Callback to restore the interrupted session
+ * @param {Function} onDismissRecoverableSession - Callback to forget the interrupted session
+ * @param {Function} onManageAbandonedSessions - Callback to open the abandoned-session admin tool
+ * @param {Function} onManageZoneSets - Callback to open the zone set editor
  * 
  * State: Stateless component focusing on navigation and user flow direction
  * 
@@ -40,7 +48,7 @@ import './HomePage.css';
  * - Clear, descriptive button labels for cognitive accessibility
  */
 // HomePage: Landing page with navigation options - Called from App.jsx renderContent()
-const HomePage = ({ onStartNewTest, onDownloadResults }) => {
+const HomePage = ({ onStartNewTest, onDownloadResults, recoverableSession, onResumeSession, onDismissRecoverableSession, onManageAbandonedSessions, onManageZoneSets }) => {
   return (
     <div className="home-page">
       <div className="home-content">
@@ -49,6 +57,28 @@ const HomePage = ({ onStartNewTest, onDownloadResults }) => {
         
         {/* PRIMARY NAVIGATION: Core application workflows */}
         <div className="home-buttons">
+          {/* SESSION RECOVERY: Offer to continue a test interrupted by a reload */}
+          {recoverableSession && (
+            <div className="resume-session-card">
+              <button 
+                className="home-button resume-session-button"
+                onClick={onResumeSession}
+                title="Continue the interrupted session with its timer, shots and Firebase log"
+              >
+                Resume session for {recoverableSession.selectedPlayer.name}
+              </button>
+              <div className="resume-session-details">
+                {(recoverableSession.shots || []).length} shots recorded - interrupted {new Date(recoverableSession.savedAt).toLocaleTimeString()}
+              </div>
+              <button 
+                className="resume-session-dismiss"
+                onClick={onDismissRecoverableSession}
+              >
+                Dismiss
+              </button>
+            </div>
+          )}
+          
           {/* NEW SESSION WORKFLOW: Start fresh shooting session */}
           <button 
             className="home-button start-test-button"
@@ -66,6 +96,24 @@ const HomePage = ({ onStartNewTest, onDownloadResults }) => {
           >
             Download Shooting Test Results
           </button>
+          
+          {/* ADMIN WORKFLOW: Resolve sessions that were never ended */}
+          <button 
+            className="home-button download-button"
+            onClick={onManageAbandonedSessions}
+            title="Resume, close out or purge sessions that were exited or left open"
+          >
+            Abandoned Sessions
+          </button>
+          
+          {/* SETUP WORKFLOW: Custom zone sets for drills */}
+          <button 
+            className="home-button download-button"
+            onClick={onManageZoneSets}
+            title="Create and edit the sets of shooting spots a test can use"
+          >
+            Zone Sets
+          </button>
         </div>
       </div>
     </div>
@@ -11,6 +11,8 @@
  * 4. Progressive loading with visual feedback and time estimation
  * 5. Sample data initialization for first-time setup
  * 6. Error handling with graceful degradation
+ * 7. Drill template choice (shots, zones and limits of the test)
+ * 8. Group sessions: several players rotating through the spots on one device
  * 
  * User Experience Design:
  * - Clear visual hierarchy with player photos and jersey numbers
@@ -26,13 +28,15 @@
 import React, { useState, useEffect } from 'react';
 import './PlayerSelection.css';
 import { playersService, initializeSampleData } from '../firebase/services';
+import { drillTemplateRegistry, DEFAULT_DRILL_TEMPLATE_ID } from '../utils/drillTemplates';
 
 // PlayerSelection: Roster interface for shooting session setup - Called from App.jsx renderContent()
 /**
  * PLAYER SELECTION COMPONENT: Roster interface for shooting session setup
  * 
  * Props:
- * @param {Function} onPlayerSelected - Callback when player is chosen (receives player object)
+ * @param {Function} onPlayerSelected - Callback when player is chosen (receives player object and drill templateID)
+ * @param {Function} onGroupSelected - Callback when a group session is chosen (receives the player objects in rotation order and drill templateID)
  * @param {Function} onBackToHome - Callback to return to home screen
  * 
  * State Management:
@@ -40,13 +44,16 @@ import { playersService, initializeSampleData } from '../firebase/services';
  * - UI state: Loading indicators, error handling, progress tracking
  * - Responsive state: Orientation and layout adaptation
  */
-const PlayerSelection = ({ onPlayerSelected, onBackToHome }) => {
+const PlayerSelection = ({ onPlayerSelected, onGroupSelected, onBackToHome }) => {
   /**
    * PLAYER SELECTION STATE
    * Manages the currently selected player and available roster
    */
   const [selectedPlayer, setSelectedPlayer] = useState('');    // Currently selected player ID
   const [players, setPlayers] = useState([]);                 // Array of available players from Firebase
+  const [drillTemplateID, setDrillTemplateID] = useState(DEFAULT_DRILL_TEMPLATE_ID); // Drill template the test follows
+  const [groupMode, setGroupMode] = useState(false);          // Boolean: several players rotate through the spots on this device
+  const [groupPlayerIDs, setGroupPlayerIDs] = useState([]);   // Array: player IDs of the group, in rotation order (order picked)
   
   /**
    * LOADING AND ERROR STATE
@@ -230,25 +237,46 @@ const PlayerSelection = ({ onPlayerSelected, onBackToHome }) => {
       isGuest: true // Flag to indicate this is a guest session
     };
     
-    onPlayerSelected(guestPlayer);
+    onPlayerSelected(guestPlayer, drillTemplateID);
   };
 
+  // Player object handed to App.jsx (both the document ID and the playerID)
+  const toSelectedPlayer = (playerObj) => ({
+    id: playerObj.id,
+    playerID: playerObj.playerID,
+    name: playerObj.name,
+    jerseyNumber: playerObj.jerseyNumber,
+    position: playerObj.position
+  });
+
   const handleStartTest = () => {
     if (selectedPlayer) {
       // Find the full player object
       const playerObj = players.find(p => p.id === selectedPlayer);
       if (playerObj) {
         // Pass both the player ID and full player object
-        onPlayerSelected({
-          id: playerObj.id,
-          name: playerObj.name,
-          jerseyNumber: playerObj.jerseyNumber,
-          position: playerObj.position
-        });
+        onPlayerSelected(toSelectedPlayer(playerObj), drillTemplateID);
       }
     }
   };
 
+  // Add or remove a player from the group; the rotation follows the order players were picked
+  const handleToggleGroupPlayer = (playerID) => {
+    setGroupPlayerIDs(prev => (prev.includes(playerID)
+      ? prev.filter(id => id !== playerID)
+      : [...prev, playerID]));
+  };
+
+  const handleStartGroup = () => {
+    const groupPlayers = groupPlayerIDs
+      .map(id => players.find(p => p.id === id))
+      .filter(Boolean)
+      .map(toSelectedPlayer);
+    if (groupPlayers.length >= 2) {
+      onGroupSelected(groupPlayers, drillTemplateID);
+    }
+  };
+
   // Loading state with progress bar
   if (loading) {
     return (
@@ -364,8 +392,46 @@ const PlayerSelection = ({ onPlayerSelected, onBackToHome }) => {
           </div>
         )}
         
+        {/* Group session: several players share the rebounder and this device */}
+        {players.length > 1 && (
+          <label className="group-mode-toggle">
+            <input
+              type="checkbox"
+              checked={groupMode}
+              onChange={(e) => setGroupMode(e.target.checked)}
+            />
+            Group session (players rotate through the spots)
+          </label>
+        )}
+
+        {/* Group players: checkboxes, rotation in the order picked */}
+        {players.length > 1 && groupMode && (
+          <div className="dropdown-container">
+            <span className="dropdown-label">
+              Choose the players in the rotation:
+            </span>
+            <div className={`group-player-list ${isLandscape ? 'landscape' : ''}`}>
+              {players.map((player) => (
+                <label key={player.id} className={`group-player-option ${groupPlayerIDs.includes(player.id) ? 'selected' : ''}`}>
+                  <input
+                    type="checkbox"
+                    checked={groupPlayerIDs.includes(player.id)}
+                    onChange={() => handleToggleGroupPlayer(player.id)}
+                  />
+                  {player.name} {player.jerseyNumber ? `#${player.jerseyNumber}` : ''}
+                </label>
+              ))}
+            </div>
+            {groupPlayerIDs.length > 0 && (
+              <div className={`drill-template-description ${isLandscape ? 'landscape' : ''}`}>
+                Rotation: {groupPlayerIDs.map(id => players.find(p => p.id === id)?.name).join(' → ')}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Player selection dropdown */}
-        {players.length > 0 && (
+        {players.length > 0 && !groupMode && (
           <>
             <div className="dropdown-container">
               <label htmlFor="player-dropdown" className="dropdown-label">
@@ -416,6 +482,28 @@ const PlayerSelection = ({ onPlayerSelected, onBackToHome }) => {
           </>
         )}
 
+        {/* Drill template: shots per zone, shot cap, time limit and rest of the test */}
+        <div className="dropdown-container">
+          <label htmlFor="drill-template-dropdown" className="dropdown-label">
+            Drill:
+          </label>
+          <select
+            id="drill-template-dropdown"
+            className="player-dropdown"
+            value={drillTemplateID}
+            onChange={(e) => setDrillTemplateID(e.target.value)}
+          >
+            {drillTemplateRegistry.getDrillTemplates().map((template) => (
+              <option key={template.templateID} value={template.templateID}>
+                {template.name}
+              </option>
+            ))}
+          </select>
+          <div className={`drill-template-description ${isLandscape ? 'landscape' : ''}`}>
+            {drillTemplateRegistry.getDrillTemplate(drillTemplateID).description}
+          </div>
+        </div>
+
         <div className="selection-buttons">
           <button 
             className="selection-button back-button"
@@ -423,13 +511,23 @@ const PlayerSelection = ({ onPlayerSelected, onBackToHome }) => {
           >
             Back to Home
           </button>
-          <button 
-            className="selection-button start-button"
-            onClick={handleStartTest}
-            disabled={!selectedPlayer}
-          >
-            Start Shooting Test
-          </button>
+          {groupMode ? (
+            <button 
+              className="selection-button start-button"
+              onClick={handleStartGroup}
+              disabled={groupPlayerIDs.length < 2}
+            >
+              Start Group Session
+            </button>
+          ) : (
+            <button 
+              className="selection-button start-button"
+              onClick={handleStartTest}
+              disabled={!selectedPlayer}
+            >
+              Start Shooting Test
+            </button>
+          )}
         </div>
 
         {/* Guest Mode Option */}
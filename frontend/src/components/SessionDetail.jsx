@@ -0,0 +1,401 @@
+import React, { useState, useEffect } from 'react';
+import './DownloadResults.css';
+import './SessionDetail.css';
+import { sessionEditorService } from '../firebase/sessionEditor';
+import { zoneRegistry } from '../utils/zoneRegistry';
+import { drillTemplateRegistry } from '../utils/drillTemplates';
+import { courtProfileRegistry } from '../utils/courtProfiles';
+
+const AUDIT_ACTION_LABELS = {
+  shot_edit: 'Shot corrected',
+  session_date_change: 'Date changed',
+  session_delete: 'Session deleted'
+};
+
+// SessionDetail: Saved session timeline with sign-in and PIN gated corrections and audit trail - Called from DownloadResults manual selection
+const SessionDetail = ({ logID, playerName, onClose, onSessionChanged }) => {
+  const [detail, setDetail] = useState(null);                 // Object: { log, timeline, auditEntries }
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [pin, setPin] = useState('');
+  const [editorName, setEditorName] = useState('');           // String: editor's name (local backends) or sign-in email (Firestore)
+  const [password, setPassword] = useState('');
+  const [editor, setEditor] = useState(null);                 // Object: { name, uid } once unlocked, corrections allowed
+  const [shotDrafts, setShotDrafts] = useState({});           // Object: shotID → { shotZone, shotResult } being edited
+  const [sessionDateDraft, setSessionDateDraft] = useState('');
+  const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [migrationProgress, setMigrationProgress] = useState(null);  // Object: { completed, total } while protecting older sessions
+  const [migrationMessage, setMigrationMessage] = useState('');
+
+  useEffect(() => {
+    loadDetail(logID);
+  }, [logID]);
+
+  // Editors stay signed in only while the detail view is open
+  useEffect(() => {
+    return () => {
+      sessionEditorService.signOut().catch(error => console.error('Error signing out session editor:', error));
+    };
+  }, []);
+
+  const unlocked = editor !== null;
+  const requiresSignIn = sessionEditorService.requiresSignIn();
+
+  const loadDetail = async (id) => {
+    try {
+      setLoading(true);
+      setErrorMessage('');
+      const loaded = await sessionEditorService.loadSessionDetail(id);
+      setDetail(loaded);
+      setSessionDateDraft((loaded.log.sessionDate || '').slice(0, 16)); // datetime-local format
+      setShotDrafts({});
+    } catch (error) {
+      console.error('Error loading session detail:', error);
+      setErrorMessage('Failed to load session. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUnlock = async () => {
+    if (!editorName.trim()) {
+      setErrorMessage(requiresSignIn ? 'Enter your editor account email.' : 'Enter your name so changes can be attributed to you.');
+      return;
+    }
+    if (!sessionEditorService.verifyPin(pin)) {
+      setErrorMessage('Incorrect PIN.');
+      return;
+    }
+    try {
+      setSaving(true);
+      setErrorMessage('');
+      // The PIN is only a UI step; the security rules check the signed-in editor
+      const unlockedEditor = requiresSignIn
+        ? await sessionEditorService.signIn(editorName, password)
+        : { name: editorName.trim(), uid: null };
+      setPin('');
+      setPassword('');
+      setEditor(unlockedEditor);
+    } catch (error) {
+      console.error('Error signing in session editor:', error);
+      setErrorMessage(`Sign-in failed: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Run a change, then reload the session so the timeline, stats and audit trail are current
+  const runChange = async (change) => {
+    try {
+      setSaving(true);
+      setErrorMessage('');
+      await change();
+      await loadDetail(logID);
+      onSessionChanged(logID, { deleted: false });
+    } catch (error) {
+      console.error('Error saving session change:', error);
+      setErrorMessage(`Failed to save change: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateShotDraft = (shot, field, value) => {
+    const current = shotDrafts[shot.shotID] || { shotZone: shot.shotZone, shotResult: shot.shotResult };
+    setShotDrafts({ ...shotDrafts, [shot.shotID]: { ...current, [field]: value } });
+  };
+
+  const handleSaveShot = (shot) => {
+    const after = shotDrafts[shot.shotID];
+    if (!after || (after.shotZone === shot.shotZone && after.shotResult === shot.shotResult)) {
+      return;
+    }
+    runChange(() => sessionEditorService.correctShot(logID, shot, after, editor));
+  };
+
+  const handleSaveDate = () => {
+    if (!sessionDateDraft) {
+      return;
+    }
+    // Stored dates are Eastern Time ISO strings without a timezone suffix
+    const sessionDate = `${sessionDateDraft}:00.000`;
+    runChange(() => sessionEditorService.changeSessionDate(logID, sessionDate, editor));
+  };
+
+  const handleConfirmDelete = async () => {
+    try {
+      setShowDeleteConfirm(false);
+      setSaving(true);
+      setErrorMessage('');
+      await sessionEditorService.deleteSession(logID, editor);
+      onSessionChanged(logID, { deleted: true });
+      onClose();
+    } catch (error) {
+      console.error('Error deleting session:', error);
+      setErrorMessage(`Failed to delete session: ${error.message}`);
+      setSaving(false);
+    }
+  };
+
+  // One-off migration so the security rules also cover sessions saved by older versions
+  const handleProtectOlderSessions = async () => {
+    try {
+      setSaving(true);
+      setErrorMessage('');
+      setMigrationMessage('');
+      setMigrationProgress({ completed: 0, total: 0 });
+      const summary = await sessionEditorService.protectOlderSessions((completed, total) => setMigrationProgress({ completed, total }));
+      setMigrationMessage(`Checked ${summary.total} sessions - ${summary.migrated} older sessions are now protected.`);
+      if (summary.failed.length > 0) {
+        setErrorMessage(`${summary.failed.length} session(s) could not be migrated: ${summary.failed.map(failure => failure.logID).join(', ')}`);
+      }
+      await loadDetail(logID);
+    } catch (error) {
+      console.error('Error protecting older sessions:', error);
+      setErrorMessage(`Failed to protect older sessions: ${error.message}`);
+    } finally {
+      setMigrationProgress(null);
+      setSaving(false);
+    }
+  };
+
+  const formatDateTime = (value) => {
+    if (!value) return 'N/A';
+    return new Date(value).toLocaleString();
+  };
+
+  const formatZone = (zoneId) => (zoneId ? zoneRegistry.getZoneLabel(zoneId) : '');
+
+  const formatAuditValue = (value) => {
+    if (value === null || value === undefined) return '-';
+    if (typeof value === 'string') return value;
+    if (value.shotZone) return `${formatZone(value.shotZone)} ${value.shotResult}`;
+    return Object.entries(value).map(([key, fieldValue]) => `${key}: ${fieldValue}`).join(', ');
+  };
+
+  const log = detail?.log;
+  const zoneSet = zoneRegistry.getZoneSet(log?.zoneSetID);  // Zones a saved shot can be corrected to
+
+  // A shot from a zone outside the set (e.g. a deleted custom zone) keeps its zone as an option
+  const zoneOptionsFor = (shot) => (zoneSet.zones.some(zone => zone.id === shot.shotZone)
+    ? zoneSet.zones
+    : [...zoneSet.zones, zoneRegistry.getZone(shot.shotZone)]);
+
+  return (
+    <div className="manual-selection-container session-detail">
+      <div className="manual-selection-header">
+        <h3>{playerName} - {formatDateTime(log?.sessionDate)}</h3>
+        <button className="cancel-button" onClick={onClose} disabled={saving}>
+          Back to Sessions
+        </button>
+      </div>
+
+      {errorMessage && (
+        <div className="error-message">
+          {errorMessage}
+        </div>
+      )}
+
+      {loading && !detail && <div className="session-detail-note">Loading session...</div>}
+
+      {log && (
+        <>
+          <div className="session-detail-summary">
+            <span>FGA: {log.totalShots || 0}</span>
+            <span>FGM: {log.totalMade || 0}</span>
+            <span>Accuracy: {Math.round((log.accuracy || 0) * 100)}%</span>
+            <span>PTS: {log.totalPoints || 0}</span>
+            <span>PTS/Shot: {(log.pointsPerShot || 0).toFixed(2)}</span>
+            <span>eFG%: {Math.round((log.effectiveFGPct || 0) * 100)}%</span>
+            <span>Zones: {zoneSet.name}</span>
+            <span>Drill: {drillTemplateRegistry.getDrillTemplate(log.drillTemplateID).name}</span>
+            <span>Court: {courtProfileRegistry.getProfileName(log.courtProfileID)}</span>
+            {log.groupID && <span>Group session: {log.groupID.slice(-8)}</span>}
+          </div>
+
+          {/* Editor access */}
+          {!sessionEditorService.isEditingEnabled() ? (
+            <div className="session-detail-note">Editing is disabled: no session editor PIN is configured.</div>
+          ) : !unlocked ? (
+            <div className="session-detail-unlock">
+              <input
+                type={requiresSignIn ? 'email' : 'text'}
+                className="form-input"
+                placeholder={requiresSignIn ? 'Editor email' : 'Your name'}
+                value={editorName}
+                onChange={(e) => setEditorName(e.target.value)}
+              />
+              {requiresSignIn && (
+                <input
+                  type="password"
+                  className="form-input"
+                  placeholder="Password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                />
+              )}
+              <input
+                type="password"
+                inputMode="numeric"
+                className="form-input"
+                placeholder="Editor PIN"
+                value={pin}
+                onChange={(e) => setPin(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleUnlock()}
+              />
+              <button className="search-button" onClick={handleUnlock} disabled={saving}>
+                Unlock Editing
+              </button>
+            </div>
+          ) : (
+            <div className="session-detail-unlock">
+              <label className="form-label">Session date:</label>
+              <input
+                type="datetime-local"
+                className="form-input"
+                value={sessionDateDraft}
+                onChange={(e) => setSessionDateDraft(e.target.value)}
+                disabled={saving}
+              />
+              <button className="search-button" onClick={handleSaveDate} disabled={saving || !sessionDateDraft}>
+                Save Date
+              </button>
+              <button className="session-detail-delete" onClick={() => setShowDeleteConfirm(true)} disabled={saving}>
+                Delete Session
+              </button>
+              {requiresSignIn && (
+                <button
+                  className="search-button"
+                  onClick={handleProtectOlderSessions}
+                  disabled={saving}
+                  title="Mark sessions saved by older versions as saved so only editors can change them (see firebase-setup.md)"
+                >
+                  {migrationProgress ? `Protecting ${migrationProgress.completed}/${migrationProgress.total}...` : 'Protect Older Sessions'}
+                </button>
+              )}
+            </div>
+          )}
+
+          {migrationMessage && <div className="session-detail-note">{migrationMessage}</div>}
+
+          {/* Shots and events in sequence order */}
+          <div className="sessions-table-container">
+            <table className="sessions-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Time</th>
+                  <th>Type</th>
+                  <th>Zone</th>
+                  <th>Result</th>
+                  {unlocked && <th>Correct</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {detail.timeline.map(record => {
+                  const isShot = record.type === 'shot';
+                  const draft = isShot ? (shotDrafts[record.shotID] || { shotZone: record.shotZone, shotResult: record.shotResult }) : null;
+                  return (
+                    <tr key={`${record.type}_${record.shotID || record.eventID}`} className={record.undone ? 'session-detail-undone' : ''}>
+                      <td>{record.sequenceNumber}</td>
+                      <td>{formatDateTime(record.timestamp)}</td>
+                      <td>{isShot ? (record.undone ? 'shot (removed)' : 'shot') : record.eventType}</td>
+                      <td>{isShot ? formatZone(record.shotZone) : formatZone(record.eventData?.shotZone)}</td>
+                      <td>{isShot ? record.shotResult : ''}</td>
+                      {unlocked && (
+                        <td>
+                          {isShot && !record.undone && (
+                            <div className="session-detail-shot-editor">
+                              <select
+                                className="form-select"
+                                value={draft.shotZone}
+                                onChange={(e) => updateShotDraft(record, 'shotZone', e.target.value)}
+                                disabled={saving}
+                              >
+                                {zoneOptionsFor(record).map(zone => (
+                                  <option key={zone.id} value={zone.id}>{zone.label}</option>
+                                ))}
+                              </select>
+                              <select
+                                className="form-select"
+                                value={draft.shotResult}
+                                onChange={(e) => updateShotDraft(record, 'shotResult', e.target.value)}
+                                disabled={saving}
+                              >
+                                <option value="made">made</option>
+                                <option value="missed">missed</option>
+                              </select>
+                              <button
+                                className="session-detail-save"
+                                onClick={() => handleSaveShot(record)}
+                                disabled={saving || (draft.shotZone === record.shotZone && draft.shotResult === record.shotResult)}
+                              >
+                                Save
+                              </button>
+                            </div>
+                          )}
+                        </td>
+                      )}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Audit trail */}
+          <h3 className="session-detail-section-title">Change History</h3>
+          {detail.auditEntries.length === 0 ? (
+            <div className="session-detail-note">No changes have been made to this session.</div>
+          ) : (
+            <div className="sessions-table-container">
+              <table className="sessions-table">
+                <thead>
+                  <tr>
+                    <th>When</th>
+                    <th>Who</th>
+                    <th>Change</th>
+                    <th>Before</th>
+                    <th>After</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {detail.auditEntries.map(entry => (
+                    <tr key={entry.auditID}>
+                      <td>{formatDateTime(entry.timestamp)}</td>
+                      <td>{entry.editedBy}</td>
+                      <td>{AUDIT_ACTION_LABELS[entry.action] || entry.action}</td>
+                      <td>{formatAuditValue(entry.before)}</td>
+                      <td>{formatAuditValue(entry.after)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Delete Confirmation Modal */}
+      {showDeleteConfirm && (
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <h3>Delete Session</h3>
+            <p>This permanently deletes the session with all of its shots and events. The deletion is recorded in the audit trail.</p>
+            <div className="modal-buttons">
+              <button className="modal-button cancel" onClick={handleConfirmDelete}>
+                Delete
+              </button>
+              <button className="modal-button secondary" onClick={() => setShowDeleteConfirm(false)}>
+                Keep Session
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionDetail;
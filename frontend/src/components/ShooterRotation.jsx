@@ -0,0 +1,31 @@
+import React from 'react';
+import './ShooterRotation.css';
+
+// ShooterRotation: One-tap switch between the players of a group session - Called from App.jsx shooting view and Session Review
+const ShooterRotation = ({
+  shooters,          // Array: { player, shots } of every player in rotation order (see App.jsx getShooters)
+  activePlayerID,    // String: id of the player whose shots are being recorded
+  onSwitchShooter,   // Function: receives the player to make the active shooter
+  theme = 'dark'     // String: 'dark' on the wine shooting view, 'light' inside the white review dialog
+}) => (
+  <div className={`shooter-rotation ${theme}`}>
+    {shooters.map(({ player, shots }) => {
+      const made = shots.filter(shot => shot.made).length;
+      return (
+        <button
+          key={player.id}
+          className={`shooter-rotation-button ${player.id === activePlayerID ? 'active' : ''}`}
+          onClick={() => onSwitchShooter(player)}
+          aria-pressed={player.id === activePlayerID}
+        >
+          <span className="shooter-rotation-name">
+            {player.name}{player.jerseyNumber ? ` #${player.jerseyNumber}` : ''}
+          </span>
+          <span className="shooter-rotation-stats">{made}/{shots.length}</span>
+        </button>
+      );
+    })}
+  </div>
+);
+
+export default ShooterRotation;
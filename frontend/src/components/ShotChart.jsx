@@ -0,0 +1,181 @@
+import React, { useRef, useState } from 'react';
+import './ShotChart.css';
+import { COURT_VIEWBOX, parsePolygon, getPolygonBounds } from '../utils/geometry';
+import { courtLayoutRegistry, getCourtZones } from '../utils/courtLayout';
+import { courtProfileRegistry } from '../utils/courtProfiles';
+import { shotChart, CHART_COLORS, ZONE_FILL_OPACITY, FG_BENCHMARKS } from '../utils/shotChart';
+
+// Height of the legend strip under the court, in viewBox units
+const LEGEND_HEIGHT = 8;
+
+const LEGEND_ITEMS = [
+  { rating: 'above', label: 'Above benchmark' },
+  { rating: 'at', label: 'At benchmark' },
+  { rating: 'below', label: 'Below benchmark' }
+];
+
+/**
+ * ShotChart Component: Shots on the court, zones coloured by FG% against a benchmark
+ *
+ * Uses the same court image and viewBox as CourtTracker, so shots recorded on
+ * the court appear at the spot they were tapped. The court is the layout's
+ * court profile: pass shots from sessions shot on that court only. Zone colours work for every
+ * shot, including ZoneButtons shots that have no coordinates; zones without a
+ * drawing on the court are left out of the chart.
+ *
+ * The legend is part of the SVG, so the exported SVG/PNG stands on its own.
+ */
+// ShotChart: Court shot chart with SVG/PNG export - Called from the App.jsx Session Review and DownloadResults
+const ShotChart = ({
+  shots = [],
+  title = 'Shot Chart',
+  exportName = 'shot_chart',
+  layout = courtLayoutRegistry.getActiveLayout() // Object: court layout whose zones are coloured (its court profile is drawn)
+}) => {
+  const svgRef = useRef(null);
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState('');
+
+  const profile = courtProfileRegistry.getProfile(layout.profileID);
+  const zones = getCourtZones(null, layout);
+  const zoneStats = shotChart.getZoneStats(shots);
+  const markers = shotChart.getMarkers(shots);
+  const height = COURT_VIEWBOX.height + LEGEND_HEIGHT;
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    setExportError('');
+    try {
+      await shotChart.exportChart(svgRef.current, format, exportName);
+    } catch (error) {
+      console.error('Error exporting shot chart:', error);
+      setExportError('Failed to export the shot chart. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="shot-chart">
+      <svg
+        ref={svgRef}
+        className="shot-chart-svg"
+        viewBox={`0 0 ${COURT_VIEWBOX.width} ${height}`}
+        role="img"
+        aria-label={title}
+      >
+        <rect x="0" y="0" width={COURT_VIEWBOX.width} height={height} fill="#ffffff" />
+        <image
+          href={profile.imageURL}
+          x="0"
+          y="0"
+          width={COURT_VIEWBOX.width}
+          height={COURT_VIEWBOX.height}
+          preserveAspectRatio="none"
+        />
+
+        {/* Zones coloured by FG% against the benchmark of their shot value */}
+        {zones.map(zone => {
+          const stats = zoneStats[zone.id];
+          return (
+            <polygon
+              key={zone.id}
+              points={zone.polygon}
+              fill={stats ? CHART_COLORS[stats.rating] : 'none'}
+              fillOpacity={ZONE_FILL_OPACITY}
+              stroke="#6F263D"
+              strokeWidth="0.2"
+            />
+          );
+        })}
+
+        {/* Made/attempts and FG% at the centre of each zone */}
+        {zones.filter(zone => zoneStats[zone.id]).map(zone => {
+          const stats = zoneStats[zone.id];
+          const center = getPolygonCenter(zone.polygon);
+          return (
+            <text
+              key={`label-${zone.id}`}
+              x={center.x}
+              y={center.y}
+              textAnchor="middle"
+              fontSize="2.2"
+              fontWeight="bold"
+              fill="#ffffff"
+              stroke="#6F263D"
+              strokeWidth="0.15"
+              paintOrder="stroke"
+            >
+              {stats.made}/{stats.attempts} · {Math.round(stats.fgPct * 100)}%
+            </text>
+          );
+        })}
+
+        {/* Shots recorded on the court */}
+        {markers.map((marker, index) => (
+          marker.made ? (
+            <circle
+              key={`marker-${index}`}
+              cx={marker.x}
+              cy={marker.y}
+              r="0.7"
+              fill={CHART_COLORS.made}
+              stroke="#ffffff"
+              strokeWidth="0.2"
+            />
+          ) : (
+            <path
+              key={`marker-${index}`}
+              d={`M ${marker.x - 0.6} ${marker.y - 0.6} L ${marker.x + 0.6} ${marker.y + 0.6} M ${marker.x + 0.6} ${marker.y - 0.6} L ${marker.x - 0.6} ${marker.y + 0.6}`}
+              stroke={CHART_COLORS.missed}
+              strokeWidth="0.35"
+            />
+          )
+        ))}
+
+        {/* Legend: title, zone colours and benchmarks */}
+        <text x="1.5" y={COURT_VIEWBOX.height + 3.2} fontSize="2.4" fontWeight="bold" fill="#6F263D">
+          {title}
+        </text>
+        <text x="1.5" y={COURT_VIEWBOX.height + 6.4} fontSize="1.8" fill="#666666">
+          Benchmarks: {Math.round(FG_BENCHMARKS[2] * 100)}% for 2s · {Math.round(FG_BENCHMARKS[3] * 100)}% for 3s
+        </text>
+        {LEGEND_ITEMS.map((item, index) => (
+          <g key={item.rating}>
+            <rect
+              x={48 + index * 17}
+              y={COURT_VIEWBOX.height + 2.6}
+              width="2.4"
+              height="2.4"
+              fill={CHART_COLORS[item.rating]}
+              fillOpacity={ZONE_FILL_OPACITY}
+              stroke="#6F263D"
+              strokeWidth="0.15"
+            />
+            <text x={51 + index * 17} y={COURT_VIEWBOX.height + 4.5} fontSize="1.6" fill="#333333">
+              {item.label}
+            </text>
+          </g>
+        ))}
+      </svg>
+
+      <div className="shot-chart-actions">
+        <button className="shot-chart-export-button" onClick={() => handleExport('png')} disabled={exporting}>
+          Export PNG
+        </button>
+        <button className="shot-chart-export-button" onClick={() => handleExport('svg')} disabled={exporting}>
+          Export SVG
+        </button>
+      </div>
+      {exportError && <div className="shot-chart-error">{exportError}</div>}
+    </div>
+  );
+};
+
+// getPolygonCenter: Centre of a zone's bounding box, where its label goes
+const getPolygonCenter = (polygon) => {
+  const bounds = getPolygonBounds(parsePolygon(polygon));
+  return { x: (bounds.left + bounds.right) / 2, y: (bounds.top + bounds.bottom) / 2 };
+};
+
+export default ShotChart;
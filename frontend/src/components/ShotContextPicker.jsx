@@ -0,0 +1,35 @@
+import React from 'react';
+import './ShotContextPicker.css';
+import { SHOT_CONTEXT_DIMENSIONS } from '../utils/shotContext';
+
+// ShotContextPicker: Toggles for the context of the next shots (tap again to clear) - Called from ZoneButtons and CourtTracker
+const ShotContextPicker = ({ context, onChange, disabled = false }) => {
+  if (!context || typeof onChange !== 'function') {
+    return null;
+  }
+
+  return (
+    <div className="shot-context-picker">
+      {SHOT_CONTEXT_DIMENSIONS.map(dimension => (
+        <div key={dimension.key} className="shot-context-dimension">
+          <span className="shot-context-label">{dimension.label}:</span>
+          {dimension.options.map(option => (
+            <button
+              key={option.id}
+              className={`shot-context-button ${context[dimension.key] === option.id ? 'active' : ''}`}
+              onClick={() => onChange({
+                ...context,
+                [dimension.key]: context[dimension.key] === option.id ? null : option.id
+              })}
+              disabled={disabled}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ShotContextPicker;
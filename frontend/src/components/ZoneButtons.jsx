@@ -1,23 +1,37 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import './ZoneButtons.css';
+import ShotContextPicker from './ShotContextPicker';
 import { getEasternTimeISO } from '../utils/timezone';
+import { zoneRegistry } from '../utils/zoneRegistry';
+import { drillTemplateRegistry } from '../utils/drillTemplates';
+import { guidedProgression } from '../utils/guidedProgression';
+import { shotTags } from '../utils/shotTags';
+import { shotContext } from '../utils/shotContext';
+import { shotDistance, SHOT_DISTANCES } from '../utils/shotDistance';
 
-// ZoneButtons: Touch-friendly shooting interface with zone selection - Called from App.jsx renderContent()
+// How long a next-spot announcement or quota warning stays on screen
+const GUIDED_NOTICE_MS = 3000;
 
-const COURT_ZONES = [
-  { id: 'left_corner', label: 'Left Corner', abbrev: 'LC' },
-  { id: 'left_wing', label: 'Left Wing', abbrev: 'LW' },
-  { id: 'top_key', label: 'Top of Key', abbrev: 'TK' },
-  { id: 'right_wing', label: 'Right Wing', abbrev: 'RW' },
-  { id: 'right_corner', label: 'Right Corner', abbrev: 'RC' },
-];
+// Read the next spot aloud where the browser supports speech (the rebounder is not looking at the screen)
+const speak = (text) => {
+  try {
+    if (typeof window !== 'undefined' && window.speechSynthesis && window.SpeechSynthesisUtterance) {
+      window.speechSynthesis.cancel();
+      window.speechSynthesis.speak(new window.SpeechSynthesisUtterance(text));
+    }
+  } catch (error) {
+    console.error('Error announcing zone:', error);
+  }
+};
+
+// ZoneButtons: Touch-friendly shooting interface with zone selection - Called from App.jsx renderContent()
 
 const ZoneButtons = ({ 
   shots, 
-  setShots, 
   currentPlayer, 
   onShot, 
   onUndoLastShot,
+  onTagShot,                                // Function: (shot, tags) stores quick tags on a recorded shot
   sessionStarted, 
   sessionPaused, 
   currentElapsedTime,
@@ -28,14 +42,38 @@ const ZoneButtons = ({
   isReversed,
   lastUndoShotTime,
   setLastUndoShotTime,
-  setIsReversed
+  setIsReversed,
+  selectedZoneIndex,
+  onZoneChange,
+  zones = zoneRegistry.getZoneSet().zones,  // Zones of the session's zone set, in carousel order
+  drillTemplate = drillTemplateRegistry.getDrillTemplate(), // Drill template: shot cap of the test
+  guidedSettings = null,                    // Object: { enabled, attemptsPerZone, randomOrder } (see utils/guidedProgression)
+  activeShotContext = null,                 // Object: { shotType, defense } stored on every new shot (see utils/shotContext)
+  onShotContextChange,                      // Function: (context) when the rebounder changes the shot context
+  activeShotDistance = null,                // String: distance behind the line stored on every new shot (see utils/shotDistance)
+  onShotDistanceChange                      // Function: (distanceID) when the distance is picked on the zone display
 }) => {
-  // Currently selected zone index
-  const [selectedZoneIndex, setSelectedZoneIndex] = useState(0);
-  
-  const selectedZone = COURT_ZONES[selectedZoneIndex];
+  const [guidedNotice, setGuidedNotice] = useState(null); // Object: { type: 'announce' | 'warning', text }
+
+  // Clear the announcement or warning after a few seconds
+  useEffect(() => {
+    if (!guidedNotice) {
+      return undefined;
+    }
+    const timeout = setTimeout(() => setGuidedNotice(null), GUIDED_NOTICE_MS);
+    return () => clearTimeout(timeout);
+  }, [guidedNotice]);
+
 
-  if (!shots || !setShots || typeof setShots !== 'function') {
+  // Selected zone lives in App.jsx so zone changes can be undone and redone
+  // (null until the first change: a recovered session continues in the zone of its last shot)
+  const lastShotZoneIndex = zones.findIndex(zone => zone.id === shots?.[shots.length - 1]?.location);
+  const currentZoneIndex = selectedZoneIndex ?? Math.max(0, lastShotZoneIndex);
+  const selectedZone = zones[currentZoneIndex] || zones[0];
+  const guided = Boolean(guidedSettings?.enabled);
+  const zoneQuota = guided ? guidedProgression.getZoneQuota(drillTemplate, guidedSettings) : null;
+
+  if (!shots) {
     return <div>Loading...</div>;
   }
 
@@ -72,8 +110,9 @@ const ZoneButtons = ({
       return;
     }
 
-    if (shots.length >= 100) {
-      alert('Maximum of 100 shots reached!');
+    const shotLimitMessage = drillTemplateRegistry.getShotLimitMessage(drillTemplate, shots, zones);
+    if (shotLimitMessage) {
+      alert(shotLimitMessage);
       return;
     }
 
@@ -86,26 +125,64 @@ const ZoneButtons = ({
       timerValue: currentElapsedTime,
       timeTakenForShot: timeTakenForShot,
       sequenceNumber: shots.length + 1,
-      player: currentPlayer
+      player: currentPlayer,
+      ...(shotContext.isSet(activeShotContext) ? { context: activeShotContext } : {}),
+      ...(activeShotDistance ? { distance: activeShotDistance } : {})
     };
 
-    // Add shot to local state
-    setShots(prevShots => [...prevShots, shotData]);
-
-    // Call parent callback if provided
+    // Parent adds the shot to local state, the undo stack and Firebase
     if (typeof onShot === 'function') {
       onShot(shotData);
     }
+
+    if (guided) {
+      advanceGuidedZone([...shots, shotData]);
+    }
+  };
+
+  // advanceGuidedZone: Warns past the zone quota and moves to the next spot after a block - Called by handleShot
+  const advanceGuidedZone = (updatedShots) => {
+    if (guidedProgression.isPastQuota(updatedShots, selectedZone.id, zoneQuota)) {
+      setGuidedNotice({
+        type: 'warning',
+        text: `${selectedZone.label}: ${updatedShots.filter(shot => shot.location === selectedZone.id).length} shots logged, quota is ${zoneQuota}`
+      });
+      return;
+    }
+
+    if (!guidedProgression.isBlockComplete(updatedShots, selectedZone.id, guidedSettings)) {
+      return;
+    }
+
+    const nextIndex = guidedProgression.getNextZoneIndex({
+      zones,
+      shots: updatedShots,
+      currentIndex: currentZoneIndex,
+      quota: zoneQuota,
+      randomOrder: guidedSettings.randomOrder,
+      backAndForth: guidedSettings.backAndForth
+    });
+    if (nextIndex === null || drillTemplateRegistry.getShotLimitMessage(drillTemplate, updatedShots, zones)) {
+      return;
+    }
+
+    // A regular zone change, so undo steps back to the previous spot before undoing the shot
+    // (a back-and-forth pass turning around stays at its end spot)
+    if (nextIndex !== currentZoneIndex) {
+      onZoneChange(nextIndex, currentZoneIndex);
+    }
+    setGuidedNotice({ type: 'announce', text: `Next spot: ${zones[nextIndex].label}` });
+    speak(`Next spot: ${zones[nextIndex].label}`);
   };
 
   // nextZone: Cycles to next shooting zone - Called by Next Zone button
   const nextZone = () => {
-    setSelectedZoneIndex((prev) => (prev + 1) % COURT_ZONES.length);
+    onZoneChange((currentZoneIndex + 1) % zones.length, currentZoneIndex);
   };
 
   // prevZone: Cycles to previous shooting zone - Called by Previous Zone button
   const prevZone = () => {
-    setSelectedZoneIndex((prev) => (prev - 1 + COURT_ZONES.length) % COURT_ZONES.length);
+    onZoneChange((currentZoneIndex - 1 + zones.length) % zones.length, currentZoneIndex);
   };
 
   const zoneShots = shots.filter(shot => shot.location === selectedZone.id);
@@ -113,6 +190,11 @@ const ZoneButtons = ({
   const zoneTotal = zoneShots.length;
   const zonePercentage = zoneTotal > 0 ? Math.round((zoneMade / zoneTotal) * 100) : 0;
 
+  // Quick tags for the most recent shot (optional - the next shot simply moves the row on)
+  const lastShot = shots[shots.length - 1];
+  const showTagRow = Boolean(lastShot && typeof onTagShot === 'function' && sessionStarted);
+  const lastShotTag = lastShot ? shotTags.getShotTag(lastShot) : null;
+
   // Overall session stats
   const totalMade = shots.filter(shot => shot.made).length;
   const totalShots = shots.length;
@@ -137,6 +219,32 @@ const ZoneButtons = ({
           <div className="zone-stats">
             {zoneMade}/{zoneTotal} ({zonePercentage}%)
           </div>
+          {guided && (
+            <div className={`zone-quota ${zoneTotal > zoneQuota ? 'over' : ''}`}>
+              Attempt {zoneTotal}/{zoneQuota}
+            </div>
+          )}
+          {/* Distance of the next shots, with this spot's results from each distance */}
+          {typeof onShotDistanceChange === 'function' && (
+            <div className="zone-distance-picker">
+              {SHOT_DISTANCES.map(distance => {
+                const distanceShots = zoneShots.filter(shot => shotDistance.getDistance(shot) === distance.id);
+                return (
+                  <button
+                    key={distance.id}
+                    className={`zone-distance-button ${activeShotDistance === distance.id ? 'active' : ''}`}
+                    onClick={() => onShotDistanceChange(distance.id)}
+                    aria-pressed={activeShotDistance === distance.id}
+                  >
+                    {distance.label}
+                    <span className="zone-distance-stats">
+                      {distanceShots.filter(shot => shot.made).length}/{distanceShots.length}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          )}
         </div>
         
         <button className="carousel-nav next" onClick={nextZone} aria-label="Next zone">
@@ -146,11 +254,11 @@ const ZoneButtons = ({
 
       {/* Zone Indicator Dots */}
       <div className="zone-indicators">
-        {COURT_ZONES.map((zone, index) => (
+        {zones.map((zone, index) => (
           <button
             key={zone.id}
-            className={`zone-dot ${index === selectedZoneIndex ? 'active' : ''}`}
-            onClick={() => setSelectedZoneIndex(index)}
+            className={`zone-dot ${index === currentZoneIndex ? 'active' : ''}`}
+            onClick={() => onZoneChange(index, currentZoneIndex)}
             aria-label={zone.label}
           >
             {zone.abbrev}
@@ -158,6 +266,16 @@ const ZoneButtons = ({
         ))}
       </div>
 
+      {/* Shot context of the next shots */}
+      <ShotContextPicker context={activeShotContext} onChange={onShotContextChange} />
+
+      {/* Guided mode announcement / quota warning */}
+      {guidedNotice && (
+        <div className={`guided-notice ${guidedNotice.type === 'warning' ? 'warning' : ''}`} role="status">
+          {guidedNotice.text}
+        </div>
+      )}
+
       {/* Single Make/Miss Buttons */}
       <div className="shot-buttons">
         <button 
@@ -179,6 +297,22 @@ const ZoneButtons = ({
         </button>
       </div>
 
+      {/* Quick-tag row: miss direction or make quality of the last shot */}
+      {showTagRow && (
+        <div className="shot-tag-row">
+          <span className="shot-tag-label">{lastShot.made ? 'Make:' : 'Miss:'}</span>
+          {shotTags.getTagOptions(lastShot.made).map(option => (
+            <button
+              key={option.id}
+              className={`shot-tag-button ${lastShotTag === option.id ? 'active' : ''}`}
+              onClick={() => onTagShot(lastShot, shotTags.toggleTag(lastShot, option.id))}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Session Status Warning */}
       {(!sessionStarted || sessionPaused) && (
         <div className="session-warning">
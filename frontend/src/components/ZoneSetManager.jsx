@@ -0,0 +1,256 @@
+import React, { useState } from 'react';
+import './DownloadResults.css';
+import './ZoneSetManager.css';
+import { zoneSetsService } from '../firebase/services';
+import { zoneRegistry, zoneIDFromLabel, DEFAULT_ZONE_VALUE } from '../utils/zoneRegistry';
+
+const EMPTY_ZONE = { label: '', abbrev: '', value: DEFAULT_ZONE_VALUE };
+const EMPTY_DRAFT = { zoneSetID: null, name: '', zones: [EMPTY_ZONE] };
+const ZONE_VALUES = [1, 2, 3];                                   // Points a make from the zone is worth
+
+// ZoneSetManager: Create, edit and delete custom zone sets - Called from App.jsx renderContent()
+const ZoneSetManager = ({ onBackToHome, onZoneSetsChanged }) => {
+  const [zoneSets, setZoneSets] = useState(() => zoneRegistry.getZoneSets());
+  const [draft, setDraft] = useState(null);                     // Object: zone set being created or edited
+  const [saving, setSaving] = useState(false);
+  const [confirmDeleteID, setConfirmDeleteID] = useState(null);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  // Reload custom sets into the registry and share the new list with App.jsx
+  const refreshZoneSets = async () => {
+    const loaded = await zoneRegistry.loadCustomZoneSets();
+    setZoneSets(loaded);
+    onZoneSetsChanged(loaded);
+  };
+
+  const handleEdit = (zoneSet) => {
+    setErrorMessage('');
+    setDraft({
+      zoneSetID: zoneSet.zoneSetID,
+      createdAt: zoneSet.createdAt,
+      name: zoneSet.name,
+      zones: zoneSet.zones.map(zone => ({ label: zone.label, abbrev: zone.abbrev, value: zone.value || DEFAULT_ZONE_VALUE }))
+    });
+  };
+
+  const updateDraftZone = (index, field, value) => {
+    setDraft({
+      ...draft,
+      zones: draft.zones.map((zone, zoneIndex) => (zoneIndex === index ? { ...zone, [field]: value } : zone))
+    });
+  };
+
+  const moveDraftZone = (index, offset) => {
+    const zones = [...draft.zones];
+    const target = index + offset;
+    if (target < 0 || target >= zones.length) return;
+    [zones[index], zones[target]] = [zones[target], zones[index]];
+    setDraft({ ...draft, zones });
+  };
+
+  const handleSave = async () => {
+    const zones = draft.zones
+      .filter(zone => zone.label.trim())
+      .map(zone => {
+        const label = zone.label.trim();
+        return {
+          id: zoneIDFromLabel(label),
+          label,
+          shortLabel: label,
+          abbrev: (zone.abbrev.trim() || label.split(/\s+/).map(word => word[0]).join('')).slice(0, 3).toUpperCase(),
+          value: Number(zone.value) || DEFAULT_ZONE_VALUE
+        };
+      });
+
+    if (!draft.name.trim()) {
+      setErrorMessage('Give the zone set a name.');
+      return;
+    }
+    if (zones.length === 0) {
+      setErrorMessage('Add at least one zone.');
+      return;
+    }
+    if (new Set(zones.map(zone => zone.id)).size !== zones.length) {
+      setErrorMessage('Zone names must be unique within a set.');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setErrorMessage('');
+      await zoneSetsService.saveZoneSet({ ...draft, name: draft.name.trim(), zones });
+      await refreshZoneSets();
+      setDraft(null);
+    } catch (error) {
+      console.error('Error saving zone set:', error);
+      setErrorMessage(`Failed to save zone set: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleConfirmDelete = async () => {
+    const zoneSetID = confirmDeleteID;
+    setConfirmDeleteID(null);
+    try {
+      setSaving(true);
+      setErrorMessage('');
+      await zoneSetsService.deleteZoneSet(zoneSetID);
+      await refreshZoneSets();
+    } catch (error) {
+      console.error('Error deleting zone set:', error);
+      setErrorMessage(`Failed to delete zone set: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="download-results-container">
+      <div className="download-results-content">
+        <h1 className="download-results-title">Zone Sets</h1>
+
+        <div className="button-group">
+          <button className="search-button" onClick={() => setDraft(EMPTY_DRAFT)} disabled={saving || draft !== null}>
+            New Zone Set
+          </button>
+          <button className="back-button" onClick={onBackToHome} disabled={saving}>
+            Back to Home
+          </button>
+        </div>
+
+        {errorMessage && (
+          <div className="error-message">
+            {errorMessage}
+          </div>
+        )}
+
+        {/* Zone Set Editor */}
+        {draft && (
+          <div className="search-form zone-set-editor">
+            <div className="form-group">
+              <label className="form-label">Zone set name:</label>
+              <input
+                type="text"
+                className="form-input"
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                placeholder="e.g., Elbow Series"
+              />
+            </div>
+
+            <label className="form-label">Zones (in shooting order):</label>
+            {draft.zones.map((zone, index) => (
+              <div key={index} className="zone-set-editor-row">
+                <input
+                  type="text"
+                  className="form-input"
+                  value={zone.label}
+                  onChange={(e) => updateDraftZone(index, 'label', e.target.value)}
+                  placeholder="Zone name"
+                />
+                <input
+                  type="text"
+                  className="form-input zone-set-abbrev-input"
+                  value={zone.abbrev}
+                  onChange={(e) => updateDraftZone(index, 'abbrev', e.target.value)}
+                  placeholder="Abbr."
+                  maxLength={3}
+                />
+                <select
+                  className="form-input zone-set-value-input"
+                  value={zone.value}
+                  onChange={(e) => updateDraftZone(index, 'value', Number(e.target.value))}
+                  aria-label="Shot value"
+                >
+                  {ZONE_VALUES.map(value => (
+                    <option key={value} value={value}>{value} PT</option>
+                  ))}
+                </select>
+                <button className="zone-set-row-button" onClick={() => moveDraftZone(index, -1)} aria-label="Move up">↑</button>
+                <button className="zone-set-row-button" onClick={() => moveDraftZone(index, 1)} aria-label="Move down">↓</button>
+                <button
+                  className="zone-set-row-button remove"
+                  onClick={() => setDraft({ ...draft, zones: draft.zones.filter((_, zoneIndex) => zoneIndex !== index) })}
+                  aria-label="Remove zone"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+
+            <div className="button-group">
+              <button
+                className="back-button"
+                onClick={() => setDraft({ ...draft, zones: [...draft.zones, EMPTY_ZONE] })}
+              >
+                Add Zone
+              </button>
+              <button className="search-button" onClick={handleSave} disabled={saving}>
+                {saving ? 'Saving...' : 'Save Zone Set'}
+              </button>
+              <button className="back-button" onClick={() => setDraft(null)} disabled={saving}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Zone Set List */}
+        <div className="sessions-table-container">
+          <table className="sessions-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Zones</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {zoneSets.map(zoneSet => (
+                <tr key={zoneSet.zoneSetID}>
+                  <td>{zoneSet.name}</td>
+                  <td>{zoneSet.zones.map(zone => `${zone.label} (${zone.value || DEFAULT_ZONE_VALUE} PT)`).join(', ')}</td>
+                  <td>
+                    {zoneSet.isCustom ? (
+                      <div className="zone-set-actions">
+                        <button className="session-details-button" onClick={() => handleEdit(zoneSet)} disabled={saving}>
+                          Edit
+                        </button>
+                        <button className="zone-set-row-button remove" onClick={() => setConfirmDeleteID(zoneSet.zoneSetID)} disabled={saving}>
+                          Delete
+                        </button>
+                      </div>
+                    ) : (
+                      'Built-in'
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Delete Confirmation Modal */}
+        {confirmDeleteID && (
+          <div className="modal-overlay">
+            <div className="modal-content">
+              <h3>Delete Zone Set</h3>
+              <p>Sessions already shot with this zone set keep their shots and stats.</p>
+              <div className="modal-buttons">
+                <button className="modal-button cancel" onClick={handleConfirmDelete}>
+                  Delete
+                </button>
+                <button className="modal-button secondary" onClick={() => setConfirmDeleteID(null)}>
+                  Keep Zone Set
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ZoneSetManager;
@@ -0,0 +1,266 @@
+/**
+ * ABANDONED SESSION MANAGEMENT
+ *
+ * Purpose: Find and resolve shooting logs that were started but never ended
+ * Context: "Exit" and closed tabs skip the save/discard flow, leaving logs with
+ *          a session_start event and no session_end. Their stats were never
+ *          finalized and they clutter exports and analytics.
+ *
+ * Detection Rule:
+ * A log is abandoned when it has no session_end event and nothing has been
+ * written to it (log updates or session events) for longer than the configured
+ * age. The age keeps sessions still running on another iPad out of the list.
+ *
+ * Admin Actions:
+ * 1. Resume: rebuild the local session so the test continues on the same logID
+ * 2. Close out: write session_end and rebuild the log's stats from its events
+ * 3. Purge: delete the log with all of its shots and events
+ *
+ * Configuration: VITE_ABANDONED_SESSION_HOURS in .env (default 12)
+ */
+
+import { playersService, shootingLogsService, shotsService, sessionEventsService, generateID } from './services';
+import { shootingSessionManager } from './sessionManager';
+import { sessionProjector, projectSessionEvents } from './sessionProjector';
+import { getEasternTimeISO } from '../utils/timezone';
+import { DEFAULT_ZONE_SET_ID } from '../utils/zoneRegistry';
+import { DEFAULT_DRILL_TEMPLATE_ID } from '../utils/drillTemplates';
+import { DEFAULT_COURT_PROFILE_ID } from '../utils/courtProfiles';
+
+/**
+ * Minimum hours without activity before an unfinished session counts as abandoned
+ */
+export const ABANDONED_SESSION_MAX_AGE_HOURS = Number(import.meta.env.VITE_ABANDONED_SESSION_HOURS) || 12;
+
+// Latest parseable timestamp among the given values, in milliseconds (0 when none)
+const latestTime = (timestamps) => {
+  return timestamps
+    .map(timestamp => (timestamp ? new Date(timestamp).getTime() : NaN))
+    .filter(time => !Number.isNaN(time))
+    .reduce((latest, time) => Math.max(latest, time), 0);
+};
+
+// Last time anything was written to the session
+const getLastActivityTime = (log, events) => {
+  return latestTime([log.sessionDate, log.updatedAt, ...events.map(event => event.timestamp)]);
+};
+
+/**
+ * Session timer value when the session stopped, in milliseconds
+ * Shots store the app timer (milliseconds); events store elapsed seconds
+ */
+const getSessionElapsedTime = (shots, events) => {
+  const lastShotTimer = shots.reduce((latest, shot) => Math.max(latest, shot.timeTaken || 0), 0);
+  const lastEventTimer = events.reduce((latest, event) => Math.max(latest, (event.sessionElapsedTime || 0) * 1000), 0);
+  return Math.max(lastShotTimer, lastEventTimer);
+};
+
+// Highest sequence number used by the session (logs created before lastSequenceNumber existed fall back to their records)
+const getLastSequence = (log, shots, events) => {
+  return [...shots, ...events].reduce((latest, record) => Math.max(latest, record.sequenceNumber || 0), log.lastSequenceNumber || 0);
+};
+
+const loadSessionRecords = async (logID) => {
+  const [log, shots, events] = await Promise.all([
+    shootingLogsService.getShootingLog(logID),
+    shotsService.getLogShots(logID, { includeUndone: true }),
+    sessionEventsService.getEventsByLogID(logID)
+  ]);
+  return { log, shots, events };
+};
+
+export const abandonedSessionsService = {
+  /**
+   * FIND ABANDONED SESSIONS: Unfinished logs with no activity for maxAgeHours
+   *
+   * @param {Object} options - { maxAgeHours } (defaults to ABANDONED_SESSION_MAX_AGE_HOURS)
+   * @returns {Array} Summaries, oldest activity first:
+   *   { logID, playerID, sessionDate, lastActivityAt (ms), totalShots, totalMade, exitedExplicitly, abandonReason }
+   */
+  async findAbandonedSessions({ maxAgeHours = ABANDONED_SESSION_MAX_AGE_HOURS } = {}) {
+    try {
+      const logs = await shootingLogsService.getAllShootingLogs();
+      // Timestamps are stored in Eastern Time, so compare against Eastern "now"
+      const cutoff = new Date(getEasternTimeISO()).getTime() - maxAgeHours * 60 * 60 * 1000;
+
+      const summaries = await Promise.all(logs.map(async (log) => {
+        const events = await sessionEventsService.getEventsByLogID(log.logID);
+
+        if (events.some(event => event.eventType === 'session_end')) {
+          return null;
+        }
+
+        const lastActivityAt = getLastActivityTime(log, events);
+        if (lastActivityAt > cutoff) {
+          return null; // Possibly still in progress
+        }
+
+        const abandonEvent = events.filter(event => event.eventType === 'session_abandoned').pop();
+
+        return {
+          logID: log.logID,
+          playerID: log.playerID,
+          sessionDate: log.sessionDate,
+          lastActivityAt,
+          totalShots: log.totalShots || 0,
+          totalMade: log.totalMade || 0,
+          exitedExplicitly: Boolean(abandonEvent),
+          abandonReason: abandonEvent?.eventData?.reason || null
+        };
+      }));
+
+      return summaries
+        .filter(Boolean)
+        .sort((a, b) => a.lastActivityAt - b.lastActivityAt);
+    } catch (error) {
+      console.error('Error finding abandoned sessions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * BUILD RESUME SNAPSHOT: Rebuild the local session state of an abandoned log
+   *
+   * Returns the same shape as a crash-recovery snapshot (utils/sessionPersistence),
+   * so App.jsx restores both the same way: paused, with the timer at the value it
+   * had when the session stopped and further writes going to the same logID.
+   *
+   * @param {string} logID - Abandoned shooting log
+   * @returns {Object} Session snapshot
+   */
+  async buildResumeSnapshot(logID) {
+    try {
+      const { log, shots, events } = await loadSessionRecords(logID);
+      const player = await playersService.getPlayerByPlayerID(log.playerID);
+
+      if (!player) {
+        throw new Error(`Player ${log.playerID} not found`);
+      }
+
+      const elapsedTime = getSessionElapsedTime(shots, events);
+      const lastActivityAt = getLastActivityTime(log, events);
+      const startTime = lastActivityAt - elapsedTime;
+
+      // Convert stored shots back to the local shot format used by ZoneButtons and HistoryLog
+      let previousTimerValue = 0;
+      const localShots = shots.filter(shot => !shot.undone).map((shot, index) => {
+        const timerValue = shot.timeTaken || 0;
+        const localShot = {
+          shotID: shot.shotID,
+          location: shot.shotZone,
+          made: shot.shotResult === 'made',
+          timestamp: shot.timestamp,
+          timerValue,
+          timeTakenForShot: timerValue - previousTimerValue,
+          sequenceNumber: index + 1,
+          player: player.name,
+          ...(shot.trip ? { trip: shot.trip } : {}),
+          ...(shot.tags ? { tags: shot.tags } : {}),
+          ...(shot.context ? { context: shot.context } : {}),
+          ...(shot.distance ? { distance: shot.distance } : {}),
+          ...(shot.coordinates ? { coordinates: shot.coordinates } : {})
+        };
+        previousTimerValue = timerValue;
+        return localShot;
+      });
+
+      const zoneSetID = log.zoneSetID || DEFAULT_ZONE_SET_ID;
+      const drillTemplateID = log.drillTemplateID || DEFAULT_DRILL_TEMPLATE_ID;
+      const courtProfileID = log.courtProfileID || DEFAULT_COURT_PROFILE_ID;
+
+      return {
+        selectedPlayer: player,
+        zoneSetID,
+        drillTemplateID,
+        courtProfileID,
+        shots: localShots,
+        coachActions: [],
+        startTime,
+        totalPausedTime: 0,
+        lastPauseTime: lastActivityAt,
+        sessionPaused: true,
+        elapsedTime,
+        currentFirebaseSession: {
+          logID: log.logID,
+          logDocID: log.id,
+          playerID: log.playerID,
+          zoneSetID,
+          drillTemplateID,
+          courtProfileID,
+          groupID: log.groupID || null,
+          sessionStartTime: startTime
+        },
+        savedAt: lastActivityAt,
+        sequenceCounter: getLastSequence(log, shots, events)
+      };
+    } catch (error) {
+      console.error('Error building resume snapshot:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * CLOSE OUT SESSION: Finalize an abandoned log with stats projected from its events
+   *
+   * @param {string} logID - Abandoned shooting log
+   * @returns {Object} Final stats written to the log
+   */
+  async closeOutSession(logID) {
+    try {
+      const { log, shots, events } = await loadSessionRecords(logID);
+
+      if (events.some(event => event.eventType === 'session_end')) {
+        throw new Error('Session has already ended');
+      }
+
+      const finalStats = projectSessionEvents(events, { zoneIDs: Object.keys(log.zoneStats || {}) });
+      const sessionDuration = Math.floor(getSessionElapsedTime(shots, events) / 1000);
+      const closedOutAt = getEasternTimeISO();
+
+      await sessionEventsService.addEvent({
+        eventID: generateID('event'),
+        logID,
+        playerID: log.playerID,
+        eventType: 'session_end',
+        eventData: {
+          endedAt: closedOutAt,
+          totalSessionTime: sessionDuration,
+          finalStats: {
+            totalShots: finalStats.totalShots,
+            totalMade: finalStats.totalMade,
+            totalMissed: finalStats.totalMissed,
+            accuracy: finalStats.accuracy,
+            totalPoints: finalStats.totalPoints,
+            pointsPerShot: finalStats.pointsPerShot,
+            effectiveFGPct: finalStats.effectiveFGPct
+          },
+          closedOut: true                 // Ended by an admin, not by the coach running the test
+        },
+        sessionElapsedTime: sessionDuration,
+        sequenceNumber: getLastSequence(log, shots, events) + 1
+      }, { logDocID: log.id });
+
+      // Log aggregates are the projection of the now-complete event stream
+      const { stats } = await sessionProjector.rebuildSession(logID);
+      await shootingLogsService.updateShootingLogStats(logID, { closedOutAt });
+
+      return stats;
+    } catch (error) {
+      console.error('Error closing out session:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * PURGE SESSION: Delete an abandoned log with all of its shots and events
+   * @param {string} logID - Abandoned shooting log
+   */
+  async purgeSession(logID) {
+    try {
+      await shootingSessionManager.deleteSessionData(logID);
+    } catch (error) {
+      console.error('Error purging session:', error);
+      throw error;
+    }
+  }
+};
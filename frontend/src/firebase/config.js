@@ -27,6 +27,7 @@
 // Import Firebase SDK components for cloud database functionality
 import { initializeApp } from 'firebase/app';           // Core Firebase initialization
 import { getFirestore } from 'firebase/firestore';     // Firestore database service
+import { getAuth } from 'firebase/auth';               // Sign-in for session editors
 
 /**
  * FIREBASE PROJECT CONFIGURATION
@@ -73,6 +74,15 @@ const app = initializeApp(firebaseConfig);
  */
 export const db = getFirestore(app);
 
+/**
+ * FIREBASE AUTHENTICATION
+ * 
+ * Session editors sign in with email and password before changing saved
+ * sessions; the Firestore security rules (firestore.rules) check the
+ * signed-in user against the sessionEditors collection.
+ */
+export const auth = getAuth(app);
+
 /**
  * DEFAULT EXPORT: Firebase app instance
  * 
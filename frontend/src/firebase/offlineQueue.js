@@ -0,0 +1,353 @@
+/**
+ * OFFLINE WRITE QUEUE
+ *
+ * Purpose: Durable, ordered queue for Firebase writes made during a shooting session
+ * Context: Gym Wi-Fi drops regularly; shots must never be lost or reordered
+ *
+ * How it works:
+ * 1. Every write is stored in IndexedDB first (survives reloads and crashes)
+ * 2. Entries replay strictly in the order they were queued
+ * 3. A transient failure (network, quota, server) blocks the entries behind it and
+ *    is retried with exponential backoff
+ * 4. A permanent failure (not-found, invalid-argument, permission-denied) can never
+ *    succeed by retrying: the entry moves to a dead-letter store so it does not block
+ *    every later write, and the coach can retry it (back at its original queue position) or discard it from the UI
+ * 5. Coming back online (browser 'online' event) triggers an immediate replay
+ * 6. Listeners are told how many writes are still pending and how many failed so the UI can show it
+ *
+ * Handlers:
+ * The queue stores plain data ({ type, payload }) and knows nothing about
+ * Firestore. The session manager registers one handler per write type; a
+ * handler must be safe to run again if a previous attempt partially succeeded.
+ *
+ * Fallback:
+ * When IndexedDB is unavailable (private browsing), entries are kept in memory
+ * so writes still replay in order for the lifetime of the page.
+ */
+
+import { isIndexedDbAvailable, openDatabase, runStoreOperation } from '../utils/indexedDb';
+
+/**
+ * QUEUE STORAGE CONSTANTS
+ */
+const QUEUE_DB_NAME = 'cavsShootingTrackerQueue';
+const QUEUE_DB_VERSION = 2;
+const QUEUE_STORE = 'pendingWrites';
+const FAILED_STORE = 'failedWrites';   // Dead letters: entries that failed permanently
+
+/**
+ * PERMANENT ERRORS: Firestore error codes (also used by the local storage adapters and
+ * services) that retrying cannot fix, e.g. the log was purged or the shot does not exist
+ */
+const PERMANENT_ERROR_CODES = ['not-found', 'invalid-argument', 'permission-denied'];
+
+const isPermanentError = (error) => PERMANENT_ERROR_CODES.includes(String(error?.code || '').replace(/^firestore\//, ''));
+
+/**
+ * RETRY POLICY: Exponential backoff between failed replay attempts
+ * 1s, 2s, 4s, ... capped at 30s so a recovered connection is picked up quickly
+ */
+const INITIAL_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+// Registered write handlers keyed by write type
+const handlers = {};
+
+// Subscribers notified with the pending write count
+const listeners = new Set();
+
+// In-memory fallback stores when IndexedDB cannot be opened
+let memoryEntries = null;
+let memoryFailedEntries = [];
+let nextMemoryId = 1;
+
+// Replay state
+let isFlushing = false;
+let retryAttempt = 0;
+let retryTimer = null;
+let pendingCount = 0;
+let failedCount = 0;
+let lastError = null;
+
+const getDatabase = async () => {
+  if (memoryEntries) return null;
+
+  try {
+    return await openDatabase(QUEUE_DB_NAME, QUEUE_DB_VERSION, {
+      [QUEUE_STORE]: { keyPath: 'id', autoIncrement: true },
+      [FAILED_STORE]: { keyPath: 'id' }
+    });
+  } catch (error) {
+    console.warn('Offline queue falling back to memory storage:', error);
+    memoryEntries = [];
+    return null;
+  }
+};
+
+const addEntry = async (entry) => {
+  const database = await getDatabase();
+  if (!database) {
+    memoryEntries.push({ ...entry, id: nextMemoryId++ });
+    return;
+  }
+  await runStoreOperation(database, QUEUE_STORE, 'readwrite', store => store.add(entry));
+};
+
+// Put an entry back under its original queue ID, so it replays in the position it was queued in
+const restoreEntry = async (entry) => {
+  const database = await getDatabase();
+  if (!database) {
+    memoryEntries = [...memoryEntries, entry].sort((a, b) => a.id - b.id);
+    return;
+  }
+  await runStoreOperation(database, QUEUE_STORE, 'readwrite', store => store.put(entry));
+};
+
+const getOldestEntry = async () => {
+  const database = await getDatabase();
+  if (!database) {
+    return memoryEntries[0] || null;
+  }
+  // Auto-increment keys preserve insertion order, so the first key is the oldest entry
+  const [oldest] = await runStoreOperation(database, QUEUE_STORE, 'readonly', store => store.getAll(undefined, 1));
+  return oldest || null;
+};
+
+const removeEntry = async (id) => {
+  const database = await getDatabase();
+  if (!database) {
+    memoryEntries = memoryEntries.filter(entry => entry.id !== id);
+    return;
+  }
+  await runStoreOperation(database, QUEUE_STORE, 'readwrite', store => store.delete(id));
+};
+
+const countEntries = async () => {
+  const database = await getDatabase();
+  if (!database) {
+    return memoryEntries.length;
+  }
+  return runStoreOperation(database, QUEUE_STORE, 'readonly', store => store.count());
+};
+
+// Dead letters keep their queue ID, so they list in the order they were queued
+const addFailedEntry = async (entry) => {
+  const database = await getDatabase();
+  if (!database) {
+    memoryFailedEntries.push(entry);
+    return;
+  }
+  await runStoreOperation(database, FAILED_STORE, 'readwrite', store => store.put(entry));
+};
+
+const getFailedEntries = async () => {
+  const database = await getDatabase();
+  if (!database) {
+    return [...memoryFailedEntries];
+  }
+  return runStoreOperation(database, FAILED_STORE, 'readonly', store => store.getAll());
+};
+
+const removeFailedEntry = async (id) => {
+  const database = await getDatabase();
+  if (!database) {
+    memoryFailedEntries = memoryFailedEntries.filter(entry => entry.id !== id);
+    return;
+  }
+  await runStoreOperation(database, FAILED_STORE, 'readwrite', store => store.delete(id));
+};
+
+const notifyListeners = () => {
+  listeners.forEach(listener => listener(pendingCount, lastError, failedCount));
+};
+
+const refreshPendingCount = async () => {
+  try {
+    pendingCount = await countEntries();
+    failedCount = (await getFailedEntries()).length;
+  } catch (error) {
+    console.error('Error counting pending writes:', error);
+  }
+  notifyListeners();
+};
+
+const scheduleRetry = () => {
+  clearTimeout(retryTimer);
+
+  // No point hammering the network while the browser reports being offline;
+  // the 'online' listener below restarts the replay.
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return;
+  }
+
+  const delay = Math.min(INITIAL_RETRY_DELAY_MS * 2 ** retryAttempt, MAX_RETRY_DELAY_MS);
+  retryAttempt += 1;
+  retryTimer = setTimeout(() => offlineQueue.flush(), delay);
+};
+
+/**
+ * OFFLINE QUEUE SERVICE: Ordered, persistent replay of Firebase writes
+ */
+export const offlineQueue = {
+
+  /**
+   * Register the function that performs a given write type
+   * @param {string} type - Write type stored with each queue entry
+   * @param {Function} handler - async (payload) => void
+   */
+  registerHandler(type, handler) {
+    handlers[type] = handler;
+  },
+
+  /**
+   * ENQUEUE: Persist a write locally, then try to replay the queue
+   *
+   * Resolves as soon as the write is stored on the device, not when it
+   * reaches Firestore, so taps stay instant even with no connection.
+   *
+   * @param {string} type - Registered write type
+   * @param {Object} payload - Serializable data passed to the handler
+   */
+  async enqueue(type, payload) {
+    await addEntry({
+      type,
+      payload,
+      enqueuedAt: Date.now()
+    });
+
+    pendingCount += 1;
+    notifyListeners();
+
+    // Fire and forget: replay happens in the background
+    this.flush();
+  },
+
+  /**
+   * FLUSH: Replay pending writes in order until the queue is empty or a write fails transiently
+   * Permanent failures are moved to the dead-letter store and the replay carries on
+   */
+  async flush() {
+    if (isFlushing) return;
+    isFlushing = true;
+    clearTimeout(retryTimer);
+
+    try {
+      let entry = await getOldestEntry();
+
+      while (entry) {
+        const handler = handlers[entry.type];
+        if (!handler) {
+          // Handlers register at startup; stop here rather than drop the write
+          console.error(`No offline queue handler registered for "${entry.type}"`);
+          break;
+        }
+
+        try {
+          await handler(entry.payload);
+        } catch (error) {
+          console.error(`Error replaying queued ${entry.type} write:`, error);
+          lastError = error;
+          if (!isPermanentError(error)) {
+            scheduleRetry();
+            break;
+          }
+          // Retrying cannot fix it: set it aside so the writes behind it still reach Firestore
+          await addFailedEntry({
+            ...entry,
+            error: { code: error.code, message: error.message },
+            failedAt: Date.now()
+          });
+          failedCount += 1;
+        }
+
+        await removeEntry(entry.id);
+        retryAttempt = 0;
+        lastError = null;
+        pendingCount = Math.max(0, pendingCount - 1);
+        notifyListeners();
+
+        entry = await getOldestEntry();
+      }
+    } catch (error) {
+      console.error('Error reading offline queue:', error);
+      lastError = error;
+      scheduleRetry();
+    } finally {
+      isFlushing = false;
+      await refreshPendingCount();
+    }
+  },
+
+  /**
+   * Number of writes stored on the device that have not reached Firestore
+   * @returns {Promise<number>} Pending write count
+   */
+  async getPendingCount() {
+    await refreshPendingCount();
+    return pendingCount;
+  },
+
+  /**
+   * Writes that failed permanently and were taken out of the queue, oldest first
+   * @returns {Promise<Array>} Entries: { id, type, payload, enqueuedAt, error: { code, message }, failedAt }
+   */
+  async getFailedWrites() {
+    return (await getFailedEntries()).sort((a, b) => a.id - b.id);
+  },
+
+  /**
+   * RETRY FAILED WRITE: Put a dead letter back into the queue at its original position
+   * (e.g. after the missing record was restored or permissions were fixed)
+   *
+   * It keeps its queue ID, so it replays before every write queued after it that is
+   * still pending, and dead letters retried together replay in the order they were queued.
+   * @param {number} id - Queue ID of the failed entry
+   */
+  async retryFailedWrite(id) {
+    const failedEntry = (await getFailedEntries()).find(candidate => candidate.id === id);
+    if (!failedEntry) return;
+    await restoreEntry({
+      id: failedEntry.id,
+      type: failedEntry.type,
+      payload: failedEntry.payload,
+      enqueuedAt: failedEntry.enqueuedAt
+    });
+    await removeFailedEntry(id);
+    retryAttempt = 0;
+    await refreshPendingCount();
+    this.flush();
+  },
+
+  /**
+   * DISCARD FAILED WRITE: Drop a dead letter for good
+   * @param {number} id - Queue ID of the failed entry
+   */
+  async discardFailedWrite(id) {
+    await removeFailedEntry(id);
+    await refreshPendingCount();
+  },
+
+  /**
+   * SUBSCRIBE: Receive the pending and failed write counts whenever they change
+   * @param {Function} listener - (pendingCount, lastError, failedCount) => void
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    listener(pendingCount, lastError, failedCount);
+    return () => listeners.delete(listener);
+  }
+};
+
+// Replay immediately when connectivity returns
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => {
+    retryAttempt = 0;
+    offlineQueue.flush();
+  });
+}
+
+// Let the UI know early whether the device still holds writes from a previous visit
+if (isIndexedDbAvailable()) {
+  refreshPendingCount();
+}
@@ -3,6 +3,8 @@
  * 
  * Purpose: Low-level data access layer for basketball shooting tracker
  * Architecture: Service object pattern with collection-specific modules
+ * Storage: Backend-agnostic - all reads and writes go through the storage
+ *          adapter selected in ./storage (Firestore, IndexedDB or in-memory)
  * 
  * Design Philosophy:
  * - Single Responsibility: Each service handles one Firebase collection
@@ -16,25 +18,17 @@
  * - shootingLogs: Session containers grouping related shots
  * - shots: Individual shot records with location, timing, and outcome
  * - sessionEvents: Event tracking for session lifecycle and analytics
+ * - auditLog: Who changed a saved session, and the values before and after
+ * - zoneSets: Coach-defined zone sets (built-in sets live in utils/zoneRegistry)
+ * - courtLayouts: Zone polygons drawn in the CourtTracker zone editor for one court profile (built-in layouts live in utils/courtLayout)
  * 
  * Data Relationships:
  * Player → ShootingLog → Shots → SessionEvents (hierarchical data model)
  */
 
-import { 
-  collection, 
-  getDocs, 
-  addDoc, 
-  doc, 
-  getDoc,
-  updateDoc, 
-  deleteDoc,
-  query,
-  orderBy,
-  where
-} from 'firebase/firestore';
-import { db } from './config';
+import { storage, arrayUnion, increment, createStorageError } from './storage';
 import { getEasternTimeISO } from '../utils/timezone';
+import { shotDistance } from '../utils/shotDistance';
 
 /**
  * COLLECTION CONSTANTS: Firebase collection identifiers
@@ -44,6 +38,21 @@ const PLAYERS_COLLECTION = 'playerInformation';      // Player roster and profil
 const SHOOTING_LOGS_COLLECTION = 'shootingLogs';    // Session containers for grouping shots
 const SHOTS_COLLECTION = 'shots';                   // Individual shot records with detailed metadata
 const SESSION_EVENTS_COLLECTION = 'sessionEvents';  // Session lifecycle and event tracking
+const AUDIT_LOG_COLLECTION = 'auditLog';            // Changes made to saved sessions
+const ZONE_SETS_COLLECTION = 'zoneSets';            // Custom zone sets defined by coaches
+const COURT_LAYOUTS_COLLECTION = 'courtLayouts';    // Court zone polygons drawn by facilities
+
+/**
+ * GENERATE ID: Create a unique, prefixed record identifier (e.g. "shot_1712345678901_k3j9x2abc")
+ * 
+ * IDs are generated on the device so that queued offline writes can refer to
+ * records before they reach Firestore, and so a replayed write lands on the
+ * same document instead of creating a duplicate.
+ * 
+ * @param {string} prefix - Record type prefix ("player", "log", "shot", "event")
+ * @returns {string} Unique identifier
+ */
+export const generateID = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
 /**
  * PLAYERS SERVICE: Manages basketball player roster operations
@@ -74,16 +83,9 @@ export const playersService = {
    */
   async getAllPlayers() {
     try {
-      const playersRef = collection(db, PLAYERS_COLLECTION);
-      
       // Simple query without orderBy to avoid Firestore index requirements
-      const querySnapshot = await getDocs(playersRef);
-      
-      // Transform Firestore documents to application objects
-      const players = querySnapshot.docs.map(doc => ({
-        id: doc.id,                    // Firebase document ID for updates/deletes
-        ...doc.data()                  // Player data: name, jerseyNumber, position, etc.
-      }));
+      // Each player: { id (document ID for updates/deletes), name, jerseyNumber, position, ... }
+      const players = await storage.query(PLAYERS_COLLECTION);
       
       /**
        * JERSEY NUMBER SORTING: Sports-appropriate player ordering
@@ -114,12 +116,10 @@ export const playersService = {
   // Add a new player
   async addPlayer(playerData) {
     try {
-      const playersRef = collection(db, PLAYERS_COLLECTION);
-      
       // Generate unique player ID
-      const playerID = `player_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      const playerID = generateID('player');
       
-      const docRef = await addDoc(playersRef, {
+      const documentId = await storage.add(PLAYERS_COLLECTION, {
         playerID: playerID,
         name: playerData.name,
         jerseyNumber: playerData.jerseyNumber || null,
@@ -128,7 +128,7 @@ export const playersService = {
         shootingLogs: []                // Array to store logIDs of saved shooting logs
       });
       
-      return { id: docRef.id, playerID, ...playerData };
+      return { id: documentId, playerID, ...playerData };
     } catch (error) {
       console.error('Error adding player:', error);
       throw error;
@@ -138,28 +138,34 @@ export const playersService = {
   // Get player by document ID
   async getPlayerById(playerId) {
     try {
-      const playerRef = doc(db, PLAYERS_COLLECTION, playerId);
-      const playerDoc = await getDoc(playerRef);
+      const player = await storage.get(PLAYERS_COLLECTION, playerId);
       
-      if (!playerDoc.exists()) {
-        throw new Error('Player not found');
+      if (!player) {
+        throw createStorageError('not-found', 'Player not found');
       }
       
-      return {
-        id: playerDoc.id,
-        ...playerDoc.data()
-      };
+      return player;
     } catch (error) {
       console.error('Error fetching player by ID:', error);
       throw error;
     }
   },
 
+  // Get player by playerID field (null if not found)
+  async getPlayerByPlayerID(playerID) {
+    try {
+      const [player] = await storage.query(PLAYERS_COLLECTION, { where: { playerID } });
+      return player || null;
+    } catch (error) {
+      console.error('Error fetching player by playerID:', error);
+      throw error;
+    }
+  },
+
   // Update player
   async updatePlayer(playerId, updates) {
     try {
-      const playerRef = doc(db, PLAYERS_COLLECTION, playerId);
-      await updateDoc(playerRef, updates);
+      await storage.update(PLAYERS_COLLECTION, playerId, updates);
       
       return { id: playerId, ...updates };
     } catch (error) {
@@ -171,8 +177,7 @@ export const playersService = {
   // Delete player
   async deletePlayer(playerId) {
     try {
-      const playerRef = doc(db, PLAYERS_COLLECTION, playerId);
-      await deleteDoc(playerRef);
+      await storage.remove(PLAYERS_COLLECTION, playerId);
     } catch (error) {
       console.error('Error deleting player:', error);
       throw error;
@@ -182,16 +187,8 @@ export const playersService = {
   // Get active players only
   async getActivePlayers() {
     try {
-      const playersRef = collection(db, PLAYERS_COLLECTION);
-      
       // First try a simple query without compound indexes
-      const simpleQuery = query(playersRef, where('isActive', '==', true));
-      const querySnapshot = await getDocs(simpleQuery);
-      
-      const players = querySnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      const players = await storage.query(PLAYERS_COLLECTION, { where: { isActive: true } });
       
       // Sort by jersey number, then by name for players without jersey numbers
       return players.sort((a, b) => {
@@ -212,13 +209,7 @@ export const playersService = {
       
       // Fallback: try getting all players if the where query fails
       try {
-        const fallbackQuery = query(playersRef);
-        const fallbackSnapshot = await getDocs(fallbackQuery);
-        
-        const allPlayers = fallbackSnapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
+        const allPlayers = await storage.query(PLAYERS_COLLECTION);
         
         // Filter active players in JavaScript and sort by jersey number
         const activePlayers = allPlayers.filter(player => player.isActive !== false);
@@ -240,13 +231,12 @@ export const playersService = {
     }
   },
 
-  // Test function to verify Firebase connection
+  // Test function to verify the storage backend connection
   async testConnection() {
     try {
-      const playersRef = collection(db, PLAYERS_COLLECTION);
-      const snapshot = await getDocs(playersRef);
+      const players = await storage.query(PLAYERS_COLLECTION);
       
-      return { success: true, count: snapshot.size };
+      return { success: true, count: players.length };
     } catch (error) {
       console.error('Connection test failed:', error);
       return { success: false, error: error.message };
@@ -259,12 +249,11 @@ export const shootingLogsService = {
   // Create a new shooting log
   async createShootingLog(logData) {
     try {
-      const logsRef = collection(db, SHOOTING_LOGS_COLLECTION);
-      
-      // Generate unique log ID
-      const logID = `log_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      // Use the caller's log ID when provided (queued offline writes), otherwise generate one
+      const logID = logData.logID || generateID('log');
       
-      const docRef = await addDoc(logsRef, {
+      // Document ID matches logID so replaying a queued create is idempotent
+      await storage.set(SHOOTING_LOGS_COLLECTION, logID, {
         logID: logID,
         playerID: logData.playerID,
         sessionDate: logData.sessionDate || getEasternTimeISO(),
@@ -273,30 +262,28 @@ export const shootingLogsService = {
         totalMade: 0,
         totalMissed: 0,
         accuracy: 0,
+        totalPoints: 0,                  // Points scored (see utils/shotValue)
+        totalThreesMade: 0,
+        pointsPerShot: 0,
+        effectiveFGPct: 0,
+        lastSequenceNumber: 0,           // Highest sequence number written for this session (see sessionManager)
         shots: [],                       // Initialize empty array
-        zoneStats: {
-          left_corner: { made: 0, attempts: 0 },
-          left_wing: { made: 0, attempts: 0 },
-          top_key: { made: 0, attempts: 0 },
-          right_wing: { made: 0, attempts: 0 },
-          right_corner: { made: 0, attempts: 0 }
-        },
+        zoneSetID: logData.zoneSetID || null,  // Zone set the session was shot with (see utils/zoneRegistry)
+        drillTemplateID: logData.drillTemplateID || null, // Drill template the session followed (see utils/drillTemplates)
+        courtProfileID: logData.courtProfileID || null,   // Court (line distances) the session was shot on (see utils/courtProfiles)
+        groupID: logData.groupID || null,  // Group session the log was shot in, shared by every shooter in the rotation (null = one player)
+        zoneStats: logData.zoneStats || {},    // One { made, attempts, distances } entry per zone of the set (see utils/shotDistance)
         createdAt: getEasternTimeISO()
       });
       
       // Update the player's shootingLogs array with the new logID
       try {
-        const playersRef = collection(db, PLAYERS_COLLECTION);
-        const playerQuery = query(playersRef, where('playerID', '==', logData.playerID));
-        const playerSnapshot = await getDocs(playerQuery);
+        const [playerDoc] = await storage.query(PLAYERS_COLLECTION, { where: { playerID: logData.playerID } });
         
-        if (!playerSnapshot.empty) {
-          const playerDoc = playerSnapshot.docs[0];
-          const currentLogs = playerDoc.data().shootingLogs || [];
-          
-          // Add the new logID to the player's shootingLogs array
-          await updateDoc(doc(db, PLAYERS_COLLECTION, playerDoc.id), {
-            shootingLogs: [...currentLogs, logID]
+        if (playerDoc) {
+          // Add the new logID to the player's shootingLogs array (arrayUnion ignores duplicates)
+          await storage.update(PLAYERS_COLLECTION, playerDoc.id, {
+            shootingLogs: arrayUnion(logID)
           });
           
         } else {
@@ -307,7 +294,7 @@ export const shootingLogsService = {
         // Don't throw here - the log was created successfully, just the player update failed
       }
       
-      return { id: docRef.id, logID, ...logData };
+      return { id: logID, ...logData, logID };
     } catch (error) {
       console.error('Error creating shooting log:', error);
       throw error;
@@ -317,16 +304,13 @@ export const shootingLogsService = {
   // Get shooting log by ID
   async getShootingLog(logID) {
     try {
-      const logsRef = collection(db, SHOOTING_LOGS_COLLECTION);
-      const q = query(logsRef, where('logID', '==', logID));
-      const querySnapshot = await getDocs(q);
+      const [shootingLog] = await storage.query(SHOOTING_LOGS_COLLECTION, { where: { logID } });
       
-      if (querySnapshot.empty) {
-        throw new Error('Shooting log not found');
+      if (!shootingLog) {
+        throw createStorageError('not-found', 'Shooting log not found');
       }
       
-      const doc = querySnapshot.docs[0];
-      return { id: doc.id, ...doc.data() };
+      return shootingLog;
     } catch (error) {
       console.error('Error fetching shooting log:', error);
       throw error;
@@ -336,16 +320,13 @@ export const shootingLogsService = {
   // Update shooting log stats
   async updateShootingLogStats(logID, stats) {
     try {
-      const logsRef = collection(db, SHOOTING_LOGS_COLLECTION);
-      const q = query(logsRef, where('logID', '==', logID));
-      const querySnapshot = await getDocs(q);
+      const [shootingLog] = await storage.query(SHOOTING_LOGS_COLLECTION, { where: { logID } });
       
-      if (querySnapshot.empty) {
-        throw new Error('Shooting log not found');
+      if (!shootingLog) {
+        throw createStorageError('not-found', 'Shooting log not found');
       }
       
-      const docRef = doc(db, SHOOTING_LOGS_COLLECTION, querySnapshot.docs[0].id);
-      await updateDoc(docRef, {
+      await storage.update(SHOOTING_LOGS_COLLECTION, shootingLog.id, {
         ...stats,
         updatedAt: getEasternTimeISO()
       });
@@ -357,38 +338,41 @@ export const shootingLogsService = {
     }
   },
 
-  // Get all logs for a player
+  // Move a log created with a random document ID (before IDs matched logID) to its logID,
+  // with any updates applied; false when a document with that ID already exists
+  async rekeyShootingLog(shootingLog, updates = {}) {
+    try {
+      const { id, ...logData } = shootingLog;
+
+      return await storage.commitBatch([
+        { type: 'set', collection: SHOOTING_LOGS_COLLECTION, id: logData.logID, data: { ...logData, ...updates } },
+        { type: 'delete', collection: SHOOTING_LOGS_COLLECTION, id }
+      ], { unlessExists: { collection: SHOOTING_LOGS_COLLECTION, id: logData.logID } });
+    } catch (error) {
+      console.error('Error re-keying shooting log:', error);
+      throw error;
+    }
+  },
+
+  // Get every shooting log (most recent first)
+  async getAllShootingLogs() {
+    try {
+      return await storage.query(SHOOTING_LOGS_COLLECTION, {
+        orderBy: { field: 'sessionDate', direction: 'desc' }
+      });
+    } catch (error) {
+      console.error('Error fetching shooting logs:', error);
+      throw error;
+    }
+  },
+
+  // Get all logs for a player (most recent first)
   async getPlayerLogs(playerID) {
     try {
-      const logsRef = collection(db, SHOOTING_LOGS_COLLECTION);
-      
-      // First try with orderBy
-      try {
-        const q = query(
-          logsRef,
-          where('playerID', '==', playerID),
-          orderBy('sessionDate', 'desc')
-        );
-        const querySnapshot = await getDocs(q);
-        
-        return querySnapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-      } catch (indexError) {
-        
-        // Fallback: simple query without orderBy, then sort in JavaScript
-        const simpleQuery = query(logsRef, where('playerID', '==', playerID));
-        const querySnapshot = await getDocs(simpleQuery);
-        
-        const logs = querySnapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-        
-        // Sort in JavaScript instead of Firestore (most recent first)
-        return logs.sort((a, b) => new Date(b.sessionDate || 0) - new Date(a.sessionDate || 0));
-      }
+      return await storage.query(SHOOTING_LOGS_COLLECTION, {
+        where: { playerID },
+        orderBy: { field: 'sessionDate', direction: 'desc' }
+      });
     } catch (error) {
       console.error('Error fetching player logs:', error);
       throw error;
@@ -398,22 +382,8 @@ export const shootingLogsService = {
   // Get shooting logs by player ID
   async getShootingLogsByPlayer(playerID) {
     try {
-      const logsRef = collection(db, SHOOTING_LOGS_COLLECTION);
-      
       // Search using the correct field name: playerID (not playerId)
-      let q = query(logsRef, where('playerID', '==', playerID));
-      let querySnapshot = await getDocs(q);
-      
-      
-      if (querySnapshot.empty) {
-        return [];
-      }
-      
-      const logs = querySnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-      
+      const logs = await storage.query(SHOOTING_LOGS_COLLECTION, { where: { playerID } });
       
       // Sort by session date (most recent first)
       return logs.sort((a, b) => new Date(b.sessionDate || 0) - new Date(a.sessionDate || 0));
@@ -426,17 +396,14 @@ export const shootingLogsService = {
   // Delete shooting log
   async deleteShootingLog(logID) {
     try {
-      const logsRef = collection(db, SHOOTING_LOGS_COLLECTION);
-      const q = query(logsRef, where('logID', '==', logID));
-      const querySnapshot = await getDocs(q);
+      const [shootingLog] = await storage.query(SHOOTING_LOGS_COLLECTION, { where: { logID } });
       
-      if (querySnapshot.empty) {
+      if (!shootingLog) {
         return;
       }
       
       // Delete the document
-      const docRef = doc(db, SHOOTING_LOGS_COLLECTION, querySnapshot.docs[0].id);
-      await deleteDoc(docRef);
+      await storage.remove(SHOOTING_LOGS_COLLECTION, shootingLog.id);
       
     } catch (error) {
       console.error('Error deleting shooting log:', error);
@@ -450,80 +417,231 @@ export const shotsService = {
   // Add a new shot
   async addShot(shotData) {
     try {
-      const shotsRef = collection(db, SHOTS_COLLECTION);
+      // Use the caller's shot ID when provided (queued offline writes), otherwise generate one
+      const shotID = shotData.shotID || generateID('shot');
       
-      // Generate unique shot ID
-      const shotID = `shot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      const docRef = await addDoc(shotsRef, {
+      // Document ID matches shotID so replaying a queued write is idempotent
+      await storage.set(SHOTS_COLLECTION, shotID, {
         shotID: shotID,
         logID: shotData.logID,
         playerID: shotData.playerID,
         shotResult: shotData.shotResult,    // "made" or "missed"
         shotZone: shotData.shotZone,
+        shotValue: shotData.shotValue || null,  // Points a make is worth (see utils/shotValue)
         timeTaken: shotData.timeTaken || 0,
         timestamp: getEasternTimeISO(),
         sequenceNumber: shotData.sequenceNumber || 1
       });
       
-      return { id: docRef.id, shotID, ...shotData };
+      return { id: shotID, ...shotData, shotID };
     } catch (error) {
       console.error('Error adding shot:', error);
       throw error;
     }
   },
 
-  // Get all shots for a shooting log
-  async getLogShots(logID) {
+  /**
+   * ADD SHOT WITH EVENT: Write a shot, its session event and the log aggregates in one batch
+   * 
+   * Why a write batch (Firestore writeBatch, or one transaction in the local backends):
+   * - All three writes commit together or not at all, so the shots collection,
+   *   the event stream and the shooting log can never disagree
+   * - Aggregates use increment()/arrayUnion() server-side transforms instead of
+   *   a client-computed read-modify-write, so rapid taps cannot overwrite each
+   *   other's totals
+   * - One network round trip per tap instead of four
+   * 
+   * accuracy, pointsPerShot and effectiveFGPct are ratios and cannot be
+   * incremented; they are written when the session ends and readers derive
+   * them from the totals (see utils/shotValue).
+   * 
+   * The shot and its event carry consecutive sequence numbers; the log's
+   * lastSequenceNumber moves to the event's number in the same batch.
+   * 
+   * Idempotent: the batch only commits if the shot document does not exist yet.
+   * A replay from the offline queue after a lost acknowledgement finds the shot
+   * already written and skips it, so the increments are never applied twice.
+   * 
+   * @param {Object} shotData - Shot fields (shotID, logID, playerID, shotResult, shotZone, shotValue, timeTaken, sequenceNumber,
+   *                            timestamp - when the shot was taken, defaults to now)
+   * @param {Object} shotEvent - Event fields (eventID, eventType, eventData, sessionElapsedTime, sequenceNumber)
+   * @param {string} logDocID - Firestore document ID of the shooting log (defaults to the logID)
+   * @returns {Object} The written shot
+   */
+  async addShotWithEvent(shotData, shotEvent, logDocID = shotData.logID) {
     try {
-      const shotsRef = collection(db, SHOTS_COLLECTION);
+      const shotID = shotData.shotID || generateID('shot');
+      const eventID = shotEvent.eventID || generateID('event');
+      // Queued writes carry the time of the tap, not the time they synced
+      const timestamp = shotData.timestamp || getEasternTimeISO();
+      const isMade = shotData.shotResult === 'made';
+      const points = isMade ? (shotData.shotValue || 0) : 0;
+      const distance = shotDistance.getDistance(shotData);
       
-      // First try with orderBy
-      try {
-        const q = query(
-          shotsRef,
-          where('logID', '==', logID),
-          orderBy('sequenceNumber', 'asc')
-        );
-        const querySnapshot = await getDocs(q);
-        
-        return querySnapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-      } catch (indexError) {
-        
-        // Fallback: simple query without orderBy, then sort in JavaScript
-        const simpleQuery = query(shotsRef, where('logID', '==', logID));
-        const querySnapshot = await getDocs(simpleQuery);
-        
-        const shots = querySnapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-        
-        // Sort in JavaScript instead of Firestore
-        return shots.sort((a, b) => (a.sequenceNumber || 0) - (b.sequenceNumber || 0));
-      }
+      const shotDocument = {
+        shotID: shotID,
+        logID: shotData.logID,
+        playerID: shotData.playerID,
+        shotResult: shotData.shotResult,    // "made" or "missed"
+        shotZone: shotData.shotZone,
+        shotValue: shotData.shotValue || null,  // Points a make is worth (see utils/shotValue)
+        timeTaken: shotData.timeTaken || 0,
+        timestamp: timestamp,
+        sequenceNumber: shotData.sequenceNumber || 1,
+        ...(shotData.trip ? { trip: shotData.trip } : {}),   // Free-throw trip metadata (see utils/freeThrowTrips)
+        ...(shotData.context ? { context: shotData.context } : {}),   // Shot context (see utils/shotContext)
+        ...(shotData.distance ? { distance: shotData.distance } : {}),   // Distance behind the line (see utils/shotDistance)
+        ...(shotData.coordinates ? { coordinates: shotData.coordinates } : {})   // Court coordinates { x, y } (see utils/geometry)
+      };
+      
+      const eventDocument = {
+        eventID: eventID,
+        logID: shotData.logID,
+        playerID: shotData.playerID,
+        eventType: shotEvent.eventType,
+        eventData: { ...(shotEvent.eventData || {}), shotID },
+        timestamp: timestamp,
+        sessionElapsedTime: shotEvent.sessionElapsedTime || 0,
+        sequenceNumber: shotEvent.sequenceNumber || 1
+      };
+      
+      // Dotted field paths update a single zone without touching the others
+      const logUpdates = {
+        shots: arrayUnion(shotID),
+        totalShots: increment(1),
+        totalMade: increment(isMade ? 1 : 0),
+        totalMissed: increment(isMade ? 0 : 1),
+        totalPoints: increment(points),
+        totalThreesMade: increment(points === 3 ? 1 : 0),  // Made threes, for effectiveFGPct
+        [`zoneStats.${shotData.shotZone}.attempts`]: increment(1),
+        [`zoneStats.${shotData.shotZone}.made`]: increment(isMade ? 1 : 0),
+        [`zoneStats.${shotData.shotZone}.distances.${distance}.attempts`]: increment(1),
+        [`zoneStats.${shotData.shotZone}.distances.${distance}.made`]: increment(isMade ? 1 : 0),
+        lastSequenceNumber: Math.max(shotDocument.sequenceNumber, eventDocument.sequenceNumber),
+        updatedAt: timestamp
+      };
+      
+      // Skipped when the shot already exists (a replay of a write that reached the server)
+      await storage.commitBatch([
+        { type: 'set', collection: SHOTS_COLLECTION, id: shotID, data: shotDocument },
+        { type: 'set', collection: SESSION_EVENTS_COLLECTION, id: eventID, data: eventDocument },
+        { type: 'update', collection: SHOOTING_LOGS_COLLECTION, id: logDocID, data: logUpdates }
+      ], { unlessExists: { collection: SHOTS_COLLECTION, id: shotID } });
+      
+      return { id: shotID, ...shotData, shotID };
+    } catch (error) {
+      console.error('Error adding shot with event:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the shots of a shooting log in sequence order
+   * Undone shots stay in the collection (see sessionProjector) and are left out unless requested
+   * 
+   * @param {string} logID - Shooting log identifier
+   * @param {Object} options - { includeUndone } also return shots removed by undo
+   * @returns {Array} Shot records
+   */
+  async getLogShots(logID, { includeUndone = false } = {}) {
+    try {
+      const shots = await storage.query(SHOTS_COLLECTION, {
+        where: { logID },
+        orderBy: { field: 'sequenceNumber', direction: 'asc' }
+      });
+      return includeUndone ? shots : shots.filter(shot => !shot.undone);
     } catch (error) {
       console.error('Error fetching log shots:', error);
       throw error;
     }
   },
 
-  // Delete a shot (for undo functionality)
+  // Mark a shot as removed by an undo event, or counted again by a redo event (the document is kept for history)
+  async setShotUndone(shotID, undone, eventID) {
+    try {
+      const [shotDoc] = await storage.query(SHOTS_COLLECTION, { where: { shotID } });
+      
+      if (!shotDoc) {
+        throw createStorageError('not-found', 'Shot not found');
+      }
+      
+      await storage.update(SHOTS_COLLECTION, shotDoc.id, undone
+        ? { undone: true, undoEventID: eventID, undoneAt: getEasternTimeISO() }
+        : { undone: false, redoEventID: eventID, redoneAt: getEasternTimeISO() });
+      
+      return { shotID, undone };
+    } catch (error) {
+      console.error('Error updating shot undo state:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Store quick tags on a shot and on the shot_made / shot_missed event that recorded it
+   * Tags describe the shot and never change the stats, so the event is updated in place
+   * 
+   * @param {string} logID - Shooting log the shot belongs to
+   * @param {string} shotID - Shot to tag
+   * @param {Object} tags - { missDirection, makeQuality } (see utils/shotTags)
+   */
+  async setShotTags(logID, shotID, tags) {
+    try {
+      const [[shotDoc], logEvents] = await Promise.all([
+        storage.query(SHOTS_COLLECTION, { where: { shotID } }),
+        storage.query(SESSION_EVENTS_COLLECTION, { where: { logID } })
+      ]);
+      
+      if (!shotDoc) {
+        throw createStorageError('not-found', 'Shot not found');
+      }
+      
+      const shotEvent = logEvents.find(event => (event.eventType === 'shot_made' || event.eventType === 'shot_missed') &&
+        event.eventData?.shotID === shotID);
+      
+      await storage.commitBatch([
+        { type: 'update', collection: SHOTS_COLLECTION, id: shotDoc.id, data: { tags } },
+        ...(shotEvent ? [{ type: 'update', collection: SESSION_EVENTS_COLLECTION, id: shotEvent.id, data: { 'eventData.tags': tags } }] : [])
+      ]);
+      
+      return { shotID, tags };
+    } catch (error) {
+      console.error('Error tagging shot:', error);
+      throw error;
+    }
+  },
+
+  // Correct a shot's zone or result in place, recording the shot_edit event that changed it
+  async updateShot(shotID, updates, editEventID) {
+    try {
+      const [shotDoc] = await storage.query(SHOTS_COLLECTION, { where: { shotID } });
+      
+      if (!shotDoc) {
+        throw createStorageError('not-found', 'Shot not found');
+      }
+      
+      await storage.update(SHOTS_COLLECTION, shotDoc.id, {
+        ...updates,
+        editEventID: editEventID,
+        editedAt: getEasternTimeISO()
+      });
+      
+      return { shotID, ...updates };
+    } catch (error) {
+      console.error('Error updating shot:', error);
+      throw error;
+    }
+  },
+
+  // Delete a shot (when discarding or purging a session)
   async deleteShot(shotID) {
     try {
-      const shotsRef = collection(db, SHOTS_COLLECTION);
-      const q = query(shotsRef, where('shotID', '==', shotID));
-      const querySnapshot = await getDocs(q);
+      const [shotDoc] = await storage.query(SHOTS_COLLECTION, { where: { shotID } });
       
-      if (querySnapshot.empty) {
-        throw new Error('Shot not found');
+      if (!shotDoc) {
+        throw createStorageError('not-found', 'Shot not found');
       }
       
-      const shotDoc = querySnapshot.docs[0];
-      await deleteDoc(doc(db, SHOTS_COLLECTION, shotDoc.id));
+      await storage.remove(SHOTS_COLLECTION, shotDoc.id);
       
       return { shotID };
     } catch (error) {
@@ -538,8 +656,7 @@ export const shootingSessionsService = {
   // Save shooting session
   async saveShootingSession(sessionData) {
     try {
-      const sessionsRef = collection(db, SHOOTING_LOGS_COLLECTION);
-      const docRef = await addDoc(sessionsRef, {
+      const documentId = await storage.add(SHOOTING_LOGS_COLLECTION, {
         playerId: sessionData.playerId,
         playerName: sessionData.playerName,
         shots: sessionData.shots,
@@ -554,7 +671,7 @@ export const shootingSessionsService = {
         createdAt: getEasternTimeISO()
       });
       
-      return { id: docRef.id, ...sessionData };
+      return { id: documentId, ...sessionData };
     } catch (error) {
       console.error('Error saving shooting session:', error);
       throw error;
@@ -564,18 +681,10 @@ export const shootingSessionsService = {
   // Get sessions for a specific player
   async getPlayerSessions(playerId) {
     try {
-      const sessionsRef = collection(db, SHOOTING_LOGS_COLLECTION);
-      const q = query(
-        sessionsRef,
-        where('playerId', '==', playerId),
-        orderBy('createdAt', 'desc')
-      );
-      const querySnapshot = await getDocs(q);
-      
-      return querySnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      return await storage.query(SHOOTING_LOGS_COLLECTION, {
+        where: { playerId },
+        orderBy: { field: 'createdAt', direction: 'desc' }
+      });
     } catch (error) {
       console.error('Error fetching player sessions:', error);
       throw error;
@@ -585,14 +694,9 @@ export const shootingSessionsService = {
   // Get all sessions
   async getAllSessions() {
     try {
-      const sessionsRef = collection(db, SHOOTING_LOGS_COLLECTION);
-      const q = query(sessionsRef, orderBy('createdAt', 'desc'));
-      const querySnapshot = await getDocs(q);
-      
-      return querySnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      return await storage.query(SHOOTING_LOGS_COLLECTION, {
+        orderBy: { field: 'createdAt', direction: 'desc' }
+      });
     } catch (error) {
       console.error('Error fetching all sessions:', error);
       throw error;
@@ -602,18 +706,7 @@ export const shootingSessionsService = {
   // Get shots by log ID
   async getShotsByLogID(logID) {
     try {
-      const shotsRef = collection(db, SHOTS_COLLECTION);
-      const q = query(shotsRef, where('logID', '==', logID));
-      const querySnapshot = await getDocs(q);
-      
-      if (querySnapshot.empty) {
-        return [];
-      }
-      
-      const shots = querySnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      const shots = await storage.query(SHOTS_COLLECTION, { where: { logID } });
       
       // Sort by timestamp
       return shots.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
@@ -626,64 +719,76 @@ export const shootingSessionsService = {
 
 // Session Events operations - Track all session activities
 export const sessionEventsService = {
-  // Add a session event
-  async addEvent(eventData) {
+  /**
+   * ADD EVENT: Write a session event
+   * 
+   * With a logDocID the event and the log's lastSequenceNumber are written in
+   * one batch, so the stored counter always matches the newest event.
+   * 
+   * @param {Object} eventData - Event fields (eventID, logID, playerID, eventType, eventData, sessionElapsedTime, sequenceNumber,
+   *                             timestamp - when it happened, defaults to now)
+   * @param {Object} options - { logDocID } document ID of the shooting log to advance (optional)
+   * @returns {Object} The written event
+   */
+  async addEvent(eventData, { logDocID } = {}) {
     try {
-      const eventsRef = collection(db, SESSION_EVENTS_COLLECTION);
-      
-      // Generate unique event ID
-      const eventID = `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      // Use the caller's event ID when provided (queued offline writes), otherwise generate one
+      const eventID = eventData.eventID || generateID('event');
+      // Queued writes carry the time of the action, not the time they synced
+      const timestamp = eventData.timestamp || getEasternTimeISO();
       
-      const docRef = await addDoc(eventsRef, {
+      const eventDocument = {
         eventID: eventID,
         logID: eventData.logID,
         playerID: eventData.playerID,
-        eventType: eventData.eventType,      // 'session_start', 'session_pause', 'session_resume', 'session_end', 'shot_made', 'shot_missed', 'shot_undo'
+        eventType: eventData.eventType,      // 'session_start', 'session_pause', 'session_resume', 'session_end', 'shot_made', 'shot_missed', 'shot_undo', 'shot_redo', 'shot_edit', 'interval_start', 'interval_end'
         eventData: eventData.eventData || {}, // Additional event-specific data
-        timestamp: getEasternTimeISO(),
+        timestamp: timestamp,
         sessionElapsedTime: eventData.sessionElapsedTime || 0, // Time since session started (in seconds)
         sequenceNumber: eventData.sequenceNumber || 1
-      });
+      };
       
-      return { id: docRef.id, eventID, ...eventData };
+      // Document ID matches eventID so replaying a queued write is idempotent
+      if (logDocID) {
+        await storage.commitBatch([
+          { type: 'set', collection: SESSION_EVENTS_COLLECTION, id: eventID, data: eventDocument },
+          {
+            type: 'update',
+            collection: SHOOTING_LOGS_COLLECTION,
+            id: logDocID,
+            data: { lastSequenceNumber: eventDocument.sequenceNumber, updatedAt: timestamp }
+          }
+        ]);
+      } else {
+        await storage.set(SESSION_EVENTS_COLLECTION, eventID, eventDocument);
+      }
+      
+      return { id: eventID, ...eventData, eventID };
     } catch (error) {
       console.error('Error adding session event:', error);
       throw error;
     }
   },
 
+  // Get a single event by its eventID (null if it has not been written)
+  async getEventByID(eventID) {
+    try {
+      const [eventDoc] = await storage.query(SESSION_EVENTS_COLLECTION, { where: { eventID } });
+      return eventDoc || null;
+    } catch (error) {
+      console.error('Error fetching session event:', error);
+      throw error;
+    }
+  },
+
   // Get all events for a shooting log (session timeline)
   async getSessionEvents(logID) {
     try {
-      const eventsRef = collection(db, SESSION_EVENTS_COLLECTION);
-      
-      // First try with orderBy
-      try {
-        const q = query(
-          eventsRef,
-          where('logID', '==', logID),
-          orderBy('sequenceNumber', 'asc')
-        );
-        const querySnapshot = await getDocs(q);
-        
-        return querySnapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-      } catch (indexError) {
-        
-        // Fallback: simple query without orderBy, then sort in JavaScript
-        const simpleQuery = query(eventsRef, where('logID', '==', logID));
-        const querySnapshot = await getDocs(simpleQuery);
-        
-        const events = querySnapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-        
-        // Sort in JavaScript instead of Firestore
-        return events.sort((a, b) => (a.sequenceNumber || 0) - (b.sequenceNumber || 0));
-      }
+      // Adapters fall back to sorting in JavaScript when an index is missing
+      return await storage.query(SESSION_EVENTS_COLLECTION, {
+        where: { logID },
+        orderBy: { field: 'sequenceNumber', direction: 'asc' }
+      });
     } catch (error) {
       console.error('Error fetching session events:', error);
       throw error;
@@ -693,18 +798,11 @@ export const sessionEventsService = {
   // Get events by type for analysis
   async getEventsByType(logID, eventType) {
     try {
-      const eventsRef = collection(db, SESSION_EVENTS_COLLECTION);
-      
       // Use simple query to avoid compound index requirement
-      const q = query(eventsRef, where('logID', '==', logID));
-      const querySnapshot = await getDocs(q);
+      const logEvents = await storage.query(SESSION_EVENTS_COLLECTION, { where: { logID } });
       
       // Filter and sort in JavaScript
-      const events = querySnapshot.docs
-        .map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }))
+      const events = logEvents
         .filter(event => event.eventType === eventType)
         .sort((a, b) => (a.sequenceNumber || 0) - (b.sequenceNumber || 0));
       
@@ -720,7 +818,7 @@ export const sessionEventsService = {
     try {
       const [events, shots] = await Promise.all([
         this.getSessionEvents(logID),
-        shotsService.getLogShots(logID)
+        shotsService.getLogShots(logID, { includeUndone: true })
       ]);
       
       // Combine and sort by sequence number
@@ -739,16 +837,13 @@ export const sessionEventsService = {
   // Delete an event (for undo functionality)
   async deleteEvent(eventID) {
     try {
-      const eventsRef = collection(db, SESSION_EVENTS_COLLECTION);
-      const q = query(eventsRef, where('eventID', '==', eventID));
-      const querySnapshot = await getDocs(q);
+      const [eventDoc] = await storage.query(SESSION_EVENTS_COLLECTION, { where: { eventID } });
       
-      if (querySnapshot.empty) {
-        throw new Error('Event not found');
+      if (!eventDoc) {
+        throw createStorageError('not-found', 'Event not found');
       }
       
-      const eventDoc = querySnapshot.docs[0];
-      await deleteDoc(doc(db, SESSION_EVENTS_COLLECTION, eventDoc.id));
+      await storage.remove(SESSION_EVENTS_COLLECTION, eventDoc.id);
       
       return { eventID };
     } catch (error) {
@@ -760,18 +855,7 @@ export const sessionEventsService = {
   // Get events by log ID
   async getEventsByLogID(logID) {
     try {
-      const eventsRef = collection(db, SESSION_EVENTS_COLLECTION);
-      const q = query(eventsRef, where('logID', '==', logID));
-      const querySnapshot = await getDocs(q);
-      
-      if (querySnapshot.empty) {
-        return [];
-      }
-      
-      const events = querySnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      const events = await storage.query(SESSION_EVENTS_COLLECTION, { where: { logID } });
       
       // Sort by sequence number
       return events.sort((a, b) => (a.sequenceNumber || 0) - (b.sequenceNumber || 0));
@@ -782,6 +866,151 @@ export const sessionEventsService = {
   }
 };
 
+// Audit trail operations - Record every change made to a saved session
+export const auditLogService = {
+  /**
+   * ADD ENTRY: Record one change to a saved session
+   * 
+   * @param {Object} entry - { logID, playerID, action, targetID, before, after, editedBy, editorUID }
+   *   action: 'shot_edit' | 'session_date_change' | 'session_delete'
+   * @returns {Object} The written audit entry
+   */
+  async addEntry(entry) {
+    try {
+      const auditID = generateID('audit');
+      const auditDocument = {
+        auditID: auditID,
+        logID: entry.logID,
+        playerID: entry.playerID || null,
+        action: entry.action,
+        targetID: entry.targetID || entry.logID,  // Shot or log the change applies to
+        before: entry.before ?? null,
+        after: entry.after ?? null,
+        editedBy: entry.editedBy || 'unknown',
+        editorUID: entry.editorUID || null,     // Firebase Auth user, checked by the security rules
+        timestamp: getEasternTimeISO()
+      };
+      
+      await storage.set(AUDIT_LOG_COLLECTION, auditID, auditDocument);
+      
+      return auditDocument;
+    } catch (error) {
+      console.error('Error adding audit entry:', error);
+      throw error;
+    }
+  },
+
+  // Get a session's audit trail, newest first (entries outlive a deleted session)
+  async getLogAuditEntries(logID) {
+    try {
+      const entries = await storage.query(AUDIT_LOG_COLLECTION, { where: { logID } });
+      return entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    } catch (error) {
+      console.error('Error fetching audit entries:', error);
+      throw error;
+    }
+  }
+};
+
+// Zone set operations - Custom zone sets coaches define for their drills
+export const zoneSetsService = {
+  // Get all custom zone sets, sorted by name
+  async getAllZoneSets() {
+    try {
+      const zoneSets = await storage.query(ZONE_SETS_COLLECTION);
+      return zoneSets.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Error fetching zone sets:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * SAVE ZONE SET: Create or replace a custom zone set
+   * @param {Object} zoneSet - { zoneSetID (optional for new sets), name, zones: [{ id, label, shortLabel, abbrev, value }] }
+   * @returns {Object} The stored zone set
+   */
+  async saveZoneSet(zoneSet) {
+    try {
+      const zoneSetID = zoneSet.zoneSetID || generateID('zoneset');
+      const zoneSetDocument = {
+        zoneSetID: zoneSetID,
+        name: zoneSet.name,
+        zones: zoneSet.zones,
+        createdAt: zoneSet.createdAt || getEasternTimeISO(),
+        updatedAt: getEasternTimeISO()
+      };
+      
+      await storage.set(ZONE_SETS_COLLECTION, zoneSetID, zoneSetDocument);
+      
+      return zoneSetDocument;
+    } catch (error) {
+      console.error('Error saving zone set:', error);
+      throw error;
+    }
+  },
+
+  // Delete a custom zone set (sessions shot with it keep their zone IDs)
+  async deleteZoneSet(zoneSetID) {
+    try {
+      await storage.remove(ZONE_SETS_COLLECTION, zoneSetID);
+    } catch (error) {
+      console.error('Error deleting zone set:', error);
+      throw error;
+    }
+  }
+};
+
+// Court layout operations - Zone polygons saved from the CourtTracker zone editor
+export const courtLayoutsService = {
+  // Get all saved court layouts, sorted by name
+  async getAllCourtLayouts() {
+    try {
+      const layouts = await storage.query(COURT_LAYOUTS_COLLECTION);
+      return layouts.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Error fetching court layouts:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * SAVE COURT LAYOUT: Create or replace a court layout
+   * @param {Object} layout - { layoutID (optional for new layouts), name, profileID, zones: [{ id, polygon }] }
+   * @returns {Object} The stored layout
+   */
+  async saveCourtLayout(layout) {
+    try {
+      const layoutID = layout.layoutID || generateID('layout');
+      const layoutDocument = {
+        layoutID: layoutID,
+        name: layout.name,
+        profileID: layout.profileID,     // Court profile the polygons are drawn on (see utils/courtProfiles)
+        zones: layout.zones.map(({ id, polygon }) => ({ id, polygon })),
+        createdAt: layout.createdAt || getEasternTimeISO(),
+        updatedAt: getEasternTimeISO()
+      };
+      
+      await storage.set(COURT_LAYOUTS_COLLECTION, layoutID, layoutDocument);
+      
+      return layoutDocument;
+    } catch (error) {
+      console.error('Error saving court layout:', error);
+      throw error;
+    }
+  },
+
+  // Delete a court layout (recorded coordinates are kept; only the zone drawing goes)
+  async deleteCourtLayout(layoutID) {
+    try {
+      await storage.remove(COURT_LAYOUTS_COLLECTION, layoutID);
+    } catch (error) {
+      console.error('Error deleting court layout:', error);
+      throw error;
+    }
+  }
+};
+
 // Utility function to initialize Cleveland Cavaliers roster
 export const initializeSampleData = async () => {
   try {
@@ -0,0 +1,281 @@
+/**
+ * HISTORICAL SESSION EDITOR
+ *
+ * Purpose: Correct saved sessions (shot zones and results, session date) or delete them
+ * Context: Once a session is saved the shooting screen is gone, so mis-taps and
+ *          wrong dates used to stay in the data for good. The session detail view
+ *          in DownloadResults uses this service to fix them.
+ *
+ * Access Control:
+ * The PIN in VITE_SESSION_EDITOR_PIN is only a UI step: it ships in the bundle,
+ * so it keeps casual users out but protects nothing. Without a PIN configured,
+ * saved sessions are read-only.
+ * With the Firestore backend the editor must also sign in with Firebase Auth.
+ * The Firestore security rules (firestore.rules) only accept changes to a
+ * finished session, and audit entries, from a signed-in user listed in the
+ * sessionEditors collection. Sessions saved by older versions are only covered
+ * once protectOlderSessions has run (see firebase-setup.md). The local backends
+ * have no server to enforce anything; their data never leaves the device.
+ *
+ * Audit Trail:
+ * Every change writes an auditLog entry with the editor's name and the values
+ * before and after. Shot corrections also write a shot_edit event to the
+ * session itself, so its stats can still be rebuilt from its events.
+ */
+
+import { shootingLogsService, sessionEventsService, auditLogService, generateID } from './services';
+import { shootingSessionManager } from './sessionManager';
+import { getStorageBackendName } from './storage';
+import { getEasternTimeISO } from '../utils/timezone';
+
+const EDITOR_PIN = import.meta.env.VITE_SESSION_EDITOR_PIN || '';
+
+// Highest sequence number used by the session (logs created before lastSequenceNumber existed fall back to their records)
+const getLastSequence = (log, timeline) => {
+  return timeline.reduce((latest, record) => Math.max(latest, record.sequenceNumber || 0), log.lastSequenceNumber || 0);
+};
+
+// One row per shot: a shot's shot_made / shot_missed event repeats it, and keeps the zone and result
+// from before any correction, so it is left out when the shot document exists (older events without one stay)
+const mergeShotEvents = (timeline) => {
+  const shotIDs = new Set(timeline.filter(record => record.type === 'shot').map(record => record.shotID));
+  return timeline.filter(record => !(record.type === 'event' &&
+    (record.eventType === 'shot_made' || record.eventType === 'shot_missed') &&
+    shotIDs.has(record.eventData?.shotID)));
+};
+
+export const sessionEditorService = {
+  /**
+   * Whether saved sessions can be edited at all (an editor PIN is configured)
+   */
+  isEditingEnabled() {
+    return EDITOR_PIN !== '';
+  },
+
+  /**
+   * Check a PIN entered in the session detail view
+   * @param {string} pin - PIN entered by the user
+   * @returns {boolean} True when it unlocks editing
+   */
+  verifyPin(pin) {
+    return this.isEditingEnabled() && String(pin).trim() === EDITOR_PIN;
+  },
+
+  /**
+   * Whether the editor must sign in before changing saved sessions (Firestore backend)
+   */
+  requiresSignIn() {
+    return getStorageBackendName() === 'firestore';
+  },
+
+  /**
+   * SIGN IN: Firebase Auth email/password sign-in for session editors
+   * Loaded lazily, like the Firestore adapter, so local backends never initialize Firebase
+   *
+   * @param {string} email - Editor account email
+   * @param {string} password - Editor account password
+   * @returns {Object} { uid, name } - name is recorded as editedBy in the audit trail
+   */
+  async signIn(email, password) {
+    const [{ auth }, { signInWithEmailAndPassword }] = await Promise.all([
+      import('./config'),
+      import('firebase/auth')
+    ]);
+    const { user } = await signInWithEmailAndPassword(auth, email.trim(), password);
+    return { uid: user.uid, name: user.displayName || user.email };
+  },
+
+  /**
+   * Sign the editor out when the session detail view closes
+   */
+  async signOut() {
+    if (!this.requiresSignIn()) return;
+    const [{ auth }, { signOut }] = await Promise.all([
+      import('./config'),
+      import('firebase/auth')
+    ]);
+    await signOut(auth);
+  },
+
+  /**
+   * LOAD SESSION DETAIL: Shooting log, its shots and events in order, and its audit trail
+   * Each shot is one timeline row (see mergeShotEvents)
+   *
+   * @param {string} logID - Saved shooting log
+   * @returns {Object} { log, timeline, auditEntries }
+   */
+  async loadSessionDetail(logID) {
+    try {
+      const [log, timeline, auditEntries] = await Promise.all([
+        shootingLogsService.getShootingLog(logID),
+        shootingSessionManager.getSessionTimeline(logID),
+        auditLogService.getLogAuditEntries(logID)
+      ]);
+      return { log, timeline: mergeShotEvents(timeline), auditEntries };
+    } catch (error) {
+      console.error('Error loading session detail:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * CORRECT SHOT: Change a saved shot's zone and/or result
+   *
+   * Uses the same shot_edit path as corrections made during a live session,
+   * so the shot document, the log stats and the event stream stay consistent.
+   * The sequence number is reserved through the session manager's counter, so
+   * it can never be handed out again by another correction.
+   *
+   * @param {string} logID - Shooting log the shot belongs to
+   * @param {Object} shot - Shot record from the timeline
+   * @param {Object} after - { shotZone, shotResult }
+   * @param {Object} editor - { name, uid } of the person making the change (uid is null without sign-in)
+   */
+  async correctShot(logID, shot, after, editor) {
+    try {
+      const [log, timeline] = await Promise.all([
+        shootingLogsService.getShootingLog(logID),
+        shootingSessionManager.getSessionTimeline(logID)
+      ]);
+      const before = { shotZone: shot.shotZone, shotResult: shot.shotResult };
+      const eventID = generateID('event');
+      shootingSessionManager.seedSequence(logID, getLastSequence(log, timeline));
+
+      await shootingSessionManager.applyEdit({
+        eventID,
+        logID,
+        logDocID: log.id,
+        playerID: log.playerID,
+        shotID: shot.shotID,
+        before,
+        after,
+        sessionElapsedTime: log.sessionDuration || 0,
+        sequenceNumber: shootingSessionManager.getNextSequence(logID),
+        timestamp: getEasternTimeISO()
+      });
+
+      await auditLogService.addEntry({
+        logID,
+        playerID: log.playerID,
+        action: 'shot_edit',
+        targetID: shot.shotID,
+        before,
+        after,
+        editedBy: editor.name,
+        editorUID: editor.uid
+      });
+    } catch (error) {
+      console.error('Error correcting shot:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * CHANGE SESSION DATE: Move a saved session to another date and time
+   *
+   * @param {string} logID - Shooting log to change
+   * @param {string} sessionDate - New Eastern Time ISO string ("YYYY-MM-DDTHH:mm:ss.sss")
+   * @param {Object} editor - { name, uid } of the person making the change (uid is null without sign-in)
+   */
+  async changeSessionDate(logID, sessionDate, editor) {
+    try {
+      const log = await shootingLogsService.getShootingLog(logID);
+
+      await shootingLogsService.updateShootingLogStats(logID, { sessionDate });
+
+      await auditLogService.addEntry({
+        logID,
+        playerID: log.playerID,
+        action: 'session_date_change',
+        before: log.sessionDate,
+        after: sessionDate,
+        editedBy: editor.name,
+        editorUID: editor.uid
+      });
+    } catch (error) {
+      console.error('Error changing session date:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * DELETE SESSION: Remove a saved session with all of its shots and events
+   *
+   * The audit entry is written first and keeps the session's totals, so the
+   * deletion stays traceable after the data is gone.
+   *
+   * @param {string} logID - Shooting log to delete
+   * @param {Object} editor - { name, uid } of the person making the change (uid is null without sign-in)
+   */
+  async deleteSession(logID, editor) {
+    try {
+      const log = await shootingLogsService.getShootingLog(logID);
+
+      await auditLogService.addEntry({
+        logID,
+        playerID: log.playerID,
+        action: 'session_delete',
+        before: {
+          sessionDate: log.sessionDate,
+          totalShots: log.totalShots || 0,
+          totalMade: log.totalMade || 0
+        },
+        after: null,
+        editedBy: editor.name,
+        editorUID: editor.uid
+      });
+
+      await shootingSessionManager.deleteSessionData(logID);
+    } catch (error) {
+      console.error('Error deleting session:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * PROTECT OLDER SESSIONS: One-off migration for logs saved before the editor rules
+   *
+   * Older versions created logs with a random document ID and kept endedAt only
+   * in the session_end event, so the security rules could not tell they were
+   * saved. Each such log gets endedAt from its session_end event and moves to
+   * a document ID equal to its logID. Logs that are already migrated are left
+   * alone, so running it again is safe.
+   *
+   * @param {Function} onProgress - Optional (completed, total) callback
+   * @returns {Object} { total, migrated, failed: [{ logID, error }] }
+   */
+  async protectOlderSessions(onProgress) {
+    const logs = await shootingLogsService.getAllShootingLogs();
+    const summary = { total: logs.length, migrated: 0, failed: [] };
+
+    for (const [index, log] of logs.entries()) {
+      try {
+        const updates = {};
+        if (!log.endedAt && !log.closedOutAt) {
+          const [sessionEnd] = await sessionEventsService.getEventsByType(log.logID, 'session_end');
+          if (sessionEnd) {
+            updates.endedAt = sessionEnd.eventData?.endedAt || sessionEnd.timestamp;
+          }
+        }
+
+        if (log.id !== log.logID) {
+          if (!await shootingLogsService.rekeyShootingLog(log, updates)) {
+            throw new Error(`A shooting log document named ${log.logID} already exists`);
+          }
+          summary.migrated += 1;
+        } else if (updates.endedAt) {
+          await shootingLogsService.updateShootingLogStats(log.logID, updates);
+          summary.migrated += 1;
+        }
+      } catch (error) {
+        summary.failed.push({ logID: log.logID, error: error.message });
+      }
+
+      if (typeof onProgress === 'function') {
+        onProgress(index + 1, summary.total);
+      }
+    }
+
+    return summary;
+  }
+};
@@ -24,10 +24,16 @@
  * - Timezone utilities for Eastern Time consistency (Cleveland Cavaliers timezone)
  */
 
-import { playersService, shootingLogsService, shotsService, sessionEventsService } from './services';
-import { collection, getDocs } from 'firebase/firestore';
-import { db } from './config';
+import { playersService, shootingLogsService, shotsService, sessionEventsService, generateID } from './services';
+import { offlineQueue } from './offlineQueue';
+import { sessionProjector } from './sessionProjector';
 import { getEasternTimeISO } from '../utils/timezone';
+import { saveSequenceCounter, loadSequenceCounter } from '../utils/sessionPersistence';
+import { zoneRegistry, DEFAULT_ZONE_SET_ID } from '../utils/zoneRegistry';
+import { DEFAULT_DRILL_TEMPLATE_ID } from '../utils/drillTemplates';
+import { DEFAULT_COURT_PROFILE_ID } from '../utils/courtProfiles';
+import { shotValue, THREE_POINT_VALUE } from '../utils/shotValue';
+import { shotDistance } from '../utils/shotDistance';
 
 /**
  * SHOOTING SESSION MANAGER: Centralized session orchestration service
@@ -46,23 +52,97 @@ export const shootingSessionManager = {
    * - Supports undo/redo operations with proper ordering
    * - Provides data integrity for analytics and performance review
    * - Allows for real-time collaboration features in future versions
+   * 
+   * Guarantees:
+   * - Every shot and every event gets its own number (a shot and its event
+   *   never share one), so merged timelines have a single unambiguous order
+   * - Numbers are per shooting log and strictly increasing with no gaps
+   * - The counter survives reloads: it is stored on the device the moment it
+   *   advances, and on the log (lastSequenceNumber) in the same write batch as
+   *   the record that used it, so another device can continue the session
    */
-  _sequenceCounter: 0,                                    // Internal counter for maintaining event order
+  _sequenceCounters: {},                                  // logID → last sequence number handed out
   
   /**
-   * Get next sequence number and increment counter
-   * Atomic operation ensures unique sequencing across concurrent operations
+   * Last sequence number handed out for a session (0 before the first record)
+   * @param {string} logID - Shooting log identifier
    */
-  getNextSequence() {
-    return ++this._sequenceCounter;
+  getLastSequence(logID) {
+    return this._sequenceCounters[logID] ?? loadSequenceCounter(logID);
   },
   
   /**
-   * Reset sequence counter for new session
-   * Called at session start to ensure each session begins with sequence 1
+   * Get next sequence number for a session and advance its counter
+   * Stored on the device immediately so a reload never reuses a number
+   * @param {string} logID - Shooting log identifier
+   */
+  getNextSequence(logID) {
+    const next = this.getLastSequence(logID) + 1;
+    this._sequenceCounters[logID] = next;
+    saveSequenceCounter(logID, next);
+    return next;
+  },
+
+  /**
+   * Continue numbering a session that was started earlier (reload or another device)
+   * Never moves the counter backwards, so numbers already used locally are not reissued
+   * 
+   * @param {string} logID - Shooting log identifier
+   * @param {number} lastSequenceNumber - Highest number known to be used (log's lastSequenceNumber)
+   */
+  seedSequence(logID, lastSequenceNumber = 0) {
+    const value = Math.max(lastSequenceNumber || 0, this.getLastSequence(logID));
+    this._sequenceCounters[logID] = value;
+    saveSequenceCounter(logID, value);
+  },
+
+  /**
+   * QUEUED WRITES: Every session write goes through the offline queue
+   * 
+   * Writes are stored on the device first and replayed in order once Firestore
+   * is reachable, so a Wi-Fi drop mid-test never loses or reorders shots.
+   * Record IDs are generated here (not by Firestore) so later queued writes,
+   * such as stats syncs and undos, can refer to records that are still pending.
+   * Timestamps are taken here too, so a write that syncs later still carries
+   * the time the coach acted rather than the time it reached Firestore.
    */
-  resetSequence() {
-    this._sequenceCounter = 0;
+  _queueWrite(type, payload) {
+    return offlineQueue.enqueue(type, payload);
+  },
+
+  // Queue a session event with a device-generated event ID
+  async _queueEvent({ logID, logDocID, playerID }, eventType, eventData, sessionElapsedTime) {
+    const eventID = generateID('event');
+    await this._queueWrite('addEvent', {
+      eventID,
+      logID,
+      playerID,
+      eventType,
+      eventData,
+      sessionElapsedTime,
+      sequenceNumber: this.getNextSequence(logID),
+      timestamp: getEasternTimeISO(),
+      logDocID: logDocID || logID
+    });
+    return eventID;
+  },
+
+  // Pending and failed write counts and change notifications for the UI: (pendingCount, lastError, failedCount)
+  subscribeToPendingWrites(listener) {
+    return offlineQueue.subscribe(listener);
+  },
+
+  // Writes that can never succeed as queued (e.g. their log was purged), set aside so later writes still sync
+  getFailedWrites() {
+    return offlineQueue.getFailedWrites();
+  },
+
+  retryFailedWrite(id) {
+    return offlineQueue.retryFailedWrite(id);
+  },
+
+  discardFailedWrite(id) {
+    return offlineQueue.discardFailedWrite(id);
   },
   
   /**
@@ -75,13 +155,14 @@ export const shootingSessionManager = {
    * 4. Return session object for real-time tracking
    * 
    * @param {string} playerID - Player identifier (can be document ID or actual playerID)
-   * @returns {Object} Session object with logID, playerID, and timing information
+   * @param {Object} options - { zoneSetID, drillTemplateID, courtProfileID, groupID } zone set the session is shot with
+   *                           (see utils/zoneRegistry), the drill it follows (see utils/drillTemplates),
+   *                           the court it is shot on (see utils/courtProfiles) and, for group sessions,
+   *                           the group ID shared by the logs of every player in the rotation
+   * @returns {Object} Session object with logID, playerID, zoneSetID, drillTemplateID, courtProfileID, groupID, and timing information
    */
-  async startShootingSession(playerID) {
+  async startShootingSession(playerID, { zoneSetID = DEFAULT_ZONE_SET_ID, drillTemplateID = DEFAULT_DRILL_TEMPLATE_ID, courtProfileID = DEFAULT_COURT_PROFILE_ID, groupID = null } = {}) {
     try {
-      // SEQUENCE INITIALIZATION: Reset counter for clean session start
-      this.resetSequence();
-      
       /**
        * PLAYER ID RESOLUTION: Handle both document IDs and actual player IDs
        * 
@@ -112,10 +193,17 @@ export const shootingSessionManager = {
        * - Historical records for performance analysis
        * - Reference points for data export and reporting
        */
-      const shootingLog = await shootingLogsService.createShootingLog({
+      const shootingLog = {
+        logID: generateID('log'),
         playerID: actualPlayerID,
-        sessionDate: getEasternTimeISO()        // Eastern Time for Cleveland Cavaliers timezone
-      });
+        sessionDate: getEasternTimeISO(),       // Eastern Time for Cleveland Cavaliers timezone
+        zoneSetID: zoneSetID,
+        drillTemplateID: drillTemplateID,
+        courtProfileID: courtProfileID,
+        groupID: groupID,
+        zoneStats: zoneRegistry.createEmptyZoneStats(zoneSetID)
+      };
+      await this._queueWrite('createShootingLog', shootingLog);
       
       /**
        * SESSION STATE INITIALIZATION: Create session tracking object
@@ -128,21 +216,18 @@ export const shootingSessionManager = {
       const sessionData = {
         logID: shootingLog.logID,               // Reference to shooting log record
         playerID: actualPlayerID,               // Resolved player identifier
+        zoneSetID: zoneSetID,                   // Zone set for stats, review and exports
+        drillTemplateID: drillTemplateID,       // Drill template: shot cap, time limit and rest
+        courtProfileID: courtProfileID,         // Court profile: line distances the stats belong to
+        groupID: groupID,                       // Group session shared with the other shooters (null = one player)
         sessionStartTime: new Date().getTime() // High-precision timestamp for duration calculations
       };
       
       // Log session start event
-      await sessionEventsService.addEvent({
-        logID: shootingLog.logID,
+      await this._queueEvent(sessionData, 'session_start', {
         playerID: actualPlayerID,
-        eventType: 'session_start',
-        eventData: {
-          playerID: actualPlayerID,
-          sessionDate: getEasternTimeISO()
-        },
-        sessionElapsedTime: 0,
-        sequenceNumber: this.getNextSequence()
-      });
+        sessionDate: shootingLog.sessionDate
+      }, 0);
       
       return sessionData;
     } catch (error) {
@@ -151,7 +236,40 @@ export const shootingSessionManager = {
     }
   },
 
-  // Record a shot
+  /**
+   * RECOVER SHOOTING SESSION: Continue a session interrupted by a page reload
+   * 
+   * Keeps writing to the same shooting log: the sequence counter picks up where
+   * the interrupted page left off, and a session_recovered event marks the gap
+   * in the timeline.
+   * 
+   * @param {Object} sessionData - Session object saved before the reload
+   * @param {Object} recovery - { sequenceCounter, interruptedAt (ms timestamp), sessionElapsedTime (seconds) }
+   * @returns {Object} The same session object, ready for further shots and events
+   */
+  async recoverShootingSession(sessionData, { sequenceCounter, interruptedAt, sessionElapsedTime = 0 }) {
+    try {
+      this.seedSequence(sessionData.logID, sequenceCounter);
+      
+      await this._queueEvent(sessionData, 'session_recovered', {
+        interruptedAt: interruptedAt ? new Date(interruptedAt).toISOString() : null,
+        recoveredAt: getEasternTimeISO()
+      }, sessionElapsedTime);
+      
+      return sessionData;
+    } catch (error) {
+      console.error('Error recovering shooting session:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * RECORD SHOT: Queue the shot, its event and the log aggregate update as one atomic write
+   * 
+   * Returns as soon as the write is stored on the device. When it replays,
+   * shotsService.addShotWithEvent commits all three in a single Firestore
+   * write batch, so concurrent taps cannot clobber each other's totals.
+   */
   async recordShot(sessionData, shotData) {
     try {
       const { logID, playerID, sessionStartTime } = sessionData;
@@ -159,49 +277,47 @@ export const shootingSessionManager = {
       // Calculate elapsed time since session start
       const currentTime = new Date().getTime();
       const elapsedTime = Math.floor((currentTime - sessionStartTime) / 1000);
+      const timestamp = getEasternTimeISO(); // When the shot was taken, even if it syncs later
       
-      // Add the shot to the shots collection
-      const shot = await shotsService.addShot({
+      const shot = {
+        shotID: shotData.shotID || generateID('shot'), // The UI assigns IDs so undo/redo can target this shot
         logID: logID,
         playerID: playerID,
         shotResult: shotData.made ? 'made' : 'missed',
         shotZone: shotData.location,
+        shotValue: shotValue.getShotValue(shotData), // Points a make is worth (zone value unless the shot sets one)
         timeTaken: shotData.timeTaken || elapsedTime,
-        sequenceNumber: this.getNextSequence()
-      });
-
-      // Log shot event
-      await sessionEventsService.addEvent({
-        logID: logID,
-        playerID: playerID,
+        timestamp,
+        sequenceNumber: this.getNextSequence(logID),
+        ...(shotData.trip ? { trip: shotData.trip } : {}), // Free-throw test: { tripID, tripNumber, tripSize, attempt, afterSprint }
+        ...(shotData.context ? { context: shotData.context } : {}), // Shot context: { shotType, defense } (see utils/shotContext)
+        ...(shotData.distance ? { distance: shotData.distance } : {}), // Distance behind the line (see utils/shotDistance)
+        ...(shotData.coordinates ? { coordinates: shotData.coordinates } : {}) // Court tap: { x, y } in the 100 × 60 viewBox (see utils/geometry)
+      };
+      
+      const shotEvent = {
+        eventID: generateID('event'),
         eventType: shotData.made ? 'shot_made' : 'shot_missed',
         eventData: {
           shotID: shot.shotID,
           shotZone: shotData.location,
-          shotResult: shotData.made ? 'made' : 'missed',
-          timeTaken: shotData.timeTaken || elapsedTime
+          shotResult: shot.shotResult,
+          shotValue: shot.shotValue,
+          timeTaken: shot.timeTaken,
+          ...(shotData.trip ? { trip: shotData.trip } : {}),
+          ...(shotData.context ? { context: shotData.context } : {}),
+          ...(shotData.distance ? { distance: shotData.distance } : {}),
+          ...(shotData.coordinates ? { coordinates: shotData.coordinates } : {})
         },
         sessionElapsedTime: elapsedTime,
-        sequenceNumber: this._sequenceCounter // Use current sequence since shot already incremented it
-      });
+        timestamp,
+        sequenceNumber: this.getNextSequence(logID) // Its own number, right after the shot
+      };
 
-      // Get current shooting log
-      const currentLog = await shootingLogsService.getShootingLog(logID);
-      
-      // Update shooting log with new shot ID
-      const updatedShots = [...currentLog.shots, shot.shotID];
-      
-      // Calculate updated stats
-      const newStats = this.calculateStats(currentLog, shotData);
-      
-      // Update the shooting log
-      await shootingLogsService.updateShootingLogStats(logID, {
-        shots: updatedShots,
-        totalShots: newStats.totalShots,
-        totalMade: newStats.totalMade,
-        totalMissed: newStats.totalMissed,
-        accuracy: newStats.accuracy,
-        zoneStats: newStats.zoneStats
+      await this._queueWrite('recordShot', {
+        shot,
+        shotEvent,
+        logDocID: sessionData.logDocID || logID
       });
 
       return shot;
@@ -211,23 +327,25 @@ export const shootingSessionManager = {
     }
   },
 
+  /**
+   * SYNC LOG STATS: Rebuild a shooting log's shot list and stats from its session events
+   * Replay handler for queued 'syncLogStats' writes (see sessionProjector)
+   */
+  async syncLogStats(logID) {
+    const { stats } = await sessionProjector.rebuildSession(logID);
+    return stats;
+  },
+
   // Log session pause event
   async pauseSession(sessionData) {
     try {
-      const { logID, playerID, sessionStartTime } = sessionData;
+      const { sessionStartTime } = sessionData;
       const currentTime = new Date().getTime();
       const elapsedTime = Math.floor((currentTime - sessionStartTime) / 1000);
       
-      await sessionEventsService.addEvent({
-        logID: logID,
-        playerID: playerID,
-        eventType: 'session_pause',
-        eventData: {
-          pausedAt: getEasternTimeISO()
-        },
-        sessionElapsedTime: elapsedTime,
-        sequenceNumber: this.getNextSequence()
-      });
+      await this._queueEvent(sessionData, 'session_pause', {
+        pausedAt: getEasternTimeISO()
+      }, elapsedTime);
       
     } catch (error) {
       console.error('Error logging pause event:', error);
@@ -238,21 +356,14 @@ export const shootingSessionManager = {
   // Log session resume event
   async resumeSession(sessionData, totalPausedTime = 0) {
     try {
-      const { logID, playerID, sessionStartTime } = sessionData;
+      const { sessionStartTime } = sessionData;
       const currentTime = new Date().getTime();
       const elapsedTime = Math.floor((currentTime - sessionStartTime) / 1000) - totalPausedTime;
       
-      await sessionEventsService.addEvent({
-        logID: logID,
-        playerID: playerID,
-        eventType: 'session_resume',
-        eventData: {
-          resumedAt: getEasternTimeISO(),
-          totalPausedTime: totalPausedTime
-        },
-        sessionElapsedTime: elapsedTime,
-        sequenceNumber: this.getNextSequence()
-      });
+      await this._queueEvent(sessionData, 'session_resume', {
+        resumedAt: getEasternTimeISO(),
+        totalPausedTime: totalPausedTime
+      }, elapsedTime);
       
     } catch (error) {
       console.error('Error logging resume event:', error);
@@ -260,33 +371,51 @@ export const shootingSessionManager = {
     }
   },
 
+  /**
+   * RECORD INTERVAL BOUNDARY: Log the start or end of a countdown interval
+   *
+   * @param {Object} sessionData - Active session
+   * @param {string} eventType - 'interval_start' or 'interval_end'
+   * @param {Object} intervalData - { intervalIndex, shotZone, intervalSeconds } - shotZone is the interval's zone
+   * @param {number} sessionElapsedTime - Session timer at the boundary in seconds
+   */
+  async recordIntervalBoundary(sessionData, eventType, intervalData, sessionElapsedTime) {
+    try {
+      await this._queueEvent(sessionData, eventType, intervalData, sessionElapsedTime);
+    } catch (error) {
+      console.error(`Error logging ${eventType} event:`, error);
+      throw error;
+    }
+  },
+
   // End shooting session and log final event
   async endShootingSession(sessionData, finalStats = {}) {
     try {
-      const { logID, playerID, sessionStartTime } = sessionData;
+      const { logID, sessionStartTime } = sessionData;
       const currentTime = new Date().getTime();
       const totalSessionTime = Math.floor((currentTime - sessionStartTime) / 1000);
+      const endedAt = getEasternTimeISO();
       
       // Log session end event
-      await sessionEventsService.addEvent({
-        logID: logID,
-        playerID: playerID,
-        eventType: 'session_end',
-        eventData: {
-          endedAt: getEasternTimeISO(),
-          totalSessionTime: totalSessionTime,
-          finalStats: finalStats
-        },
-        sessionElapsedTime: totalSessionTime,
-        sequenceNumber: this.getNextSequence()
-      });
+      await this._queueEvent(sessionData, 'session_end', {
+        endedAt,
+        totalSessionTime: totalSessionTime,
+        finalStats: finalStats
+      }, totalSessionTime);
       
       // Update final session duration in the shooting log
-      await shootingLogsService.updateShootingLogStats(logID, {
-        sessionDuration: totalSessionTime,
-        ...finalStats
+      await this._queueWrite('updateShootingLogStats', {
+        logID,
+        stats: {
+          sessionDuration: totalSessionTime,
+          ...finalStats,
+          endedAt   // Marks the log as saved: the security rules only let session editors change it from here on
+        }
       });
       
+      // Then replace the client-side totals with the projection of the event stream
+      await this._queueWrite('syncLogStats', { logID });
+      
       return { logID, totalSessionTime };
     } catch (error) {
       console.error('Error ending session:', error);
@@ -294,8 +423,45 @@ export const shootingSessionManager = {
     }
   },
 
-  // Log undo shot event
-  async undoLastShot(sessionData, zoneId) {
+  /**
+   * ABANDON SESSION: Record that the coach left a session without ending it
+   * 
+   * Exit skips the save/discard flow, so the log keeps its shots but never gets
+   * a session_end event. The explicit event lets the abandoned-session tools
+   * tell a deliberate exit from a closed tab.
+   * 
+   * @param {Object} sessionData - Active session object
+   * @param {Object} details - { reason, shotsRecorded, sessionElapsedTime (seconds) }
+   */
+  async abandonSession(sessionData, { reason = 'exit', shotsRecorded = 0, sessionElapsedTime = 0 } = {}) {
+    try {
+      if (!sessionData || !sessionData.logID) {
+        return;
+      }
+      
+      await this._queueEvent(sessionData, 'session_abandoned', {
+        abandonedAt: getEasternTimeISO(),
+        reason,
+        shotsRecorded
+      }, sessionElapsedTime);
+    } catch (error) {
+      console.error('Error logging abandoned session:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * UNDO SHOT: Queue removal of a specific shot (the top of the UI's undo stack)
+   * 
+   * The shot is identified by its shotID, so Firestore removes exactly the shot
+   * the coach removed locally. Without a shotID (shots restored from before
+   * shots carried IDs) the most recent shot from the zone is removed, resolved
+   * when the write replays after every shot queued before it.
+   * 
+   * @param {Object} sessionData - Active session object
+   * @param {Object} shot - { shotID, zoneId }
+   */
+  async undoShot(sessionData, { shotID = null, zoneId }) {
     try {
       // Validate session data
       if (!sessionData || !sessionData.logID || !sessionData.playerID) {
@@ -306,57 +472,275 @@ export const shootingSessionManager = {
       const currentTime = new Date().getTime();
       const elapsedTime = Math.floor((currentTime - sessionStartTime) / 1000);
       
-      // Get all shots for this log
-      const shots = await shotsService.getLogShots(logID);
-      
-      // Find the last shot from the specified zone
-      const zoneShots = shots.filter(shot => shot.shotZone === zoneId);
-      
-      if (zoneShots.length === 0) {
-        return null; // Return null instead of throwing error
-      }
-      
-      const lastZoneShot = zoneShots[zoneShots.length - 1];
+      const undoWrite = {
+        eventID: generateID('event'),
+        logID,
+        logDocID: sessionData.logDocID || logID,
+        playerID,
+        shotID,
+        zoneId,
+        sessionElapsedTime: elapsedTime,
+        sequenceNumber: this.getNextSequence(logID),
+        timestamp: getEasternTimeISO()
+      };
+      await this._queueWrite('undoShot', undoWrite);
+
+      return { eventID: undoWrite.eventID };
+    } catch (error) {
+      console.error('Error undoing shot:', error);
+      console.error('Error details:', error.message);
+      console.error('Error stack:', error.stack);
+      throw error;
+    }
+  },
+
+  /**
+   * APPLY UNDO: Replay handler for queued 'undoShot' writes
+   * 
+   * Safe to run more than once: the undo event is written first and records
+   * which shot it removes, so a retry finishes the same undo instead of
+   * removing a second shot.
+   * 
+   * The shot document is kept and marked undone; the shot_undo event is what
+   * removes it from the session's stats (see sessionProjector).
+   */
+  async applyUndo({ eventID, logID, logDocID, playerID, shotID, zoneId, sessionElapsedTime, sequenceNumber, timestamp }) {
+    const shots = await shotsService.getLogShots(logID, { includeUndone: true });
+    const existingEvent = await sessionEventsService.getEventByID(eventID);
+    let undoShotID = existingEvent?.eventData?.undoShotID;
+
+    if (!existingEvent) {
+      // The named shot, or else the last shot from the specified zone that is still counted
+      const zoneShots = shots.filter(shot => shot.shotZone === zoneId && !shot.undone);
+      const lastZoneShot = shotID
+        ? shots.find(shot => shot.shotID === shotID && !shot.undone)
+        : zoneShots[zoneShots.length - 1];
+      undoShotID = lastZoneShot?.shotID || null;
       
-      // Log undo event before deleting the shot
+      // Log undo event before marking the shot - written even when there is nothing
+      // to undo, because its sequence number is already reserved and must not leave a gap
       await sessionEventsService.addEvent({
+        eventID,
         logID: logID,
         playerID: playerID,
         eventType: 'shot_undo',
         eventData: {
-          undoShotID: lastZoneShot.shotID,
+          undoShotID,
           undoShotZone: zoneId,
-          undoShotResult: lastZoneShot.shotResult
+          undoShotResult: lastZoneShot?.shotResult || null
         },
-        sessionElapsedTime: elapsedTime,
-        sequenceNumber: this.getNextSequence()
-      });
-      
-      // Delete the shot
-      await shotsService.deleteShot(lastZoneShot.shotID);
-      
-      // Update shooting log
-      const currentLog = await shootingLogsService.getShootingLog(logID);
-      const updatedShots = currentLog.shots.filter(shotID => shotID !== lastZoneShot.shotID);
+        sessionElapsedTime,
+        sequenceNumber,
+        timestamp
+      }, { logDocID: logDocID || logID });
+    }
+
+    if (!undoShotID) {
+      return null; // Nothing to undo
+    }
+
+    // Mark the shot unless a previous attempt already did
+    if (shots.some(shot => shot.shotID === undoShotID && !shot.undone)) {
+      await shotsService.setShotUndone(undoShotID, true, eventID);
+    }
+    
+    return this.syncLogStats(logID);
+  },
+
+  /**
+   * TAG SHOT: Queue quick tags (miss direction / make quality) for a recorded shot
+   * 
+   * Tags are written to the shot document and its shot event; they do not
+   * change any stats, so no session event or sequence number is used.
+   * 
+   * @param {Object} sessionData - Active session object
+   * @param {Object} tagging - { shotID, tags } (see utils/shotTags)
+   */
+  async tagShot(sessionData, { shotID, tags }) {
+    try {
+      if (!sessionData || !sessionData.logID) {
+        throw new Error('Invalid session data provided');
+      }
+      if (!shotID) {
+        throw new Error('Shot has no shotID');
+      }
+
+      await this._queueWrite('tagShot', { logID: sessionData.logID, shotID, tags });
+    } catch (error) {
+      console.error('Error tagging shot:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * REDO SHOT: Queue restoring a shot that was undone (the top of the UI's redo stack)
+   * 
+   * @param {Object} sessionData - Active session object
+   * @param {Object} shot - { shotID, zoneId }
+   */
+  async redoShot(sessionData, { shotID, zoneId }) {
+    try {
+      if (!sessionData || !sessionData.logID || !sessionData.playerID) {
+        throw new Error('Invalid session data provided');
+      }
+
+      const { logID, playerID, sessionStartTime } = sessionData;
+      const elapsedTime = Math.floor((new Date().getTime() - sessionStartTime) / 1000);
       
-      // Recalculate stats
-      const remainingShots = shots.filter(shot => shot.shotID !== lastZoneShot.shotID);
-      const newStats = this.recalculateStatsFromShots(remainingShots);
+      const redoWrite = {
+        eventID: generateID('event'),
+        logID,
+        logDocID: sessionData.logDocID || logID,
+        playerID,
+        shotID,
+        zoneId,
+        sessionElapsedTime: elapsedTime,
+        sequenceNumber: this.getNextSequence(logID),
+        timestamp: getEasternTimeISO()
+      };
+      await this._queueWrite('redoShot', redoWrite);
+
+      return { eventID: redoWrite.eventID };
+    } catch (error) {
+      console.error('Error redoing shot:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * APPLY REDO: Replay handler for queued 'redoShot' writes
+   * 
+   * Mirrors applyUndo: the shot_redo event is written first (once), then the
+   * shot is marked as counted again and the log stats are re-projected.
+   */
+  async applyRedo({ eventID, logID, logDocID, playerID, shotID, zoneId, sessionElapsedTime, sequenceNumber, timestamp }) {
+    const shots = await shotsService.getLogShots(logID, { includeUndone: true });
+    const shot = shots.find(candidate => candidate.shotID === shotID);
+    const existingEvent = await sessionEventsService.getEventByID(eventID);
+
+    if (!existingEvent) {
+      await sessionEventsService.addEvent({
+        eventID,
+        logID: logID,
+        playerID: playerID,
+        eventType: 'shot_redo',
+        eventData: {
+          redoShotID: shot ? shotID : null,
+          redoShotZone: zoneId,
+          redoShotResult: shot?.shotResult || null
+        },
+        sessionElapsedTime,
+        sequenceNumber,
+        timestamp
+      }, { logDocID: logDocID || logID });
+    }
+
+    if (!shot) {
+      return null; // Nothing to redo
+    }
+
+    if (shot.undone) {
+      await shotsService.setShotUndone(shotID, false, eventID);
+    }
+    
+    return this.syncLogStats(logID);
+  },
+
+  /**
+   * EDIT SHOT: Queue a correction to one shot anywhere in the session
+   * 
+   * Coaches fix a mis-tap from the HistoryLog without undoing every shot after it.
+   * The shot_edit event keeps the values before and after the change, so the
+   * history shows what was corrected. Pass after: null to remove the shot.
+   * 
+   * @param {Object} sessionData - Active session object
+   * @param {Object} edit - { shotID, before: { shotZone, shotResult }, after: { shotZone, shotResult } | null }
+   */
+  async editShot(sessionData, { shotID, before, after }) {
+    try {
+      if (!sessionData || !sessionData.logID || !sessionData.playerID) {
+        throw new Error('Invalid session data provided');
+      }
+      if (!shotID) {
+        throw new Error('Shot has no shotID');
+      }
+
+      const { logID, playerID, sessionStartTime } = sessionData;
+      const elapsedTime = Math.floor((new Date().getTime() - sessionStartTime) / 1000);
       
-      await shootingLogsService.updateShootingLogStats(logID, {
-        shots: updatedShots,
-        ...newStats
-      });
+      const editWrite = {
+        eventID: generateID('event'),
+        logID,
+        logDocID: sessionData.logDocID || logID,
+        playerID,
+        shotID,
+        before,
+        after,
+        sessionElapsedTime: elapsedTime,
+        sequenceNumber: this.getNextSequence(logID),
+        timestamp: getEasternTimeISO()
+      };
+      await this._queueWrite('editShot', editWrite);
 
-      return { undoShot: lastZoneShot, newStats };
+      return { eventID: editWrite.eventID };
     } catch (error) {
-      console.error('Error undoing shot:', error);
-      console.error('Error details:', error.message);
-      console.error('Error stack:', error.stack);
+      console.error('Error editing shot:', error);
       throw error;
     }
   },
 
+  /**
+   * APPLY EDIT: Replay handler for queued 'editShot' writes
+   * 
+   * Writes the shot_edit event (once), updates the shot document (a removed
+   * shot is kept and marked undone, like an undo) and recalculates the log's
+   * totals and zoneStats from the shots still counted.
+   */
+  async applyEdit({ eventID, logID, logDocID, playerID, shotID, before, after: edit, sessionElapsedTime, sequenceNumber, timestamp }) {
+    // A shot moved to another zone takes that zone's value
+    const after = edit && { ...edit, shotValue: shotValue.getShotValue({ shotZone: edit.shotZone }) };
+    const existingEvent = await sessionEventsService.getEventByID(eventID);
+
+    if (!existingEvent) {
+      await sessionEventsService.addEvent({
+        eventID,
+        logID: logID,
+        playerID: playerID,
+        eventType: 'shot_edit',
+        eventData: {
+          shotID,
+          before,
+          after,
+          removed: after === null
+        },
+        sessionElapsedTime,
+        sequenceNumber,
+        timestamp
+      }, { logDocID: logDocID || logID });
+    }
+
+    const shot = (await shotsService.getLogShots(logID, { includeUndone: true }))
+      .find(candidate => candidate.shotID === shotID);
+
+    if (shot && after === null && !shot.undone) {
+      await shotsService.setShotUndone(shotID, true, eventID);
+    } else if (shot && after && (shot.shotZone !== after.shotZone || shot.shotResult !== after.shotResult)) {
+      await shotsService.updateShot(shotID, after, eventID);
+    }
+
+    const [countedShots, log] = await Promise.all([
+      shotsService.getLogShots(logID),
+      shootingLogsService.getShootingLog(logID)
+    ]);
+    const stats = this.recalculateStatsFromShots(countedShots, log.zoneSetID);
+    await shootingLogsService.updateShootingLogStats(logID, {
+      ...stats,
+      shots: countedShots.map(countedShot => countedShot.shotID)
+    });
+
+    return stats;
+  },
+
   // Helper method to calculate stats
   calculateStats(currentLog, newShot) {
     const stats = {
@@ -375,28 +759,32 @@ export const shootingSessionManager = {
     if (newShot.made) {
       stats.zoneStats[newShot.location].made += 1;
     }
+    shotDistance.addToZoneEntry(stats.zoneStats[newShot.location], shotDistance.getDistance(newShot), newShot.made);
+
+    // Points: running totals plus the ratios derived from them (see utils/shotValue)
+    const value = newShot.made ? shotValue.getShotValue(newShot) : 0;
+    stats.totalPoints = (currentLog.totalPoints || 0) + value;
+    stats.totalThreesMade = (currentLog.totalThreesMade || 0) + (value === THREE_POINT_VALUE ? 1 : 0);
 
     stats.accuracy = stats.totalShots > 0 ? stats.totalMade / stats.totalShots : 0;
+    Object.assign(stats, shotValue.getPointsRatios(stats));
 
     return stats;
   },
 
-  // Helper method to recalculate stats from shot array
-  recalculateStatsFromShots(shots) {
+  // Helper method to recalculate stats from shot array (zoneStats covers every zone of the session's zone set)
+  recalculateStatsFromShots(shots, zoneSetID) {
     const stats = {
       totalShots: shots.length,
       totalMade: 0,
       totalMissed: 0,
-      zoneStats: {
-        left_corner: { made: 0, attempts: 0 },
-        left_wing: { made: 0, attempts: 0 },
-        top_key: { made: 0, attempts: 0 },
-        right_wing: { made: 0, attempts: 0 },
-        right_corner: { made: 0, attempts: 0 }
-      }
+      zoneStats: zoneRegistry.createEmptyZoneStats(zoneSetID)
     };
 
     shots.forEach(shot => {
+      if (!stats.zoneStats[shot.shotZone]) {
+        stats.zoneStats[shot.shotZone] = { made: 0, attempts: 0 };
+      }
       if (shot.shotResult === 'made') {
         stats.totalMade += 1;
         stats.zoneStats[shot.shotZone].made += 1;
@@ -404,9 +792,11 @@ export const shootingSessionManager = {
         stats.totalMissed += 1;
       }
       stats.zoneStats[shot.shotZone].attempts += 1;
+      shotDistance.addToZoneEntry(stats.zoneStats[shot.shotZone], shotDistance.getDistance(shot), shot.shotResult === 'made');
     });
 
     stats.accuracy = stats.totalShots > 0 ? stats.totalMade / stats.totalShots : 0;
+    Object.assign(stats, shotValue.calculatePointsStats(shots));
 
     return stats;
   },
@@ -516,16 +906,24 @@ export const shootingSessionManager = {
             const totalShots = shots ? shots.length : 0;
             const madeShots = shots ? shots.filter(shot => shot.shotResult === 'made').length : 0;
             const accuracy = totalShots > 0 ? ((madeShots / totalShots) * 100).toFixed(1) + '%' : '0%';
+            const { totalPoints, pointsPerShot, effectiveFGPct } = shotValue.calculatePointsStats(shots || []);
             
 
             return {
               sessionId: log.logID,
               playerId: log.playerID,
               startTime: log.sessionDate,
+              zoneSetID: log.zoneSetID || DEFAULT_ZONE_SET_ID,
+              drillTemplateID: log.drillTemplateID || DEFAULT_DRILL_TEMPLATE_ID,
+              courtProfileID: log.courtProfileID || DEFAULT_COURT_PROFILE_ID,
+              groupID: log.groupID || null,
               duration: duration,
               totalShots: totalShots,
               madeShots: madeShots,
-              accuracy: accuracy
+              accuracy: accuracy,
+              points: totalPoints,
+              pointsPerShot: pointsPerShot,
+              effectiveFGPct: effectiveFGPct
             };
           } catch (error) {
             console.error(`Error enriching session ${log.logID}:`, error);
@@ -533,10 +931,17 @@ export const shootingSessionManager = {
               sessionId: log.logID,
               playerId: log.playerID,
               startTime: log.sessionDate,
+              zoneSetID: log.zoneSetID || DEFAULT_ZONE_SET_ID,
+              drillTemplateID: log.drillTemplateID || DEFAULT_DRILL_TEMPLATE_ID,
+              courtProfileID: log.courtProfileID || DEFAULT_COURT_PROFILE_ID,
+              groupID: log.groupID || null,
               duration: 'N/A',
               totalShots: 0,
               madeShots: 0,
-              accuracy: '0%'
+              accuracy: '0%',
+              points: 0,
+              pointsPerShot: 0,
+              effectiveFGPct: 0
             };
           }
         })
@@ -566,22 +971,8 @@ export const shootingSessionManager = {
         return;
       }
 
-      const { logID } = sessionData;
-
-      // Delete all shots for this session
-      const shots = await shotsService.getLogShots(logID);
-      for (const shot of shots) {
-        await shotsService.deleteShot(shot.shotID);
-      }
-
-      // Delete all session events for this session
-      const events = await sessionEventsService.getEventsByLogID(logID);
-      for (const event of events) {
-        await sessionEventsService.deleteEvent(event.eventID);
-      }
-
-      // Delete the shooting log itself
-      await shootingLogsService.deleteShootingLog(logID);
+      // Queued behind the session's pending writes so nothing is recreated after deletion
+      await this._queueWrite('deleteSessionData', { logID: sessionData.logID });
 
     } catch (error) {
       console.error('Error discarding session:', error);
@@ -589,6 +980,24 @@ export const shootingSessionManager = {
     }
   },
 
+  // Delete a session's shots, events and shooting log - Replay handler for 'deleteSessionData'
+  async deleteSessionData(logID) {
+    // Delete all shots for this session, including undone ones
+    const shots = await shotsService.getLogShots(logID, { includeUndone: true });
+    for (const shot of shots) {
+      await shotsService.deleteShot(shot.shotID);
+    }
+
+    // Delete all session events for this session
+    const events = await sessionEventsService.getEventsByLogID(logID);
+    for (const event of events) {
+      await sessionEventsService.deleteEvent(event.eventID);
+    }
+
+    // Delete the shooting log itself
+    await shootingLogsService.deleteShootingLog(logID);
+  },
+
   // Helper method to format duration
   formatDuration(milliseconds) {
     if (!milliseconds) return 'N/A';
@@ -600,3 +1009,23 @@ export const shootingSessionManager = {
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
   }
 };
+
+/**
+ * OFFLINE QUEUE HANDLERS: How each queued write type reaches Firestore
+ * Registered once at startup, then any writes left over from a previous visit are replayed
+ */
+// Logs queued before zone sets existed carry no zoneStats: they were shot with the default set
+offlineQueue.registerHandler('createShootingLog', (logData) => shootingLogsService.createShootingLog({
+  zoneStats: zoneRegistry.createEmptyZoneStats(logData.zoneSetID),
+  ...logData
+}));
+offlineQueue.registerHandler('addEvent', ({ logDocID, ...event }) => sessionEventsService.addEvent(event, { logDocID }));
+offlineQueue.registerHandler('recordShot', ({ shot, shotEvent, logDocID }) => shotsService.addShotWithEvent(shot, shotEvent, logDocID));
+offlineQueue.registerHandler('syncLogStats', ({ logID }) => shootingSessionManager.syncLogStats(logID));
+offlineQueue.registerHandler('updateShootingLogStats', ({ logID, stats }) => shootingLogsService.updateShootingLogStats(logID, stats));
+offlineQueue.registerHandler('undoShot', (undoWrite) => shootingSessionManager.applyUndo(undoWrite));
+offlineQueue.registerHandler('redoShot', (redoWrite) => shootingSessionManager.applyRedo(redoWrite));
+offlineQueue.registerHandler('editShot', (editWrite) => shootingSessionManager.applyEdit(editWrite));
+offlineQueue.registerHandler('tagShot', ({ logID, shotID, tags }) => shotsService.setShotTags(logID, shotID, tags));
+offlineQueue.registerHandler('deleteSessionData', ({ logID }) => shootingSessionManager.deleteSessionData(logID));
+offlineQueue.flush();
@@ -0,0 +1,239 @@
+/**
+ * SESSION PROJECTOR
+ *
+ * Purpose: Compute shooting log aggregates from the sessionEvents stream
+ * Context: The event stream is the source of truth for a session. The stats
+ *          stored on a shooting log (shots, totals, zoneStats, duration) are a
+ *          projection of it that can be rebuilt at any time.
+ *
+ * Why event sourcing:
+ * - Shot writes update log aggregates with increments for speed; a replayed
+ *   offline write or an interrupted undo can leave those totals drifted
+ * - Undo no longer deletes shot documents, it appends a shot_undo event, so the
+ *   full history stays available for audits and exports
+ * - The same events always produce the same stats (events are applied in
+ *   sequenceNumber order), so any log can be repaired by rebuilding it
+ *
+ * Events applied:
+ * - shot_made / shot_missed: add a shot (eventData.shotID, shotZone, shotValue, distance)
+ * - shot_undo: remove the shot named by eventData.undoShotID
+ * - shot_redo: count the shot named by eventData.redoShotID again
+ * - shot_edit: change the zone/result of eventData.shotID, or remove it (after: null)
+ * - session_pause / session_resume: accumulate paused time
+ * - session_start / session_end: session status and final duration
+ */
+
+import { shootingLogsService, sessionEventsService } from './services';
+import { zoneRegistry } from '../utils/zoneRegistry';
+import { shotValue } from '../utils/shotValue';
+import { shotDistance } from '../utils/shotDistance';
+
+// Deterministic event order: sequence number, then event ID for legacy duplicates
+const compareEvents = (a, b) => {
+  return (a.sequenceNumber || 0) - (b.sequenceNumber || 0) || String(a.eventID).localeCompare(String(b.eventID));
+};
+
+// Structural equality for stored stats: key order differs between Firestore reads and fresh projections
+const isDeepEqual = (a, b) => {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => Object.hasOwn(b, key) && isDeepEqual(a[key], b[key]));
+};
+
+/**
+ * PROJECT SESSION EVENTS: Fold a session's events into shooting log aggregates
+ *
+ * @param {Array} events - All sessionEvents of one shooting log (any order)
+ * @param {Object} options - { zoneIDs } zones to report even when they have no shots
+ * @returns {Object} { shots, totalShots, totalMade, totalMissed, accuracy, zoneStats,
+ *                     totalPoints, totalThreesMade, pointsPerShot, effectiveFGPct,
+ *                     sessionDuration (seconds), totalPausedTime (seconds), lastSequenceNumber, sessionStatus }
+ */
+export function projectSessionEvents(events, { zoneIDs = [] } = {}) {
+  const recordedShots = new Map();                         // shotID → { zone, made, value, distance } for every shot event
+  const liveShots = new Map();                             // shotID → { zone, made, value, distance } for shots not undone
+  let pausedAt = null;
+  let totalPausedTime = 0;
+  let lastElapsedTime = 0;
+  let sessionDuration = null;
+  let sessionStatus = 'not_started';
+  let lastSequenceNumber = 0;
+
+  [...events].sort(compareEvents).forEach(event => {
+    const eventData = event.eventData || {};
+    lastSequenceNumber = Math.max(lastSequenceNumber, event.sequenceNumber || 0);
+    lastElapsedTime = Math.max(lastElapsedTime, event.sessionElapsedTime || 0);
+
+    switch (event.eventType) {
+      case 'session_start':
+        sessionStatus = 'active';
+        break;
+      case 'shot_made':
+      case 'shot_missed':
+        if (eventData.shotID) {
+          recordedShots.set(eventData.shotID, {
+            zone: eventData.shotZone,
+            made: event.eventType === 'shot_made',
+            value: shotValue.getShotValue(eventData),
+            distance: shotDistance.getDistance(eventData)
+          });
+          liveShots.set(eventData.shotID, recordedShots.get(eventData.shotID));
+        }
+        break;
+      case 'shot_undo':
+        if (eventData.undoShotID) {
+          liveShots.delete(eventData.undoShotID);
+        }
+        break;
+      case 'shot_redo':
+        if (recordedShots.has(eventData.redoShotID)) {
+          liveShots.set(eventData.redoShotID, recordedShots.get(eventData.redoShotID));
+        }
+        break;
+      case 'shot_edit':
+        if (recordedShots.has(eventData.shotID)) {
+          if (!eventData.after) {
+            recordedShots.delete(eventData.shotID);      // Removed shots cannot be redone
+            liveShots.delete(eventData.shotID);
+            break;
+          }
+          const editedShot = {
+            zone: eventData.after.shotZone,
+            made: eventData.after.shotResult === 'made',
+            value: shotValue.getShotValue(eventData.after),
+            distance: recordedShots.get(eventData.shotID).distance // Edits change zone and result, not distance
+          };
+          recordedShots.set(eventData.shotID, editedShot);
+          if (liveShots.has(eventData.shotID)) {
+            liveShots.set(eventData.shotID, editedShot);
+          }
+        }
+        break;
+      case 'session_pause':
+        pausedAt = new Date(event.timestamp).getTime();
+        sessionStatus = 'paused';
+        break;
+      case 'session_resume':
+        if (pausedAt !== null) {
+          totalPausedTime += Math.max(0, new Date(event.timestamp).getTime() - pausedAt);
+          pausedAt = null;
+        }
+        sessionStatus = 'active';
+        break;
+      case 'session_abandoned':
+        sessionStatus = 'abandoned';
+        break;
+      case 'session_end':
+        sessionDuration = eventData.totalSessionTime ?? event.sessionElapsedTime ?? null;
+        sessionStatus = 'ended';
+        break;
+      default:
+        break;                                             // Other events do not affect the aggregates
+    }
+  });
+
+  const zoneStats = Object.fromEntries(zoneIDs.map(zoneID => [zoneID, { made: 0, attempts: 0 }]));
+  let totalMade = 0;
+
+  liveShots.forEach(({ zone, made, distance }) => {
+    if (!zoneStats[zone]) {
+      zoneStats[zone] = { made: 0, attempts: 0 };
+    }
+    zoneStats[zone].attempts += 1;
+    if (made) {
+      zoneStats[zone].made += 1;
+      totalMade += 1;
+    }
+    shotDistance.addToZoneEntry(zoneStats[zone], distance, made);
+  });
+
+  const totalShots = liveShots.size;
+
+  return {
+    shots: [...liveShots.keys()],
+    totalShots,
+    totalMade,
+    totalMissed: totalShots - totalMade,
+    accuracy: totalShots > 0 ? totalMade / totalShots : 0,
+    zoneStats,
+    ...shotValue.calculatePointsStats([...liveShots.values()].map(({ zone, made, value }) => ({ location: zone, made, shotValue: value }))),
+    sessionDuration: sessionDuration ?? lastElapsedTime,
+    totalPausedTime: Math.round(totalPausedTime / 1000),
+    lastSequenceNumber,
+    sessionStatus
+  };
+}
+
+export const sessionProjector = {
+  /**
+   * REBUILD SESSION: Recompute one shooting log's aggregates from its events and store them
+   *
+   * @param {string} logID - Shooting log to rebuild
+   * @returns {Object} { logID, stats, changed } - changed is true when the stored totals had drifted
+   */
+  async rebuildSession(logID) {
+    try {
+      const [log, events] = await Promise.all([
+        shootingLogsService.getShootingLog(logID),
+        sessionEventsService.getEventsByLogID(logID)
+      ]);
+
+      // Report every zone of the session's zone set, plus any zone already on the log
+      const zoneIDs = [...new Set([
+        ...zoneRegistry.getZoneSet(log.zoneSetID).zones.map(zone => zone.id),
+        ...Object.keys(log.zoneStats || {})
+      ])];
+      const projection = projectSessionEvents(events, { zoneIDs });
+      const stats = {
+        ...projection,
+        // Never move the counter backwards: shots carry numbers the event stream does not
+        lastSequenceNumber: Math.max(log.lastSequenceNumber || 0, projection.lastSequenceNumber)
+      };
+
+      const changed = stats.totalShots !== log.totalShots ||
+        stats.totalMade !== log.totalMade ||
+        stats.totalPoints !== log.totalPoints ||
+        !isDeepEqual(stats.zoneStats, log.zoneStats || {});
+
+      await shootingLogsService.updateShootingLogStats(logID, stats);
+
+      return { logID, stats, changed };
+    } catch (error) {
+      console.error(`Error rebuilding session ${logID}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * REBUILD ALL SESSIONS: Admin repair command for every shooting log
+   *
+   * Logs are rebuilt one at a time to keep the load on Firestore low; a failure
+   * is recorded and the rebuild continues with the next log.
+   *
+   * @param {Function} onProgress - Optional callback (completedCount, totalCount)
+   * @returns {Object} { total, rebuilt, changed, failed: [{ logID, error }] }
+   */
+  async rebuildAllSessions(onProgress) {
+    const logs = await shootingLogsService.getAllShootingLogs();
+    const summary = { total: logs.length, rebuilt: 0, changed: 0, failed: [] };
+
+    for (const log of logs) {
+      try {
+        const result = await this.rebuildSession(log.logID);
+        summary.rebuilt += 1;
+        if (result.changed) summary.changed += 1;
+      } catch (error) {
+        summary.failed.push({ logID: log.logID, error: error.message });
+      }
+
+      if (typeof onProgress === 'function') {
+        onProgress(summary.rebuilt + summary.failed.length, summary.total);
+      }
+    }
+
+    return summary;
+  }
+};
@@ -0,0 +1,168 @@
+/**
+ * STORAGE DOCUMENT UTILITIES
+ *
+ * Purpose: Backend-neutral helpers shared by the storage adapters
+ *
+ * Field transforms:
+ * Services describe atomic updates (increment a counter, add to an array)
+ * with the sentinels below instead of Firestore's FieldValue helpers. The
+ * Firestore adapter converts them to real FieldValues; the local adapters
+ * apply them directly with applyUpdates().
+ *
+ * Dotted field paths:
+ * Update keys may be dotted paths ("zoneStats.left_corner.made"), matching
+ * Firestore's updateDoc semantics, so a single nested value can change
+ * without rewriting its parent object.
+ */
+
+const TRANSFORM_KEY = '__storageTransform';
+
+/**
+ * Error with a Firestore-style code ('not-found', 'invalid-argument', ...), so callers such as
+ * the offline queue treat errors from every backend and from the services the same way
+ * @param {string} code - Firestore error code
+ * @param {string} message - Error message
+ */
+export function createStorageError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * FIELD TRANSFORM SENTINELS
+ */
+export const increment = (amount) => ({ [TRANSFORM_KEY]: 'increment', amount });
+export const arrayUnion = (...elements) => ({ [TRANSFORM_KEY]: 'arrayUnion', elements });
+export const arrayRemove = (...elements) => ({ [TRANSFORM_KEY]: 'arrayRemove', elements });
+
+/**
+ * Check whether a value is a field transform sentinel
+ * @param {*} value - Any field value
+ * @returns {boolean} True for values created by increment/arrayUnion/arrayRemove
+ */
+export function isFieldTransform(value) {
+  return value !== null && typeof value === 'object' && TRANSFORM_KEY in value;
+}
+
+/**
+ * Get the transform type of a sentinel ('increment', 'arrayUnion', 'arrayRemove')
+ */
+export function getTransformType(transform) {
+  return transform[TRANSFORM_KEY];
+}
+
+// Apply one transform to the current field value
+const applyTransform = (currentValue, transform) => {
+  switch (getTransformType(transform)) {
+    case 'increment':
+      return (typeof currentValue === 'number' ? currentValue : 0) + transform.amount;
+    case 'arrayUnion': {
+      const current = Array.isArray(currentValue) ? currentValue : [];
+      const additions = transform.elements.filter(element => !current.includes(element));
+      return [...current, ...additions];
+    }
+    case 'arrayRemove': {
+      const current = Array.isArray(currentValue) ? currentValue : [];
+      return current.filter(element => !transform.elements.includes(element));
+    }
+    default:
+      throw new Error(`Unknown field transform: ${getTransformType(transform)}`);
+  }
+};
+
+// Resolve transforms found anywhere inside a plain value (used for set operations)
+const resolveValue = (value) => {
+  if (isFieldTransform(value)) {
+    return applyTransform(undefined, value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(resolveValue);
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, resolveValue(nested)]));
+  }
+  return value;
+};
+
+/**
+ * Prepare data for a full document write, resolving any transforms against an empty document
+ * @param {Object} data - Document fields
+ * @returns {Object} Plain document data
+ */
+export function resolveDocumentData(data) {
+  return resolveValue(data);
+}
+
+/**
+ * APPLY UPDATES: Merge update fields into a document, honouring dotted paths and transforms
+ *
+ * @param {Object} documentData - Existing document fields (not mutated)
+ * @param {Object} updates - Fields to change; keys may be dotted paths
+ * @returns {Object} New document data
+ */
+export function applyUpdates(documentData, updates) {
+  const result = structuredClone(documentData);
+
+  Object.entries(updates).forEach(([path, value]) => {
+    const keys = path.split('.');
+    const lastKey = keys.pop();
+
+    // Walk (and create) intermediate objects for dotted paths
+    let target = result;
+    keys.forEach(key => {
+      if (target[key] === null || typeof target[key] !== 'object') {
+        target[key] = {};
+      }
+      target = target[key];
+    });
+
+    target[lastKey] = isFieldTransform(value)
+      ? applyTransform(target[lastKey], value)
+      : resolveValue(value);
+  });
+
+  return result;
+}
+
+/**
+ * Check whether a document matches equality filters
+ * @param {Object} documentData - Document fields
+ * @param {Object} where - Map of field name to required value
+ * @returns {boolean} True when every filter matches
+ */
+export function matchesWhere(documentData, where = {}) {
+  return Object.entries(where).every(([field, value]) => documentData[field] === value);
+}
+
+/**
+ * Sort documents by one field, mirroring Firestore orderBy
+ * @param {Array} documents - Documents to sort (not mutated)
+ * @param {Object} orderBy - { field, direction: 'asc' | 'desc' }
+ * @returns {Array} Sorted copy
+ */
+export function sortDocuments(documents, orderBy) {
+  if (!orderBy) return documents;
+
+  const { field, direction = 'asc' } = orderBy;
+  const multiplier = direction === 'desc' ? -1 : 1;
+
+  return [...documents].sort((a, b) => {
+    const aValue = a[field] ?? 0;
+    const bValue = b[field] ?? 0;
+    if (aValue < bValue) return -1 * multiplier;
+    if (aValue > bValue) return 1 * multiplier;
+    return 0;
+  });
+}
+
+/**
+ * Generate a random document ID for adapters without server-assigned IDs
+ * @returns {string} 20-character alphanumeric ID (same shape as Firestore auto IDs)
+ */
+export function generateDocumentId() {
+  const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  let id = '';
+  for (let i = 0; i < 20; i++) {
+    id += characters.charAt(Math.floor(Math.random() * characters.length));
+  }
+  return id;
+}
@@ -0,0 +1,146 @@
+/**
+ * FIRESTORE STORAGE ADAPTER
+ *
+ * Purpose: Cloud storage backend using Google Firebase Firestore (default)
+ * Context: Shared team database used at the practice facility
+ *
+ * Implements the storage adapter interface (see ./index.js) on top of the
+ * Firestore modular SDK. Backend-neutral field transforms are converted to
+ * Firestore FieldValues, and ordered queries fall back to JavaScript sorting
+ * when the composite index they need has not been created.
+ */
+
+import {
+  collection,
+  getDocs,
+  addDoc,
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  orderBy as firestoreOrderBy,
+  where as firestoreWhere,
+  increment,
+  arrayUnion,
+  arrayRemove,
+  writeBatch,
+  runTransaction
+} from 'firebase/firestore';
+import { db } from '../config';
+import { isFieldTransform, getTransformType, sortDocuments } from './documentUtils';
+
+// Convert a backend-neutral transform sentinel into a Firestore FieldValue
+const toFieldValue = (transform) => {
+  switch (getTransformType(transform)) {
+    case 'increment':
+      return increment(transform.amount);
+    case 'arrayUnion':
+      return arrayUnion(...transform.elements);
+    case 'arrayRemove':
+      return arrayRemove(...transform.elements);
+    default:
+      throw new Error(`Unknown field transform: ${getTransformType(transform)}`);
+  }
+};
+
+// Convert every transform in a (possibly nested) field map
+const toFirestoreData = (data) => {
+  return Object.fromEntries(Object.entries(data).map(([field, value]) => {
+    if (isFieldTransform(value)) {
+      return [field, toFieldValue(value)];
+    }
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      return [field, toFirestoreData(value)];
+    }
+    return [field, value];
+  }));
+};
+
+// Transform Firestore document snapshots to application objects
+const toDocuments = (querySnapshot) => querySnapshot.docs.map(snapshot => ({
+  id: snapshot.id,
+  ...snapshot.data()
+}));
+
+export const firestoreAdapter = {
+  name: 'firestore',
+
+  async add(collectionName, data) {
+    const docRef = await addDoc(collection(db, collectionName), toFirestoreData(data));
+    return docRef.id;
+  },
+
+  async set(collectionName, id, data) {
+    await setDoc(doc(db, collectionName, id), toFirestoreData(data));
+    return id;
+  },
+
+  async get(collectionName, id) {
+    const snapshot = await getDoc(doc(db, collectionName, id));
+    return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+  },
+
+  async update(collectionName, id, updates) {
+    await updateDoc(doc(db, collectionName, id), toFirestoreData(updates));
+  },
+
+  async remove(collectionName, id) {
+    await deleteDoc(doc(db, collectionName, id));
+  },
+
+  async query(collectionName, { where = {}, orderBy } = {}) {
+    const collectionRef = collection(db, collectionName);
+    const constraints = Object.entries(where).map(([field, value]) => firestoreWhere(field, '==', value));
+
+    // First try with orderBy
+    if (orderBy) {
+      try {
+        const orderedQuery = query(collectionRef, ...constraints, firestoreOrderBy(orderBy.field, orderBy.direction || 'asc'));
+        return toDocuments(await getDocs(orderedQuery));
+      } catch (error) {
+        // Only a missing composite index is worked around; offline, permission and other errors surface
+        if (error.code !== 'failed-precondition') {
+          throw error;
+        }
+      }
+      // Fallback: query without orderBy and sort in JavaScript
+    }
+
+    const querySnapshot = await getDocs(query(collectionRef, ...constraints));
+    return sortDocuments(toDocuments(querySnapshot), orderBy);
+  },
+
+  async commitBatch(operations, { unlessExists } = {}) {
+    const applyOperations = (writer) => {
+      operations.forEach(({ type, collection: collectionName, id, data }) => {
+        const docRef = doc(db, collectionName, id);
+        if (type === 'set') {
+          writer.set(docRef, toFirestoreData(data));
+        } else if (type === 'update') {
+          writer.update(docRef, toFirestoreData(data));
+        } else if (type === 'delete') {
+          writer.delete(docRef);
+        }
+      });
+    };
+
+    // The existence check needs a transaction; plain batches also commit from the offline cache
+    if (unlessExists) {
+      return runTransaction(db, async (transaction) => {
+        const guard = await transaction.get(doc(db, unlessExists.collection, unlessExists.id));
+        if (guard.exists()) {
+          return false;
+        }
+        applyOperations(transaction);
+        return true;
+      });
+    }
+
+    const batch = writeBatch(db);
+    applyOperations(batch);
+    await batch.commit();
+    return true;
+  }
+};
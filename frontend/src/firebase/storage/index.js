@@ -0,0 +1,78 @@
+/**
+ * STORAGE BACKEND SELECTION
+ *
+ * Purpose: Single entry point the services layer uses for all persistence
+ * Configuration: VITE_STORAGE_BACKEND in .env
+ *   - "firestore" (default): shared cloud database
+ *   - "indexeddb": fully local, persisted on this device (away gyms)
+ *   - "memory": non-persistent, for local development without a Firebase project
+ *
+ * Storage Adapter Interface:
+ * Every backend implements the same async methods, so services never know
+ * which one is active:
+ * - add(collection, data) → new document ID
+ * - set(collection, id, data) → id (create or overwrite)
+ * - get(collection, id) → { id, ...data } or null
+ * - update(collection, id, updates) (dotted paths and field transforms allowed)
+ * - remove(collection, id)
+ * - query(collection, { where: { field: value }, orderBy: { field, direction } }) → documents
+ * - commitBatch([{ type: 'set' | 'update' | 'delete', collection, id, data }], { unlessExists: { collection, id } })
+ *   (all or nothing; with unlessExists, nothing is written if that document already exists) → true if committed
+ *
+ * The Firestore adapter is loaded lazily so local-only deployments never
+ * initialize Firebase (and need no Firebase configuration).
+ */
+
+export { increment, arrayUnion, arrayRemove, createStorageError } from './documentUtils';
+
+export const STORAGE_BACKENDS = ['firestore', 'indexeddb', 'memory'];
+
+const configuredBackend = (import.meta.env.VITE_STORAGE_BACKEND || 'firestore').toLowerCase();
+
+// Active adapter (or the promise loading it)
+let adapterPromise = null;
+
+const loadAdapter = async (backend) => {
+  switch (backend) {
+    case 'indexeddb':
+      return (await import('./indexedDbAdapter')).indexedDbAdapter;
+    case 'memory':
+      return (await import('./memoryAdapter')).memoryAdapter;
+    case 'firestore':
+      return (await import('./firestoreAdapter')).firestoreAdapter;
+    default:
+      console.warn(`Unknown VITE_STORAGE_BACKEND "${backend}", using Firestore`);
+      return (await import('./firestoreAdapter')).firestoreAdapter;
+  }
+};
+
+/**
+ * Get the active storage adapter, loading the configured backend on first use
+ * @returns {Promise<Object>} Storage adapter
+ */
+export function getStorageAdapter() {
+  if (!adapterPromise) {
+    adapterPromise = loadAdapter(configuredBackend);
+  }
+  return adapterPromise;
+}
+
+/**
+ * Name of the configured backend ("firestore", "indexeddb" or "memory")
+ */
+export function getStorageBackendName() {
+  return STORAGE_BACKENDS.includes(configuredBackend) ? configuredBackend : 'firestore';
+}
+
+/**
+ * STORAGE: Facade that forwards every call to the active adapter
+ */
+export const storage = {
+  add: async (...args) => (await getStorageAdapter()).add(...args),
+  set: async (...args) => (await getStorageAdapter()).set(...args),
+  get: async (...args) => (await getStorageAdapter()).get(...args),
+  update: async (...args) => (await getStorageAdapter()).update(...args),
+  remove: async (...args) => (await getStorageAdapter()).remove(...args),
+  query: async (...args) => (await getStorageAdapter()).query(...args),
+  commitBatch: async (...args) => (await getStorageAdapter()).commitBatch(...args)
+};
@@ -0,0 +1,162 @@
+/**
+ * INDEXEDDB STORAGE ADAPTER
+ *
+ * Purpose: Fully local storage backend that persists in the browser
+ * Context: Away gyms and camps with no usable network - the tracker runs
+ *          entirely on the device and nothing is sent to Firebase
+ *
+ * Storage Layout:
+ * All collections share one object store. Each record is
+ * { collection, id, data } keyed by [collection, id], with an index on
+ * collection for queries. New collections therefore need no schema upgrade.
+ *
+ * Queries filter and sort in JavaScript; the datasets on one device
+ * (a roster and a few hundred sessions) are small enough for that.
+ */
+
+import { openDatabase, runStoreOperation } from '../../utils/indexedDb';
+import {
+  createStorageError,
+  applyUpdates,
+  resolveDocumentData,
+  matchesWhere,
+  sortDocuments,
+  generateDocumentId
+} from './documentUtils';
+
+const DATA_DB_NAME = 'cavsShootingTrackerData';
+const DATA_DB_VERSION = 1;
+const DOCUMENTS_STORE = 'documents';
+const COLLECTION_INDEX = 'byCollection';
+
+const getDatabase = () => openDatabase(DATA_DB_NAME, DATA_DB_VERSION, {
+  [DOCUMENTS_STORE]: {
+    keyPath: ['collection', 'id'],
+    indexes: [{ name: COLLECTION_INDEX, keyPath: 'collection' }]
+  }
+});
+
+/**
+ * COMMIT OPERATIONS: Apply writes inside one IndexedDB transaction
+ *
+ * Every document touched is read first, all changes are computed, then
+ * written; any error aborts the transaction so nothing is half-applied.
+ * When unlessExists ({ collection, id }) names a document that already exists,
+ * nothing is written and the promise resolves to false.
+ */
+const commitOperations = async (operations, unlessExists = null) => {
+  const database = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(DOCUMENTS_STORE, 'readwrite');
+    const store = transaction.objectStore(DOCUMENTS_STORE);
+    const keyOf = ({ collection, id }) => `${collection}/${id}`;
+    const targets = new Map(operations.map(operation => [keyOf(operation), operation]));
+    const current = new Map();
+    let failure = null;
+    let committed = true;
+
+    const applyAll = () => {
+      if (unlessExists && guardExists) {
+        committed = false;
+        return;
+      }
+      try {
+        operations.forEach(operation => {
+          const key = keyOf(operation);
+          if (operation.type === 'set') {
+            current.set(key, resolveDocumentData(operation.data));
+          } else if (operation.type === 'update') {
+            if (!current.get(key)) {
+              throw createStorageError('not-found', `No document to update: ${key}`);
+            }
+            current.set(key, applyUpdates(current.get(key), operation.data));
+          } else if (operation.type === 'delete') {
+            current.set(key, null);
+          }
+        });
+
+        targets.forEach(({ collection, id }, key) => {
+          const data = current.get(key);
+          if (data) {
+            store.put({ collection, id, data });
+          } else {
+            store.delete([collection, id]);
+          }
+        });
+      } catch (error) {
+        failure = error;
+        transaction.abort();
+      }
+    };
+
+    // Load every target document (and the guard), then apply once all reads have returned
+    let guardExists = false;
+    let remaining = targets.size + (unlessExists ? 1 : 0);
+    targets.forEach(({ collection, id }, key) => {
+      const request = store.get([collection, id]);
+      request.onsuccess = () => {
+        current.set(key, request.result ? request.result.data : null);
+        remaining -= 1;
+        if (remaining === 0) applyAll();
+      };
+    });
+    if (unlessExists) {
+      const request = store.get([unlessExists.collection, unlessExists.id]);
+      request.onsuccess = () => {
+        guardExists = Boolean(request.result);
+        remaining -= 1;
+        if (remaining === 0) applyAll();
+      };
+    }
+    if (remaining === 0) applyAll();
+
+    transaction.oncomplete = () => resolve(committed);
+    transaction.onerror = () => reject(failure || transaction.error);
+    transaction.onabort = () => reject(failure || transaction.error);
+  });
+};
+
+export const indexedDbAdapter = {
+  name: 'indexeddb',
+
+  async add(collectionName, data) {
+    const id = generateDocumentId();
+    await commitOperations([{ type: 'set', collection: collectionName, id, data }]);
+    return id;
+  },
+
+  async set(collectionName, id, data) {
+    await commitOperations([{ type: 'set', collection: collectionName, id, data }]);
+    return id;
+  },
+
+  async get(collectionName, id) {
+    const database = await getDatabase();
+    const record = await runStoreOperation(database, DOCUMENTS_STORE, 'readonly', store => store.get([collectionName, id]));
+    return record ? { id: record.id, ...record.data } : null;
+  },
+
+  async update(collectionName, id, updates) {
+    await commitOperations([{ type: 'update', collection: collectionName, id, data: updates }]);
+  },
+
+  async remove(collectionName, id) {
+    await commitOperations([{ type: 'delete', collection: collectionName, id }]);
+  },
+
+  async query(collectionName, { where = {}, orderBy } = {}) {
+    const database = await getDatabase();
+    const records = await runStoreOperation(database, DOCUMENTS_STORE, 'readonly',
+      store => store.index(COLLECTION_INDEX).getAll(collectionName));
+
+    const documents = records
+      .filter(record => matchesWhere(record.data, where))
+      .map(record => ({ id: record.id, ...record.data }));
+    return sortDocuments(documents, orderBy);
+  },
+
+  async commitBatch(operations, { unlessExists } = {}) {
+    return commitOperations(operations, unlessExists);
+  }
+};
@@ -0,0 +1,97 @@
+/**
+ * IN-MEMORY STORAGE ADAPTER
+ *
+ * Purpose: Non-persistent storage backend held in JavaScript memory
+ * Context: Running the app without a Firebase project (local development, demos)
+ *
+ * Data is lost on page reload.
+ */
+
+import {
+  createStorageError,
+  applyUpdates,
+  resolveDocumentData,
+  matchesWhere,
+  sortDocuments,
+  generateDocumentId
+} from './documentUtils';
+
+/**
+ * CREATE MEMORY ADAPTER: Build an empty in-memory store
+ * @returns {Object} Storage adapter
+ */
+function createMemoryAdapter() {
+  // collectionName -> Map(documentId -> data)
+  let collections = new Map();
+
+  const getCollection = (store, collectionName) => {
+    if (!store.has(collectionName)) {
+      store.set(collectionName, new Map());
+    }
+    return store.get(collectionName);
+  };
+
+  // Apply one write to the given store (shared by single writes and batches)
+  const applyOperation = (store, { type, collection: collectionName, id, data }) => {
+    const documents = getCollection(store, collectionName);
+
+    if (type === 'set') {
+      documents.set(id, resolveDocumentData(data));
+    } else if (type === 'update') {
+      if (!documents.has(id)) {
+        throw createStorageError('not-found', `No document to update: ${collectionName}/${id}`);
+      }
+      documents.set(id, applyUpdates(documents.get(id), data));
+    } else if (type === 'delete') {
+      documents.delete(id);
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    async add(collectionName, data) {
+      const id = generateDocumentId();
+      applyOperation(collections, { type: 'set', collection: collectionName, id, data });
+      return id;
+    },
+
+    async set(collectionName, id, data) {
+      applyOperation(collections, { type: 'set', collection: collectionName, id, data });
+      return id;
+    },
+
+    async get(collectionName, id) {
+      const data = getCollection(collections, collectionName).get(id);
+      return data ? { id, ...structuredClone(data) } : null;
+    },
+
+    async update(collectionName, id, updates) {
+      applyOperation(collections, { type: 'update', collection: collectionName, id, data: updates });
+    },
+
+    async remove(collectionName, id) {
+      applyOperation(collections, { type: 'delete', collection: collectionName, id });
+    },
+
+    async query(collectionName, { where = {}, orderBy } = {}) {
+      const documents = [...getCollection(collections, collectionName).entries()]
+        .filter(([, data]) => matchesWhere(data, where))
+        .map(([id, data]) => ({ id, ...structuredClone(data) }));
+      return sortDocuments(documents, orderBy);
+    },
+
+    async commitBatch(operations, { unlessExists } = {}) {
+      if (unlessExists && collections.get(unlessExists.collection)?.has(unlessExists.id)) {
+        return false;
+      }
+      // Apply to a copy and swap it in, so a failing operation leaves nothing half-written
+      const draft = new Map([...collections.entries()].map(([name, documents]) => [name, new Map(documents)]));
+      operations.forEach(operation => applyOperation(draft, operation));
+      collections = draft;
+      return true;
+    }
+  };
+}
+
+export const memoryAdapter = createMemoryAdapter();
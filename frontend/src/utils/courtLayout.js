@@ -0,0 +1,205 @@
+/**
+ * COURT LAYOUT
+ *
+ * Purpose: The zone polygons drawn on a court profile's image
+ * Context: CourtTracker (recording) and ShotChart (review, player history) draw
+ *          the same court under an SVG overlay with the COURT_VIEWBOX of
+ *          utils/geometry, so a coordinate recorded on one lines up on the other.
+ *
+ * Layouts:
+ * A layout is a named set of zone polygons for one court profile (utils/courtProfiles):
+ * { layoutID, name, profileID, zones: [{ id, polygon }] }. Every profile has a
+ * built-in layout of its default zones; facilities draw their own with the
+ * CourtTracker zone editor, stored in the Firestore courtLayouts collection and
+ * shared between facilities as JSON files. The layout in use is remembered on
+ * the device for each profile.
+ */
+
+import { zoneRegistry } from './zoneRegistry';
+import { courtLayoutsService } from '../firebase/services';
+import { parsePolygon } from './geometry';
+import { courtProfileRegistry, DEFAULT_COURT_PROFILE_ID } from './courtProfiles';
+
+export const DEFAULT_COURT_LAYOUT_ID = 'standard';
+
+/**
+ * Smallest screen side (px) the court view is offered on: tablets and desktops
+ * have room for accurate taps, phones keep the ZoneButtons carousel
+ */
+export const COURT_VIEW_MIN_SIZE = 600;
+
+/**
+ * How far (viewBox units) a touch may land outside a zone and still count for it
+ */
+export const TOUCH_TAP_TOLERANCE = 3;
+
+// Built-in layout of every court profile: the profile's default zone polygons
+// (the NBA court keeps the 'standard' ID its layout had before profiles existed)
+const BUILT_IN_COURT_LAYOUTS = courtProfileRegistry.getProfiles().map(profile => ({
+  layoutID: profile.profileID === DEFAULT_COURT_PROFILE_ID ? DEFAULT_COURT_LAYOUT_ID : `standard_${profile.profileID}`,
+  name: `${profile.name} 5 Spots`,
+  profileID: profile.profileID,
+  zones: profile.zones
+}));
+
+// Layout in use on this device, per court profile (localStorage, survives reloads)
+const ACTIVE_LAYOUT_KEY = 'cavsShootingTracker.courtLayoutID';
+
+// Custom layouts loaded from Firestore (see loadCustomLayouts)
+let customLayouts = [];
+
+export const courtLayoutRegistry = {
+  /**
+   * All layouts: built-in first, then custom layouts
+   * @param {string} profileID - Limit to the layouts of this court profile; all layouts when omitted
+   */
+  getLayouts(profileID = null) {
+    return [...BUILT_IN_COURT_LAYOUTS, ...customLayouts]
+      .filter(layout => !profileID || layout.profileID === profileID);
+  },
+
+  /**
+   * Layout by ID, falling back to the built-in NBA layout for unknown IDs
+   * @param {string} layoutID - Layout identifier
+   */
+  getLayout(layoutID) {
+    return this.getLayouts().find(layout => layout.layoutID === layoutID) || BUILT_IN_COURT_LAYOUTS[0];
+  },
+
+  /**
+   * Built-in layout (default zones) of a court profile
+   * @param {string} profileID - Profile identifier
+   */
+  getBuiltInLayout(profileID) {
+    return BUILT_IN_COURT_LAYOUTS.find(layout => layout.profileID === courtProfileRegistry.getProfile(profileID).profileID);
+  },
+
+  /**
+   * Layout in use for a court profile: the layout chosen on this device, or
+   * the profile's built-in layout when none (or one of another court) is stored
+   * @param {string} profileID - Profile identifier; the profile in use when omitted
+   */
+  getActiveLayout(profileID = courtProfileRegistry.getActiveProfileID()) {
+    const layout = this.getLayouts(profileID).find(candidate => candidate.layoutID === this.getActiveLayoutID(profileID));
+    return layout || this.getBuiltInLayout(profileID);
+  },
+
+  /**
+   * ID of the layout in use on this device for a court profile
+   * @param {string} profileID - Profile identifier
+   */
+  getActiveLayoutID(profileID = DEFAULT_COURT_PROFILE_ID) {
+    try {
+      return window.localStorage.getItem(`${ACTIVE_LAYOUT_KEY}.${profileID}`) || this.getBuiltInLayout(profileID).layoutID;
+    } catch (error) {
+      console.error('Error reading the court layout from localStorage:', error);
+      return this.getBuiltInLayout(profileID).layoutID;
+    }
+  },
+
+  /**
+   * Remember the layout in use on this device for a court profile
+   * @param {string} profileID - Profile identifier
+   * @param {string} layoutID - Layout identifier
+   */
+  setActiveLayoutID(profileID, layoutID) {
+    try {
+      window.localStorage.setItem(`${ACTIVE_LAYOUT_KEY}.${profileID}`, layoutID);
+    } catch (error) {
+      console.error('Error writing the court layout to localStorage:', error);
+    }
+  },
+
+  /**
+   * Replace the custom layouts held in memory
+   * @param {Array} layouts - Custom layouts (courtLayoutsService documents)
+   */
+  setCustomLayouts(layouts) {
+    // Layouts saved before court profiles existed were drawn on the NBA court
+    customLayouts = (layouts || []).map(layout => ({ ...layout, profileID: layout.profileID || DEFAULT_COURT_PROFILE_ID, isCustom: true }));
+  },
+
+  /**
+   * LOAD CUSTOM LAYOUTS: Fetch facility-drawn layouts from storage into the registry
+   *
+   * Offline or on error the built-in layout keeps working.
+   *
+   * @returns {Array} All layouts after loading
+   */
+  async loadCustomLayouts() {
+    try {
+      this.setCustomLayouts(await courtLayoutsService.getAllCourtLayouts());
+    } catch (error) {
+      console.error('Error loading court layouts:', error);
+    }
+    return this.getLayouts();
+  },
+
+  /**
+   * Layout as a shareable JSON file body (IDs and timestamps stay behind)
+   * @param {Object} layout - Layout to export
+   */
+  toJSON(layout) {
+    return JSON.stringify({
+      name: layout.name,
+      profileID: layout.profileID,
+      zones: layout.zones.map(({ id, polygon }) => ({ id, polygon }))
+    }, null, 2);
+  },
+
+  /**
+   * PARSE LAYOUT JSON: Read a layout file exported by another facility
+   *
+   * @param {string} text - File contents
+   * @returns {Object} { name, profileID, zones: [{ id, polygon }] } - a new layout, not yet saved
+   * @throws {Error} When the file is not a layout with valid polygons
+   */
+  parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('The file is not valid JSON.');
+    }
+    if (!data || !Array.isArray(data.zones) || data.zones.length === 0) {
+      throw new Error('The file has no zones.');
+    }
+    const zones = data.zones.map(zone => {
+      const points = zone && typeof zone.polygon === 'string' ? parsePolygon(zone.polygon) : [];
+      if (!zone?.id || points.length < 3 || points.some(point => !Number.isFinite(point.x) || !Number.isFinite(point.y))) {
+        throw new Error(`Zone "${zone?.id || '?'}" needs an id and a polygon of at least 3 points.`);
+      }
+      return { id: String(zone.id), polygon: zone.polygon.trim() };
+    });
+    // Files exported before court profiles existed were drawn on the NBA court
+    const profileID = data.profileID || DEFAULT_COURT_PROFILE_ID;
+    if (courtProfileRegistry.getProfile(profileID).profileID !== profileID) {
+      throw new Error(`The file is for an unknown court ("${profileID}").`);
+    }
+    return { name: String(data.name || 'Imported Layout'), profileID, zones };
+  }
+};
+
+/**
+ * Court zones: registry zone (id, label, abbrev, value) merged with its drawing
+ * @param {Array} zones - Limit to these zones (e.g. the session's zone set); all drawn zones when omitted
+ * @param {Object} layout - Layout to draw; the layout in use when omitted
+ * @returns {Array} [{ id, label, shortLabel, abbrev, value, polygon }]
+ */
+export function getCourtZones(zones = null, layout = courtLayoutRegistry.getActiveLayout()) {
+  return layout.zones
+    .filter(geometry => !zones || zones.some(zone => zone.id === geometry.id))
+    .map(geometry => ({ ...zoneRegistry.getZone(geometry.id), ...geometry }));
+}
+
+/**
+ * Whether the court view can record a session: the screen is large enough
+ * and at least one zone of the session's zone set is drawn on the court
+ * @param {Object} windowDimensions - { width, height }
+ * @param {Array} zones - Zones of the session's zone set
+ * @param {Object} layout - Layout in use (see getCourtZones)
+ */
+export function isCourtViewSupported(windowDimensions, zones, layout) {
+  return Math.min(windowDimensions.width, windowDimensions.height) >= COURT_VIEW_MIN_SIZE &&
+    getCourtZones(zones, layout).length > 0;
+}
@@ -0,0 +1,272 @@
+/**
+ * COURT PROFILES
+ *
+ * Purpose: The court a session is shot on - its image, coordinate system and
+ *          default zone polygons - for NBA, college, FIBA and high-school lines
+ * Context: Zone IDs are the same on every court (a corner three is left_corner
+ *          everywhere), but the shot behind them is not: a college corner three
+ *          is 21'8" and a high-school one 19'9". Every session records the
+ *          profile it was shot on (courtProfileID on the shooting log) so review,
+ *          charts and exports keep stats from different line distances apart.
+ *
+ * Profile: { profileID, name, imageURL, coordinates, rules, zones }
+ * - coordinates: real-world area the COURT_VIEWBOX of utils/geometry covers:
+ *   { unit, width, depth, basket: { x, y } } - the image is stretched over the
+ *   same 100 × 60 viewBox on every court, so stored x/y always mean "viewBox
+ *   units of this profile's court"
+ * - rules: line distances in the profile's unit, measured from the baseline
+ *   (basketDistance) or the centre of the basket (arc and corner threes)
+ * - zones: default zone polygons ({ id, polygon }), the profile's built-in layout
+ *   (see utils/courtLayout)
+ *
+ * The NBA profile uses cavaliersCourt.png and the hand-fitted COURT_ZONE_GEOMETRY;
+ * the other courts are drawn from their rules, so image and polygons always agree.
+ */
+
+import { COURT_VIEWBOX } from './geometry';
+
+export const DEFAULT_COURT_PROFILE_ID = 'nba';
+
+/**
+ * COURT_ZONE_GEOMETRY: Where the interactive shooting zones sit on the NBA court image
+ *
+ * Zone names come from the zone registry; this table only holds the drawing.
+ * Each entry contains:
+ * - id: Zone identifier from utils/zoneRegistry
+ * - polygon: SVG coordinate string defining the clickable area boundaries
+ * - buttonPosition: CSS positioning for mobile zone buttons (fallback UI)
+ *
+ * Taps are classified into a zone by point-in-polygon (see utils/geometry);
+ * the bounding box used to skip distant zones is derived from the polygon.
+ *
+ * Design Decision: We use SVG polygons instead of rectangular divs because:
+ * 1. Basketball court zones are irregular shapes that follow the actual court lines
+ * 2. SVG coordinates scale perfectly with responsive design
+ * 3. Precise zone boundaries improve shot tracking accuracy
+ * 4. Polygons allow for realistic court zone representation
+ */
+export const COURT_ZONE_GEOMETRY = [
+  {
+    id: 'left_corner',
+    // Left corner: Actual corner area following three-point line geometry
+    // Coordinates carefully mapped to match real court proportions
+    polygon: "17.8,0.3 17.9,21.9 21.5,21.8 21.5,0.2",
+    buttonPosition: { top: '15%', left: '11%' } // Mobile fallback button placement
+  },
+  {
+    id: 'left_wing',
+    // Left wing: Area between corner and paint, follows three-point arc
+    // Complex polygon shape accounts for the curved three-point line
+    polygon: "18,22 18.1,59.4 39.7,59.6 39.8,42.9 37.6,42 35.4,41 33.1,39.1 30.7,37.3 28.7,34.6 26.6,32.4 25.1,29.8 23.8,27.3 22.6,24.6 21.6,22.1",
+    buttonPosition: { top: '40%', left: '20%' }
+  },
+  {
+    id: 'top_key',
+    // Top of key: Paint area and free throw extended region
+    // Most common shooting area, positioned for optimal user accessibility
+    polygon: "40.1,42.9 40.1,59.9 60.6,59.9 60.6,42.7 58.8,43.6 56.3,44.4 53.8,45.1 51.1,45.3 48.3,45.5 45.5,44.9 42.6,44.2",
+    buttonPosition: { top: '75%', left: '50%' } // Centered for easy thumb access on mobile
+  },
+  {
+    id: 'right_wing',
+    // Right wing: Mirror of left wing with precise boundary alignment to top_key
+    // Ensures no gaps or overlaps between adjacent zones for accurate tracking
+    polygon: "82.2,21.7 82,59.7 60.8,59.6 60.8,42.8 63.1,41.8 65.7,40.1 68.2,38.6 70,36.5 72.3,33.9 74.2,31.5 75.8,28.8 77.1,26.3 78,23.9 78.8,21.9",
+    buttonPosition: { top: '40%', left: '80%' }
+  },
+  {
+    id: 'right_corner',
+    // Right corner: Perfect mirror of left corner for symmetrical court layout
+    // Maintains consistent zone sizing for fair statistical comparison
+    polygon: "78.8,0.2 82.1,0.2 82.1,21.2 78.8,21.3",
+    buttonPosition: { top: '15%', left: '89%' }
+  }
+];
+
+// Arc points per zone edge when drawing generated zones
+const ARC_STEPS = 8;
+
+// Court colours of generated images (Cavaliers wine and gold on a maple floor)
+const COURT_COLORS = { floor: '#E3C08D', paint: '#6F263D', line: '#6F263D', paintLine: '#FFFFFF' };
+
+/**
+ * Line distances of the generated courts
+ * - width/depth: area of the court drawn (sideline to sideline, from the baseline)
+ * - basketDistance: baseline to the centre of the basket
+ * - arcRadius / cornerDistance: three-point arc and corner line from the basket centre
+ * - cornerZoneDepth: how far from the baseline the corner zones reach
+ * - laneWidth, freeThrowDistance (baseline to free-throw line), freeThrowRadius,
+ *   backboardDistance, backboardWidth, rimRadius, restrictedRadius, lineWidth
+ */
+const COURT_RULES = {
+  college: {
+    unit: 'ft', width: 50, depth: 39.3, basketDistance: 5.25, arcRadius: 22.15, cornerDistance: 21.65, cornerZoneDepth: 14,
+    laneWidth: 12, freeThrowDistance: 19, freeThrowRadius: 6, backboardDistance: 4, backboardWidth: 6, rimRadius: 0.75, restrictedRadius: 4, lineWidth: 0.17
+  },
+  fiba: {
+    unit: 'm', width: 15, depth: 11.8, basketDistance: 1.575, arcRadius: 6.75, cornerDistance: 6.6, cornerZoneDepth: 4.25,
+    laneWidth: 4.9, freeThrowDistance: 5.8, freeThrowRadius: 1.8, backboardDistance: 1.2, backboardWidth: 1.8, rimRadius: 0.225, restrictedRadius: 1.25, lineWidth: 0.05
+  },
+  high_school: {
+    unit: 'ft', width: 50, depth: 39.3, basketDistance: 5.25, arcRadius: 19.75, cornerDistance: 19.75, cornerZoneDepth: 14,
+    laneWidth: 12, freeThrowDistance: 19, freeThrowRadius: 6, backboardDistance: 4, backboardWidth: 6, rimRadius: 0.75, restrictedRadius: 0, lineWidth: 0.17
+  }
+};
+
+/**
+ * Default zone polygons from a court's rules: corners along the baseline, wings
+ * beyond the arc out to the sidelines, top of the key between the lane lines
+ * extended - the same five spots as the NBA court
+ * @param {Object} rules - Line distances (see COURT_RULES)
+ * @returns {Array} [{ id, polygon }]
+ */
+export function buildZonePolygons(rules) {
+  const basketX = rules.width / 2;
+  const basketY = rules.basketDistance;
+  const toPoint = (x, y) => {
+    const viewX = Math.round((x / rules.width) * COURT_VIEWBOX.width * 10) / 10;
+    const viewY = Math.round((y / rules.depth) * COURT_VIEWBOX.height * 10) / 10;
+    return `${viewX},${viewY}`;
+  };
+  // Point on the three-point arc, angle measured from straight out of the basket (negative = left)
+  const arcPoint = (angle) => [basketX + rules.arcRadius * Math.sin(angle), basketY + rules.arcRadius * Math.cos(angle)];
+  const arcPoints = (from, to) => Array.from({ length: ARC_STEPS + 1 }, (_, step) => arcPoint(from + ((to - from) * step) / ARC_STEPS));
+  const mirror = (points) => points.map(([x, y]) => [rules.width - x, y]);
+  const toPolygon = (points) => points.map(([x, y]) => toPoint(x, y)).join(' ');
+
+  // Where the corner line meets the arc, where the corner zones end and where the lane lines extended cross the arc
+  const breakAngle = Math.asin(Math.min(1, rules.cornerDistance / rules.arcRadius));
+  const breakY = basketY + rules.arcRadius * Math.cos(breakAngle);
+  const cornerDepth = Math.max(breakY, rules.cornerZoneDepth);
+  const cornerAngle = Math.acos(Math.min(1, (cornerDepth - basketY) / rules.arcRadius));
+  const laneAngle = Math.asin((rules.laneWidth / 2) / rules.arcRadius);
+  const cornerX = basketX - rules.cornerDistance;
+
+  const leftCorner = [[0, 0], [cornerX, 0], ...arcPoints(-breakAngle, -cornerAngle), [0, cornerDepth]];
+  const leftWing = [[0, cornerDepth], ...arcPoints(-cornerAngle, -laneAngle), [basketX - rules.laneWidth / 2, rules.depth], [0, rules.depth]];
+  const topKey = [...arcPoints(-laneAngle, laneAngle), [basketX + rules.laneWidth / 2, rules.depth], [basketX - rules.laneWidth / 2, rules.depth]];
+
+  return [
+    { id: 'left_corner', polygon: toPolygon(leftCorner) },
+    { id: 'left_wing', polygon: toPolygon(leftWing) },
+    { id: 'top_key', polygon: toPolygon(topKey) },
+    { id: 'right_wing', polygon: toPolygon(mirror(leftWing)) },
+    { id: 'right_corner', polygon: toPolygon(mirror(leftCorner)) }
+  ];
+}
+
+/**
+ * Court image from a court's rules, as an SVG data URL (baseline at the top)
+ * @param {Object} rules - Line distances (see COURT_RULES)
+ */
+export function drawCourtImage(rules) {
+  const basketX = rules.width / 2;
+  const basketY = rules.basketDistance;
+  const laneLeft = basketX - rules.laneWidth / 2;
+  const breakAngle = Math.asin(Math.min(1, rules.cornerDistance / rules.arcRadius));
+  const breakY = basketY + rules.arcRadius * Math.cos(breakAngle);
+  const stroke = `stroke-width="${rules.lineWidth}" fill="none"`;
+  const restricted = rules.restrictedRadius > 0
+    ? `<path d="M ${basketX - rules.restrictedRadius} ${basketY} A ${rules.restrictedRadius} ${rules.restrictedRadius} 0 0 0 ${basketX + rules.restrictedRadius} ${basketY}" stroke="${COURT_COLORS.paintLine}" ${stroke}/>`
+    : '';
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(rules.width * 40)}" height="${Math.round(rules.depth * 40)}" viewBox="0 0 ${rules.width} ${rules.depth}">`,
+    `<rect width="${rules.width}" height="${rules.depth}" fill="${COURT_COLORS.floor}"/>`,
+    // Lane and free-throw circle
+    `<rect x="${laneLeft}" y="0" width="${rules.laneWidth}" height="${rules.freeThrowDistance}" fill="${COURT_COLORS.paint}" stroke="${COURT_COLORS.paintLine}" stroke-width="${rules.lineWidth}"/>`,
+    `<circle cx="${basketX}" cy="${rules.freeThrowDistance}" r="${rules.freeThrowRadius}" stroke="${COURT_COLORS.line}" ${stroke}/>`,
+    // Three-point line: corner lines into the arc
+    `<path d="M ${basketX - rules.cornerDistance} 0 L ${basketX - rules.cornerDistance} ${breakY} A ${rules.arcRadius} ${rules.arcRadius} 0 0 0 ${basketX + rules.cornerDistance} ${breakY} L ${basketX + rules.cornerDistance} 0" stroke="${COURT_COLORS.line}" ${stroke}/>`,
+    // Basket
+    restricted,
+    `<line x1="${basketX - rules.backboardWidth / 2}" y1="${rules.backboardDistance}" x2="${basketX + rules.backboardWidth / 2}" y2="${rules.backboardDistance}" stroke="${COURT_COLORS.paintLine}" stroke-width="${rules.lineWidth * 1.5}"/>`,
+    `<circle cx="${basketX}" cy="${basketY}" r="${rules.rimRadius}" stroke="#FF6A13" ${stroke}/>`,
+    // Boundary
+    `<rect x="0" y="0" width="${rules.width}" height="${rules.depth}" stroke="${COURT_COLORS.line}" stroke-width="${rules.lineWidth * 2}" fill="none"/>`,
+    '</svg>'
+  ].join('');
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+// Generated court profile from its rules
+const generatedProfile = (profileID, name, rules) => ({
+  profileID,
+  name,
+  imageURL: drawCourtImage(rules),
+  coordinates: {
+    unit: rules.unit,
+    width: rules.width,
+    depth: rules.depth,
+    basket: { x: COURT_VIEWBOX.width / 2, y: Math.round((rules.basketDistance / rules.depth) * COURT_VIEWBOX.height * 10) / 10 }
+  },
+  rules,
+  zones: buildZonePolygons(rules)
+});
+
+const COURT_PROFILES = [
+  {
+    profileID: DEFAULT_COURT_PROFILE_ID,
+    name: 'NBA',
+    imageURL: '/cavaliersCourt.png',
+    coordinates: { unit: 'ft', width: 50.4, depth: 39.3, basket: { x: 50, y: 8 } },
+    rules: { unit: 'ft', basketDistance: 5.25, arcRadius: 23.75, cornerDistance: 22, laneWidth: 16 },
+    zones: COURT_ZONE_GEOMETRY
+  },
+  generatedProfile('college', 'College (NCAA)', COURT_RULES.college),
+  generatedProfile('fiba', 'FIBA', COURT_RULES.fiba),
+  generatedProfile('high_school', 'High School (NFHS)', COURT_RULES.high_school)
+];
+
+// Court profile chosen on this device (localStorage, survives reloads)
+const ACTIVE_PROFILE_KEY = 'cavsShootingTracker.courtProfileID';
+
+export const courtProfileRegistry = {
+  /**
+   * All court profiles
+   */
+  getProfiles() {
+    return COURT_PROFILES;
+  },
+
+  /**
+   * Profile by ID, falling back to the NBA court for unknown or missing IDs
+   * (sessions recorded before profiles existed were shot on the NBA court)
+   * @param {string} profileID - Profile identifier
+   */
+  getProfile(profileID) {
+    return COURT_PROFILES.find(profile => profile.profileID === profileID) || COURT_PROFILES[0];
+  },
+
+  /**
+   * Display name of a profile
+   * @param {string} profileID - Profile identifier
+   */
+  getProfileName(profileID) {
+    return this.getProfile(profileID).name;
+  },
+
+  /**
+   * ID of the profile last chosen on this device
+   */
+  getActiveProfileID() {
+    try {
+      return this.getProfile(window.localStorage.getItem(ACTIVE_PROFILE_KEY)).profileID;
+    } catch (error) {
+      console.error('Error reading the court profile from localStorage:', error);
+      return DEFAULT_COURT_PROFILE_ID;
+    }
+  },
+
+  /**
+   * Remember the profile chosen on this device
+   * @param {string} profileID - Profile identifier
+   */
+  setActiveProfileID(profileID) {
+    try {
+      window.localStorage.setItem(ACTIVE_PROFILE_KEY, profileID);
+    } catch (error) {
+      console.error('Error writing the court profile to localStorage:', error);
+    }
+  }
+};
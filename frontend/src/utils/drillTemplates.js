@@ -0,0 +1,289 @@
+/**
+ * DRILL TEMPLATES
+ *
+ * Purpose: Single source of truth for the structure of a shooting test
+ * Context: The 100-shot test used to be hard-coded in the auto-end effect,
+ *          ZoneButtons and CourtTracker. A drill template now defines how many
+ *          shots a test has and when it ends; the coach picks one in
+ *          PlayerSelection and its templateID is saved on the shooting log.
+ *
+ * Template shape:
+ * {
+ *   templateID,        // Stored on shootingLogs as drillTemplateID
+ *   name, description,
+ *   zoneSetID,         // Zones the drill is shot from (see utils/zoneRegistry)
+ *   shotsPerZone,      // Attempts per zone, null = no per-zone quota
+ *   order,             // 'zone_by_zone' (finish a zone, then move on), 'rotation' (one
+ *                      // shot per spot, corner to corner, reversing at the end of each pass), 'timed' (one countdown interval
+ *                      // per spot), 'trips' (free throws, see below) or 'free' (any zone, any time)
+ *   totalShots,        // Shot cap, null = shotsPerZone × number of zones (no cap if both are null)
+ *   timeLimitSeconds,  // Session ends when the timer reaches it, null = no limit
+ *   intervalSeconds,   // Countdown mode: length of each interval, null = timer counts up
+ *   intervals,         // Countdown mode: number of intervals, null = one per zone
+ *   restSeconds,       // Rest after each completed zone block or interval, 0 = none
+ *   trips,             // Free-throw mode: trips to the line in the test, null = not a free-throw drill
+ *   shotContext        // Context preset for every shot, e.g. { shotType: 'catch_and_shoot' } (see utils/shotContext), null = none
+ * }
+ *
+ * Countdown Mode:
+ * A template with intervalSeconds runs as a countdown ("make as many as you can
+ * in 60 seconds per spot"). Interval i is shot from zone i of the zone set; the
+ * session pauses when an interval runs out and ends after the last interval.
+ *
+ * Free-Throw Mode:
+ * A template with trips records free throws in trips of 1, 2 or 3 attempts
+ * (see utils/freeThrowTrips) and ends once that many trips are complete.
+ */
+
+import { zoneRegistry } from './zoneRegistry';
+import { freeThrowTrips } from './freeThrowTrips';
+
+/**
+ * Template used when a session does not name one - the original 100-shot test
+ */
+export const DEFAULT_DRILL_TEMPLATE_ID = 'five_spots_x20';
+
+const BUILT_IN_DRILL_TEMPLATES = [
+  {
+    templateID: DEFAULT_DRILL_TEMPLATE_ID,
+    name: '5 Spots × 20',
+    description: '20 threes from each of the 5 spots, one spot at a time (100 shots)',
+    zoneSetID: 'three_point_5',
+    shotsPerZone: 20,
+    order: 'zone_by_zone',
+    totalShots: 100,
+    timeLimitSeconds: null,
+    intervalSeconds: null,
+    intervals: null,
+    restSeconds: 0,
+    trips: null,
+    shotContext: null
+  },
+  {
+    templateID: 'around_the_world',
+    name: 'Around the World',
+    description: 'One three from each of the 7 spots, corner to corner, then back the other way from the far corner - 5 passes (35 shots)',
+    zoneSetID: 'three_point_7',
+    shotsPerZone: 5,
+    order: 'rotation',
+    totalShots: null,
+    timeLimitSeconds: null,
+    intervalSeconds: null,
+    intervals: null,
+    restSeconds: 0,
+    trips: null,
+    shotContext: null
+  },
+  {
+    templateID: 'catch_and_shoot_50',
+    name: 'Catch & Shoot 50',
+    description: '50 catch-and-shoot threes from any spot within 5 minutes',
+    zoneSetID: 'three_point_5',
+    shotsPerZone: null,
+    order: 'free',
+    totalShots: 50,
+    timeLimitSeconds: 300,
+    intervalSeconds: null,
+    intervals: null,
+    restSeconds: 0,
+    trips: null,
+    shotContext: { shotType: 'catch_and_shoot', defense: null }
+  },
+  {
+    templateID: 'mid_range_5x10',
+    name: 'Mid-Range 5 × 10',
+    description: '10 mid-range shots from each of the 5 spots with 30 seconds rest between spots (50 shots)',
+    zoneSetID: 'mid_range_5',
+    shotsPerZone: 10,
+    order: 'zone_by_zone',
+    totalShots: null,
+    timeLimitSeconds: null,
+    intervalSeconds: null,
+    intervals: null,
+    restSeconds: 30,
+    trips: null,
+    shotContext: null
+  },
+  {
+    templateID: 'sixty_second_spots',
+    name: '60-Second Spots',
+    description: 'Make as many threes as you can in 60 seconds at each of the 5 spots, 30 seconds rest between spots',
+    zoneSetID: 'three_point_5',
+    shotsPerZone: null,
+    order: 'timed',
+    totalShots: null,
+    timeLimitSeconds: null,
+    intervalSeconds: 60,
+    intervals: null,
+    restSeconds: 30,
+    trips: null,
+    shotContext: null
+  },
+  {
+    templateID: 'free_throw_trips',
+    name: 'Free-Throw Trips',
+    description: '10 trips to the line of 1, 2 or 3 free throws, with optional sprints between trips',
+    zoneSetID: 'free_throws',
+    shotsPerZone: null,
+    order: 'trips',
+    totalShots: null,
+    timeLimitSeconds: null,
+    intervalSeconds: null,
+    intervals: null,
+    restSeconds: 0,
+    trips: 10,
+    shotContext: null
+  }
+];
+
+export const drillTemplateRegistry = {
+  /**
+   * All drill templates a session can use
+   */
+  getDrillTemplates() {
+    return BUILT_IN_DRILL_TEMPLATES;
+  },
+
+  /**
+   * Drill template by ID, falling back to the default template for unknown or missing IDs
+   * @param {string} templateID - Template identifier (undefined for sessions recorded before templates existed)
+   */
+  getDrillTemplate(templateID) {
+    return BUILT_IN_DRILL_TEMPLATES.find(template => template.templateID === templateID) || BUILT_IN_DRILL_TEMPLATES[0];
+  },
+
+  /**
+   * Most shots the test allows
+   * @param {Object} template - Drill template
+   * @param {Array} zones - Zones the session is shot from (the coach may pick another zone set)
+   * @returns {number|null} Shot cap, null when the drill has no cap
+   */
+  getShotCap(template, zones = zoneRegistry.getZoneSet(template.zoneSetID).zones) {
+    if (template.totalShots) {
+      return template.totalShots;
+    }
+    return template.shotsPerZone ? template.shotsPerZone * zones.length : null;
+  },
+
+  /**
+   * Why another shot cannot be recorded, or null when it can
+   * @param {Object} template - Drill template
+   * @param {Array} shots - Shots recorded so far
+   * @param {Array} zones - Zones the session is shot from
+   * @returns {string|null} Message for the coach
+   */
+  getShotLimitMessage(template, shots, zones) {
+    const cap = this.getShotCap(template, zones);
+    return cap !== null && shots.length >= cap ? `Test complete! ${cap} shots taken.` : null;
+  },
+
+  /**
+   * Whether the drill is a free-throw test shot in trips
+   * @param {Object} template - Drill template
+   */
+  isFreeThrowDrill(template) {
+    return Boolean(template.trips);
+  },
+
+  /**
+   * Session time the drill allows: its time limit, or all countdown intervals
+   * @param {Object} template - Drill template
+   * @param {Array} zones - Zones the session is shot from
+   * @returns {number|null} Seconds, null when the drill has no time limit
+   */
+  getTimeLimitSeconds(template, zones) {
+    if (template.timeLimitSeconds) {
+      return template.timeLimitSeconds;
+    }
+    return template.intervalSeconds ? template.intervalSeconds * this.getIntervalCount(template, zones) : null;
+  },
+
+  /**
+   * Whether the drill runs as a countdown of intervals
+   * @param {Object} template - Drill template
+   */
+  isCountdown(template) {
+    return Boolean(template.intervalSeconds);
+  },
+
+  /**
+   * Number of countdown intervals
+   * @param {Object} template - Drill template
+   * @param {Array} zones - Zones the session is shot from
+   */
+  getIntervalCount(template, zones) {
+    return template.intervals || zones.length;
+  },
+
+  /**
+   * Countdown interval a timer value falls in (0-based)
+   * @param {Object} template - Countdown drill template
+   * @param {Array} zones - Zones the session is shot from
+   * @param {number} timerValue - Session timer in milliseconds (shot timerValue / timeTaken)
+   */
+  getIntervalIndex(template, zones, timerValue) {
+    const index = Math.floor((timerValue || 0) / (template.intervalSeconds * 1000));
+    return Math.min(Math.max(0, index), this.getIntervalCount(template, zones) - 1);
+  },
+
+  /**
+   * Zone (index into zones) an interval is shot from - intervals go around the zone set in order
+   * @param {number} intervalIndex - Countdown interval (0-based)
+   * @param {Array} zones - Zones the session is shot from
+   */
+  getIntervalZoneIndex(intervalIndex, zones) {
+    return intervalIndex % zones.length;
+  },
+
+  /**
+   * Seconds of countdown time spent at each zone
+   * @param {Object} template - Countdown drill template
+   * @param {Array} zones - Zones the session is shot from
+   * @param {number} elapsedTime - Session timer in milliseconds
+   * @returns {Object} { [zoneID]: seconds }
+   */
+  getZoneSeconds(template, zones, elapsedTime) {
+    const zoneSeconds = Object.fromEntries(zones.map(zone => [zone.id, 0]));
+    const elapsedSeconds = (elapsedTime || 0) / 1000;
+    for (let index = 0; index < this.getIntervalCount(template, zones); index++) {
+      const seconds = Math.min(template.intervalSeconds, Math.max(0, elapsedSeconds - index * template.intervalSeconds));
+      zoneSeconds[zones[this.getIntervalZoneIndex(index, zones)].id] += seconds;
+    }
+    return zoneSeconds;
+  },
+
+  /**
+   * Whether the drill is over: shot cap reached or time limit used up
+   * @param {Object} template - Drill template
+   * @param {Array} shots - Shots recorded so far
+   * @param {Array} zones - Zones the session is shot from
+   * @param {number} elapsedTime - Session timer in milliseconds (paused time excluded)
+   */
+  isDrillComplete(template, shots, zones, elapsedTime) {
+    if (this.getShotLimitMessage(template, shots, zones)) {
+      return true;
+    }
+    if (this.isFreeThrowDrill(template) && freeThrowTrips.countCompletedTrips(shots) >= template.trips) {
+      return true;
+    }
+    const timeLimitSeconds = this.getTimeLimitSeconds(template, zones);
+    return Boolean(timeLimitSeconds) && elapsedTime >= timeLimitSeconds * 1000;
+  },
+
+  /**
+   * Rest the player gets after a shot: restSeconds when the shot finished a zone
+   * block and the drill continues, otherwise 0
+   * @param {Object} template - Drill template
+   * @param {Array} shots - Shots recorded so far, including the new one (last)
+   * @param {Array} zones - Zones the session is shot from
+   * @returns {number} Rest in seconds
+   */
+  getRestAfterShot(template, shots, zones) {
+    const lastShot = shots[shots.length - 1];
+    if (!template.restSeconds || !template.shotsPerZone || !lastShot || this.getShotLimitMessage(template, shots, zones)) {
+      return 0;
+    }
+    const zoneAttempts = shots.filter(shot => shot.location === lastShot.location).length;
+    return zoneAttempts === template.shotsPerZone ? template.restSeconds : 0;
+  }
+};
@@ -0,0 +1,94 @@
+/**
+ * FREE-THROW TRIPS
+ *
+ * Purpose: Trip structure and stats for the free-throw test
+ * Context: Free throws are shot in trips to the line of 1, 2 or 3 attempts, like
+ *          and-ones, shooting fouls and fouls on threes. To simulate game fatigue
+ *          the player can sprint before a trip. Every free throw is recorded with
+ *          the FREE_THROW_ZONE_ID shotZone and a trip object:
+ *
+ *          trip: { tripID, tripNumber, tripSize, attempt, afterSprint }
+ *
+ * The current trip is derived from the shots themselves, so undo, redo and shot
+ * corrections never leave a trip half-counted.
+ */
+
+/**
+ * shotZone of every free throw (see utils/zoneRegistry)
+ */
+export const FREE_THROW_ZONE_ID = 'free_throw_attempt';
+
+export const TRIP_SIZES = [1, 2, 3];
+
+// { made, attempts, percentage } for a list of shots
+const summarize = (shots) => {
+  const made = shots.filter(shot => shot.made).length;
+  return {
+    made,
+    attempts: shots.length,
+    percentage: shots.length > 0 ? Math.round((made / shots.length) * 100) : 0
+  };
+};
+
+export const freeThrowTrips = {
+  /**
+   * Trip the next free throw belongs to: the unfinished trip of the last shot,
+   * or a new trip with the size and sprint setting chosen for it
+   * @param {Array} shots - Shots recorded so far
+   * @param {Object} nextTrip - { tripSize, afterSprint } for a new trip
+   * @returns {Object} { tripID, tripNumber, tripSize, attempt, afterSprint, isNew } - tripID is null
+   *                   for a new trip until its first free throw is recorded
+   */
+  getCurrentTrip(shots, { tripSize, afterSprint }) {
+    const lastTrip = [...shots].reverse().find(shot => shot.trip)?.trip;
+    if (lastTrip && lastTrip.attempt < lastTrip.tripSize) {
+      return { ...lastTrip, attempt: lastTrip.attempt + 1, isNew: false };
+    }
+    return {
+      tripID: null,
+      tripNumber: (lastTrip?.tripNumber || 0) + 1,
+      tripSize,
+      attempt: 1,
+      afterSprint,
+      isNew: true
+    };
+  },
+
+  /**
+   * Number of trips with every attempt shot
+   * @param {Array} shots - Shots recorded so far
+   */
+  countCompletedTrips(shots) {
+    return shots.filter(shot => shot.trip && shot.trip.attempt === shot.trip.tripSize).length;
+  },
+
+  /**
+   * FREE-THROW STATS: Percentages by attempt within a trip, fresh vs after a sprint, and per trip
+   *
+   * @param {Array} shots - Shots of the session (local shape: made, trip)
+   * @returns {Object} { overall, byAttempt: { 1, 2, 3 }, fresh, afterSprint, trips: [{ tripNumber, tripSize, afterSprint, results }] }
+   */
+  calculateStats(shots) {
+    const tripShots = shots.filter(shot => shot.trip);
+    const trips = [];
+    tripShots.forEach(shot => {
+      let trip = trips.find(candidate => candidate.tripID === shot.trip.tripID);
+      if (!trip) {
+        trip = { tripID: shot.trip.tripID, tripNumber: shot.trip.tripNumber, tripSize: shot.trip.tripSize, afterSprint: shot.trip.afterSprint, results: [] };
+        trips.push(trip);
+      }
+      trip.results.push(shot.made);
+    });
+
+    return {
+      overall: summarize(tripShots),
+      byAttempt: Object.fromEntries(TRIP_SIZES.map(attempt => [
+        attempt,
+        summarize(tripShots.filter(shot => shot.trip.attempt === attempt))
+      ])),
+      fresh: summarize(tripShots.filter(shot => !shot.trip.afterSprint)),
+      afterSprint: summarize(tripShots.filter(shot => shot.trip.afterSprint)),
+      trips: trips.sort((a, b) => a.tripNumber - b.tripNumber)
+    };
+  }
+};
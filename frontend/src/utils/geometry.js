@@ -0,0 +1,121 @@
+/**
+ * COURT GEOMETRY
+ *
+ * Purpose: Coordinates on the court image and zone classification
+ * Context: CourtTracker draws the court profile's image (utils/courtProfiles)
+ *          under an SVG overlay with a 100 × 60 viewBox. A tap is stored as x/y
+ *          in those viewBox units, and the zone of the shot is the zone
+ *          polygon that contains the point, so the coach only marks where the
+ *          shot was taken from.
+ *
+ * Polygon strings use the SVG points format: "x1,y1 x2,y2 ...".
+ */
+
+/**
+ * Size of the court overlay's viewBox - the unit system of stored coordinates
+ */
+export const COURT_VIEWBOX = { width: 100, height: 60 };
+
+/**
+ * Turn an SVG points string into [{ x, y }]
+ * @param {string} polygon - "x1,y1 x2,y2 ..."
+ */
+export function parsePolygon(polygon) {
+  return String(polygon).trim().split(/\s+/).map(pair => {
+    const [x, y] = pair.split(',').map(Number);
+    return { x, y };
+  });
+}
+
+/**
+ * Bounding box of a polygon, used to skip the full test for distant zones
+ * @param {Array} points - [{ x, y }]
+ * @returns {Object} { top, left, bottom, right }
+ */
+export function getPolygonBounds(points) {
+  return {
+    top: Math.min(...points.map(point => point.y)),
+    left: Math.min(...points.map(point => point.x)),
+    bottom: Math.max(...points.map(point => point.y)),
+    right: Math.max(...points.map(point => point.x))
+  };
+}
+
+/**
+ * POINT IN POLYGON: Ray casting - count how many polygon edges a ray from the
+ * point crosses; an odd count means the point is inside
+ * @param {Object} point - { x, y }
+ * @param {Array} points - Polygon vertices [{ x, y }]
+ */
+export function isPointInPolygon(point, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    const crosses = (a.y > point.y) !== (b.y > point.y) &&
+      point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x;
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Convert a pointer position to viewBox coordinates, rounded to one decimal
+ * @param {Object} pointer - { clientX, clientY } (mouse or touch)
+ * @param {DOMRect} rect - Bounding rectangle of the overlay
+ * @returns {Object} { x, y }
+ */
+export function toViewBoxPoint({ clientX, clientY }, rect) {
+  const x = ((clientX - rect.left) / rect.width) * COURT_VIEWBOX.width;
+  const y = ((clientY - rect.top) / rect.height) * COURT_VIEWBOX.height;
+  return { x: Math.round(x * 10) / 10, y: Math.round(y * 10) / 10 };
+}
+
+/**
+ * Shortest distance from a point to the outline of a polygon
+ * @param {Object} point - { x, y }
+ * @param {Array} points - Polygon vertices [{ x, y }]
+ */
+export function getDistanceToPolygon(point, points) {
+  return Math.min(...points.map((a, i) => {
+    const b = points[(i + 1) % points.length];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    // Closest point on segment a-b, clamped to its ends
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+    return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+  }));
+}
+
+/**
+ * CLASSIFY POINT: Zone a court coordinate falls in
+ *
+ * With a tolerance, a point just outside every zone is given to the nearest
+ * zone within that distance - a finger tap on a line still counts.
+ *
+ * @param {Object} point - { x, y } in viewBox units
+ * @param {Array} zones - Zones with a polygon string ({ id, polygon })
+ * @param {number} tolerance - Distance in viewBox units a tap may miss a zone by (0 = exact)
+ * @returns {string|null} Zone ID, or null when the point is outside every zone
+ */
+export function classifyPoint(point, zones, tolerance = 0) {
+  const zone = zones.find(candidate => {
+    const points = parsePolygon(candidate.polygon);
+    const bounds = getPolygonBounds(points);
+    return point.x >= bounds.left && point.x <= bounds.right &&
+      point.y >= bounds.top && point.y <= bounds.bottom &&
+      isPointInPolygon(point, points);
+  });
+  if (zone || tolerance <= 0) {
+    return zone ? zone.id : null;
+  }
+
+  const nearest = zones
+    .map(candidate => ({ id: candidate.id, distance: getDistanceToPolygon(point, parsePolygon(candidate.polygon)) }))
+    .filter(candidate => candidate.distance <= tolerance)
+    .sort((a, b) => a.distance - b.distance)[0];
+  return nearest ? nearest.id : null;
+}
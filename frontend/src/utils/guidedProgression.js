@@ -0,0 +1,134 @@
+/**
+ * GUIDED ZONE PROGRESSION
+ *
+ * Purpose: Move the ZoneButtons carousel to the next spot on its own during structured tests
+ * Context: Without guidance the rebounder has to remember to swipe the carousel
+ *          after every block of shots. In guided mode the carousel advances after
+ *          attemptsPerZone shots at a spot, the next spot is announced, and a
+ *          warning is shown when a zone is shot past its quota.
+ *
+ * Settings shape: { enabled, attemptsPerZone, randomOrder, backAndForth }
+ * - attemptsPerZone: shots taken at a spot before moving on (1 for rotation drills)
+ * - randomOrder: next spot is picked at random among unfinished zones (game-like drills)
+ * - backAndForth: passes go corner to corner and reverse at the end spot, which is
+ *   shot again to start the way back (rotation drills such as Around the World)
+ *
+ * Zone quota: the drill template's shotsPerZone, or attemptsPerZone for drills
+ * without a per-zone quota. Zones at their quota are skipped when advancing.
+ */
+
+const DEFAULT_ATTEMPTS_PER_ZONE = 10;
+
+// Attempts recorded at one zone
+const countZoneAttempts = (shots, zoneID) => shots.filter(shot => shot.location === zoneID).length;
+
+export const guidedProgression = {
+  /**
+   * Guided settings a drill template starts with: on for structured drills, off for free
+   * shooting and countdown drills (their intervals move the carousel)
+   * @param {Object} template - Drill template (see utils/drillTemplates)
+   */
+  getDefaultSettings(template) {
+    return {
+      enabled: template.order === 'zone_by_zone' || template.order === 'rotation',
+      attemptsPerZone: template.order === 'rotation' ? 1 : (template.shotsPerZone || DEFAULT_ATTEMPTS_PER_ZONE),
+      randomOrder: false,
+      backAndForth: template.order === 'rotation'
+    };
+  },
+
+  /**
+   * Attempts each zone should get
+   * @param {Object} template - Drill template
+   * @param {Object} settings - Guided settings
+   */
+  getZoneQuota(template, settings) {
+    return template.shotsPerZone || settings.attemptsPerZone;
+  },
+
+  /**
+   * Whether the shot just recorded at a zone finished a block there
+   * @param {Array} shots - Shots recorded so far, including the new one
+   * @param {string} zoneID - Zone of the new shot
+   * @param {Object} settings - Guided settings
+   */
+  isBlockComplete(shots, zoneID, settings) {
+    const attempts = countZoneAttempts(shots, zoneID);
+    return attempts > 0 && attempts % settings.attemptsPerZone === 0;
+  },
+
+  /**
+   * Whether a zone has been shot more often than its quota
+   * @param {Array} shots - Shots recorded so far
+   * @param {string} zoneID - Zone to check
+   * @param {number} quota - Attempts the zone should get
+   */
+  isPastQuota(shots, zoneID, quota) {
+    return countZoneAttempts(shots, zoneID) > quota;
+  },
+
+  /**
+   * NEXT GUIDED ZONE: Zone the carousel moves to after a completed block
+   *
+   * In order, the next unfinished zone after the current one (wrapping around);
+   * at random, any unfinished zone other than the current one when possible;
+   * back and forth, the next zone of the current pass (see getBackAndForthIndex).
+   *
+   * @param {Object} params - { zones, shots, currentIndex, quota, randomOrder, backAndForth, random }
+   * @returns {number|null} Zone index (the current one when a back-and-forth pass turns around),
+   *   or null when the carousel should stay (every other zone is finished)
+   */
+  getNextZoneIndex({ zones, shots, currentIndex, quota, randomOrder, backAndForth = false, random = Math.random }) {
+    if (backAndForth && !randomOrder) {
+      const index = this.getBackAndForthIndex(zones, shots, currentIndex, quota);
+      if (index !== null) {
+        return index;
+      }
+    }
+
+    const unfinished = zones
+      .map((zone, index) => index)
+      .filter(index => countZoneAttempts(shots, zones[index].id) < quota);
+    const others = unfinished.filter(index => index !== currentIndex);
+
+    if (others.length === 0) {
+      return null;
+    }
+    if (randomOrder) {
+      return others[Math.floor(random() * others.length)];
+    }
+    for (let offset = 1; offset < zones.length; offset++) {
+      const index = (currentIndex + offset) % zones.length;
+      if (others.includes(index)) {
+        return index;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Next zone of a back-and-forth pass: pass p is complete once every zone has p + 1 attempts;
+   * even passes run from the first zone to the last, odd passes from the last back to the first.
+   * The search starts at the current zone, so the end spot is shot again when a pass turns around.
+   *
+   * @returns {number|null} Zone index, or null when no zone of the pass is left in either direction
+   */
+  getBackAndForthIndex(zones, shots, currentIndex, quota) {
+    const attempts = zones.map(zone => countZoneAttempts(shots, zone.id));
+    const pass = Math.min(...attempts);   // Passes every zone has finished
+    if (pass >= quota) {
+      return null;
+    }
+    const step = pass % 2 === 0 ? 1 : -1;
+
+    // Ahead in the pass direction first, then behind (the coach may have swiped past a spot)
+    for (const direction of [step, -step]) {
+      for (let index = currentIndex; index >= 0 && index < zones.length; index += direction) {
+        if (attempts[index] <= pass) {
+          return index;
+        }
+      }
+    }
+    return null;
+  }
+};
@@ -0,0 +1,99 @@
+/**
+ * INDEXEDDB UTILITIES
+ *
+ * Purpose: Small promise-based wrapper around the browser IndexedDB API
+ * Context: Durable on-device storage for data that must survive page reloads
+ *          and network outages (pending Firebase writes, local session data)
+ *
+ * Design Philosophy:
+ * - Keep the raw IDBRequest callback API out of feature modules
+ * - One open connection per database name, shared by all callers
+ * - Callers describe their object stores; upgrades create missing stores only
+ * - Report unavailability (private browsing, old browsers) instead of throwing
+ */
+
+// Cache of open database connections keyed by database name
+const openConnections = {};
+
+/**
+ * Check whether IndexedDB can be used in the current browser context
+ * @returns {boolean} True when the IndexedDB API is present
+ */
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * Convert an IDBRequest into a promise
+ * @param {IDBRequest} request - Pending IndexedDB request
+ * @returns {Promise<*>} Resolves with the request result
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * OPEN DATABASE: Open (and create or upgrade) an IndexedDB database
+ *
+ * @param {string} name - Database name
+ * @param {number} version - Schema version; bump when adding stores
+ * @param {Object} stores - Map of store name to IDBObjectStore options plus optional indexes,
+ *                          e.g. { pendingWrites: { keyPath: 'id', autoIncrement: true } }
+ *                          or { documents: { keyPath: ['a', 'b'], indexes: [{ name: 'byA', keyPath: 'a' }] } }
+ * @returns {Promise<IDBDatabase>} Open database connection
+ */
+export function openDatabase(name, version, stores) {
+  if (!isIndexedDbAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+
+  if (!openConnections[name]) {
+    openConnections[name] = new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, version);
+
+      // Create any object stores that do not exist yet
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        Object.entries(stores).forEach(([storeName, { indexes = [], ...options }]) => {
+          if (!database.objectStoreNames.contains(storeName)) {
+            const store = database.createObjectStore(storeName, options);
+            indexes.forEach(index => store.createIndex(index.name, index.keyPath, index.options));
+          }
+        });
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        delete openConnections[name];
+        reject(request.error);
+      };
+    });
+  }
+
+  return openConnections[name];
+}
+
+/**
+ * Run a single operation against an object store inside its own transaction
+ *
+ * @param {IDBDatabase} database - Open database connection
+ * @param {string} storeName - Object store to operate on
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the IDBObjectStore, returns an IDBRequest
+ * @returns {Promise<*>} Result of the request once the transaction completes
+ */
+export function runStoreOperation(database, storeName, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    let result;
+
+    request.onsuccess = () => { result = request.result; };
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
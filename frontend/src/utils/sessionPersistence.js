@@ -0,0 +1,117 @@
+/**
+ * SESSION PERSISTENCE UTILITIES
+ *
+ * Purpose: Keep the in-progress shooting session on the device so it survives
+ *          a browser reload or crash mid-test
+ * Context: iPad Safari reloads tabs under memory pressure; without this every
+ *          shot, the timer and the Firebase log reference live only in React state
+ *
+ * Design Philosophy:
+ * - localStorage, not IndexedDB: writes are synchronous, so the latest state is
+ *   already on disk if the page is torn down right after a tap
+ * - One snapshot of the active session, overwritten on every change
+ * - Sequence counters are stored separately (per logID), written the moment they
+ *   advance, because they change inside the session manager rather than in React state
+ * - Never throw: storage may be full or disabled (private browsing)
+ */
+
+const ACTIVE_SESSION_KEY = 'cavsShootingTracker.activeSession';
+const SEQUENCE_COUNTERS_KEY = 'cavsShootingTracker.sequenceCounters';
+const SNAPSHOT_VERSION = 1;
+
+// Read and parse a JSON value, returning null when missing or unreadable
+const readJSON = (key) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.error(`Error reading ${key} from localStorage:`, error);
+    return null;
+  }
+};
+
+const writeJSON = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error writing ${key} to localStorage:`, error);
+  }
+};
+
+const removeKey = (key) => {
+  try {
+    window.localStorage.removeItem(key);
+  } catch (error) {
+    console.error(`Error removing ${key} from localStorage:`, error);
+  }
+};
+
+/**
+ * SAVE ACTIVE SESSION: Overwrite the stored snapshot of the in-progress session
+ *
+ * @param {Object} snapshot - Session state from App.jsx (selectedPlayer, shots, startTime,
+ *                            totalPausedTime, lastPauseTime, sessionPaused, elapsedTime,
+ *                            coachActions, currentFirebaseSession; group sessions add
+ *                            groupID, groupPlayers and the other shooters' groupShooters)
+ */
+export function saveActiveSession(snapshot) {
+  writeJSON(ACTIVE_SESSION_KEY, {
+    ...snapshot,
+    version: SNAPSHOT_VERSION,
+    savedAt: Date.now()
+  });
+}
+
+/**
+ * LOAD ACTIVE SESSION: Snapshot left behind by an interrupted session
+ * @returns {Object|null} Snapshot with savedAt and sequenceCounter (also on each of a group's
+ *                        other shooters), or null when there is none
+ */
+export function loadActiveSession() {
+  const snapshot = readJSON(ACTIVE_SESSION_KEY);
+
+  if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !snapshot.selectedPlayer) {
+    return null;
+  }
+
+  return {
+    ...snapshot,
+    sequenceCounter: loadSequenceCounter(snapshot.currentFirebaseSession?.logID),
+    ...(snapshot.groupShooters ? {
+      groupShooters: Object.fromEntries(Object.entries(snapshot.groupShooters).map(([playerKey, shooter]) => [
+        playerKey,
+        { ...shooter, sequenceCounter: loadSequenceCounter(shooter.currentFirebaseSession?.logID) }
+      ]))
+    } : {})
+  };
+}
+
+/**
+ * Remove the stored session once it has been saved, discarded or dismissed
+ */
+export function clearActiveSession() {
+  removeKey(ACTIVE_SESSION_KEY);
+  removeKey(SEQUENCE_COUNTERS_KEY);
+}
+
+/**
+ * Store the last sequence number handed out for a session
+ * @param {string} logID - Shooting log the counter belongs to
+ * @param {number} value - Last sequence number handed out
+ */
+export function saveSequenceCounter(logID, value) {
+  writeJSON(SEQUENCE_COUNTERS_KEY, {
+    ...(readJSON(SEQUENCE_COUNTERS_KEY) || {}),
+    [logID]: value
+  });
+}
+
+/**
+ * Last stored sequence number for a session (0 when none has been stored)
+ * @param {string} logID - Shooting log the counter belongs to
+ * @returns {number} Last sequence number handed out
+ */
+export function loadSequenceCounter(logID) {
+  const value = (readJSON(SEQUENCE_COUNTERS_KEY) || {})[logID];
+  return typeof value === 'number' ? value : 0;
+}
@@ -0,0 +1,162 @@
+/**
+ * SHOT CHART
+ *
+ * Purpose: Zone colours, markers and image export for ShotChart
+ * Context: Staff review shooting on the court itself: every zone is coloured by
+ *          its FG% against a benchmark for that shot value, and shots recorded
+ *          on the court (CourtTracker) are drawn as make/miss markers. The chart
+ *          is exported as a standalone SVG or PNG for player meetings.
+ *
+ * Works on local shots ({ location, made, coordinates }) and shot documents
+ * ({ shotZone, shotResult, coordinates }).
+ */
+
+import { shotValue } from './shotValue';
+import { getEasternTimeISO } from './timezone';
+
+/**
+ * FG% benchmarks by shot value; a zone within BENCHMARK_MARGIN of its benchmark
+ * counts as "at benchmark"
+ */
+export const FG_BENCHMARKS = { 1: 0.75, 2: 0.45, 3: 0.36 };
+export const BENCHMARK_MARGIN = 0.05;
+
+/**
+ * Zone colours in the chart and its legend (fills use ZONE_FILL_OPACITY)
+ */
+export const CHART_COLORS = {
+  above: '#28a745',
+  at: '#ffc107',
+  below: '#dc3545',
+  made: '#28a745',
+  missed: '#dc3545'
+};
+export const ZONE_FILL_OPACITY = 0.45;
+
+const isMade = (shot) => (shot.shotResult ? shot.shotResult === 'made' : Boolean(shot.made));
+
+export const shotChart = {
+  /**
+   * Made/attempts, FG% and benchmark of every zone that has shots
+   * @param {Array} shots - Local shots or shot documents
+   * @returns {Object} { [zoneID]: { made, attempts, fgPct, benchmark, rating } }
+   */
+  getZoneStats(shots) {
+    const stats = {};
+    shots.forEach(shot => {
+      const zoneID = shot.shotZone || shot.location;
+      if (!stats[zoneID]) {
+        stats[zoneID] = { made: 0, attempts: 0, benchmark: FG_BENCHMARKS[shotValue.getShotValue(shot)] ?? FG_BENCHMARKS[2] };
+      }
+      stats[zoneID].attempts += 1;
+      if (isMade(shot)) {
+        stats[zoneID].made += 1;
+      }
+    });
+    Object.values(stats).forEach(zone => {
+      zone.fgPct = zone.made / zone.attempts;
+      zone.rating = this.getRating(zone.fgPct, zone.benchmark);
+    });
+    return stats;
+  },
+
+  /**
+   * Rating of a FG% against its benchmark
+   * @returns {string} 'above' | 'at' | 'below'
+   */
+  getRating(fgPct, benchmark) {
+    if (fgPct >= benchmark + BENCHMARK_MARGIN) return 'above';
+    if (fgPct <= benchmark - BENCHMARK_MARGIN) return 'below';
+    return 'at';
+  },
+
+  /**
+   * Shots recorded with court coordinates, as markers
+   * @returns {Array} [{ x, y, made }]
+   */
+  getMarkers(shots) {
+    return shots
+      .filter(shot => shot.coordinates)
+      .map(shot => ({ x: shot.coordinates.x, y: shot.coordinates.y, made: isMade(shot) }));
+  },
+
+  /**
+   * Standalone SVG markup of a rendered chart, with the court image embedded
+   * so the file opens anywhere
+   * @param {SVGElement} svgElement - The chart's <svg>
+   * @param {number} width - Pixel width of the image
+   */
+  async toSVGMarkup(svgElement, width) {
+    const viewBox = svgElement.viewBox.baseVal;
+    const svg = svgElement.cloneNode(true);
+    svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', Math.round(width * (viewBox.height / viewBox.width)));
+
+    const image = svg.querySelector('image');
+    if (image) {
+      image.setAttribute('href', await toDataURL(image.getAttribute('href')));
+    }
+    return new XMLSerializer().serializeToString(svg);
+  },
+
+  /**
+   * EXPORT: Download a rendered chart as an .svg or .png file
+   * @param {SVGElement} svgElement - The chart's <svg>
+   * @param {string} format - 'svg' or 'png'
+   * @param {string} name - File name without extension or date
+   */
+  async exportChart(svgElement, format, name) {
+    const width = 1600;
+    const markup = await this.toSVGMarkup(svgElement, width);
+    const svgBlob = new Blob([markup], { type: 'image/svg+xml;charset=utf-8' });
+    const filename = `${name}_${getEasternTimeISO().slice(0, 10)}.${format}`;
+
+    if (format === 'svg') {
+      downloadBlob(svgBlob, filename);
+      return;
+    }
+
+    // PNG: draw the SVG on a canvas of the same size
+    const svgURL = URL.createObjectURL(svgBlob);
+    try {
+      const image = await loadImage(svgURL);
+      const canvas = document.createElement('canvas');
+      canvas.width = image.width;
+      canvas.height = image.height;
+      canvas.getContext('2d').drawImage(image, 0, 0);
+      const pngBlob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      downloadBlob(pngBlob, filename);
+    } finally {
+      URL.revokeObjectURL(svgURL);
+    }
+  }
+};
+
+const toDataURL = async (url) => {
+  const blob = await (await fetch(url)).blob();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+};
+
+const loadImage = (url) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('Could not render the shot chart'));
+  image.src = url;
+});
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
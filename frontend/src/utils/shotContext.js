@@ -0,0 +1,93 @@
+/**
+ * SHOT CONTEXT
+ *
+ * Purpose: The game situation a shot was taken in
+ * Context: Player development splits three-point work into catch-and-shoot vs
+ *          off-the-dribble, and open looks vs closeouts. A drill template can
+ *          preset the context (e.g. "Catch & Shoot 50"); the rebounder can change
+ *          it at any time and every following shot is stored with it.
+ *
+ * Context shape (stored on each shot and its shot event):
+ * { shotType: 'catch_and_shoot' | 'off_dribble' | null, defense: 'open' | 'closeout' | null }
+ *
+ * A context filter has the same shape; null fields match every shot, so
+ * { shotType: 'catch_and_shoot', defense: null } is every catch-and-shoot shot.
+ */
+
+/**
+ * Context dimensions and their options, in display order
+ */
+export const SHOT_CONTEXT_DIMENSIONS = [
+  {
+    key: 'shotType',
+    label: 'Shot',
+    options: [
+      { id: 'catch_and_shoot', label: 'Catch & Shoot' },
+      { id: 'off_dribble', label: 'Off Dribble' }
+    ]
+  },
+  {
+    key: 'defense',
+    label: 'Defense',
+    options: [
+      { id: 'open', label: 'Open' },
+      { id: 'closeout', label: 'Closeout' }
+    ]
+  }
+];
+
+/**
+ * No context set / filter matching every shot
+ */
+export const EMPTY_SHOT_CONTEXT = { shotType: null, defense: null };
+
+export const shotContext = {
+  /**
+   * Context a session starts with: the drill template's preset, if any
+   * @param {Object} template - Drill template (see utils/drillTemplates)
+   */
+  getDefaultContext(template) {
+    return { ...EMPTY_SHOT_CONTEXT, ...(template?.shotContext || {}) };
+  },
+
+  /**
+   * Whether a context or filter has any field set
+   * @param {Object} context - Context or filter
+   */
+  isSet(context) {
+    return Boolean(context) && SHOT_CONTEXT_DIMENSIONS.some(({ key }) => context[key]);
+  },
+
+  /**
+   * Display label of one context value ("" when unset)
+   * @param {string} key - Dimension key (shotType or defense)
+   * @param {string} value - Option id
+   */
+  getOptionLabel(key, value) {
+    const dimension = SHOT_CONTEXT_DIMENSIONS.find(candidate => candidate.key === key);
+    return dimension?.options.find(option => option.id === value)?.label || '';
+  },
+
+  /**
+   * Display label of a context ("Catch & Shoot · Open", or "Any" when nothing is set)
+   * @param {Object} context - Context or filter
+   */
+  getLabel(context) {
+    const labels = SHOT_CONTEXT_DIMENSIONS
+      .map(({ key }) => this.getOptionLabel(key, context?.[key]))
+      .filter(Boolean);
+    return labels.length > 0 ? labels.join(' · ') : 'Any';
+  },
+
+  /**
+   * Shots taken in the filtered context (all shots for an empty filter)
+   * @param {Array} shots - Local shots or shot documents (context stored as shot.context)
+   * @param {Object} filter - { shotType, defense }
+   */
+  filterShots(shots, filter) {
+    if (!this.isSet(filter)) {
+      return shots;
+    }
+    return shots.filter(shot => SHOT_CONTEXT_DIMENSIONS.every(({ key }) => !filter[key] || shot.context?.[key] === filter[key]));
+  }
+};
@@ -0,0 +1,80 @@
+/**
+ * SHOT DISTANCE
+ *
+ * Purpose: How far behind the line a shot was taken from
+ * Context: Players shoot each spot from the line, a step behind it and from
+ *          deep range. Zone IDs only say where on the court a shot was taken,
+ *          so the distance is stored next to the zone on every shot and stats
+ *          are split by zone × distance.
+ *
+ * Stored as shot.distance (local shots, shot documents and shot events).
+ * Shots recorded before distances existed were taken from the line.
+ *
+ * zoneStats split (shooting logs):
+ * { [zoneID]: { made, attempts, distances: { [distanceID]: { made, attempts } } } }
+ * Only distances with shots appear under distances.
+ */
+
+/**
+ * Distances in display order (nearest first)
+ */
+export const SHOT_DISTANCES = [
+  { id: 'line', label: 'Line', abbrev: 'LN' },
+  { id: 'step_back', label: 'Step Back', abbrev: 'SB' },
+  { id: 'deep', label: 'Deep', abbrev: 'DP' }
+];
+
+export const DEFAULT_SHOT_DISTANCE = 'line';
+
+export const shotDistance = {
+  /**
+   * Distance of a shot (the line for shots recorded without one)
+   * @param {Object} shot - Local shot, shot document or shot event data
+   */
+  getDistance(shot) {
+    return shot?.distance || DEFAULT_SHOT_DISTANCE;
+  },
+
+  /**
+   * Display label of a distance
+   * @param {string} distanceID - Distance identifier
+   */
+  getLabel(distanceID) {
+    return SHOT_DISTANCES.find(distance => distance.id === distanceID)?.label || distanceID;
+  },
+
+  /**
+   * Count one shot in a zoneStats entry's distance split
+   * @param {Object} zoneEntry - { made, attempts, distances } of one zone (distances is replaced, not mutated)
+   * @param {string} distanceID - Distance of the shot
+   * @param {boolean} made - Whether the shot was made
+   */
+  addToZoneEntry(zoneEntry, distanceID, made) {
+    const current = zoneEntry.distances?.[distanceID] || { made: 0, attempts: 0 };
+    zoneEntry.distances = {
+      ...(zoneEntry.distances || {}),
+      [distanceID]: { made: current.made + (made ? 1 : 0), attempts: current.attempts + 1 }
+    };
+  },
+
+  /**
+   * Made/attempts per distance of a set of shots, in SHOT_DISTANCES order
+   * @param {Array} shots - Local shots or shot documents
+   * @returns {Array} [{ id, label, made, attempts, percentage }] - distances with shots only
+   */
+  getBreakdown(shots) {
+    return SHOT_DISTANCES
+      .map(distance => {
+        const distanceShots = shots.filter(shot => this.getDistance(shot) === distance.id);
+        const made = distanceShots.filter(shot => (shot.shotResult ? shot.shotResult === 'made' : shot.made)).length;
+        return {
+          id: distance.id,
+          label: distance.label,
+          made,
+          attempts: distanceShots.length,
+          percentage: distanceShots.length > 0 ? Math.round((made / distanceShots.length) * 100) : 0
+        };
+      })
+      .filter(distance => distance.attempts > 0);
+  }
+};
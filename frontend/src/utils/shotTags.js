@@ -0,0 +1,78 @@
+/**
+ * SHOT TAGS
+ *
+ * Purpose: Optional quick tags describing how a shot went
+ * Context: A miss is more than made: false to a shooting coach - a player who
+ *          misses short when tired needs different work than one who misses
+ *          left. After each shot ZoneButtons offers a one-tap tag row:
+ *          misses are tagged with a direction, makes with their quality.
+ *
+ * Tags shape (stored on the shot document and its shot event):
+ * { missDirection: 'short' | 'long' | 'left' | 'right' | null,
+ *   makeQuality: 'swish' | 'rim' | null }
+ *
+ * Only the tag matching the shot's result is read, so a shot corrected from a
+ * miss to a make simply stops counting its old miss direction.
+ */
+
+export const MISS_DIRECTIONS = [
+  { id: 'short', label: 'Short' },
+  { id: 'long', label: 'Long' },
+  { id: 'left', label: 'Left' },
+  { id: 'right', label: 'Right' }
+];
+
+export const MAKE_QUALITIES = [
+  { id: 'swish', label: 'Swish' },
+  { id: 'rim', label: 'Rim' }
+];
+
+const isMade = (shot) => (shot.shotResult ? shot.shotResult === 'made' : Boolean(shot.made));
+
+export const shotTags = {
+  /**
+   * Tags offered after a shot: miss directions for a miss, make qualities for a make
+   * @param {boolean} made - Shot result
+   */
+  getTagOptions(made) {
+    return made ? MAKE_QUALITIES : MISS_DIRECTIONS;
+  },
+
+  /**
+   * The tag of a shot that matches its result (null when untagged)
+   * @param {Object} shot - Local shot or shot document
+   */
+  getShotTag(shot) {
+    const tags = shot.tags || {};
+    return (isMade(shot) ? tags.makeQuality : tags.missDirection) || null;
+  },
+
+  /**
+   * Tags of a shot after tapping a tag; tapping the current tag again clears it
+   * @param {Object} shot - Shot being tagged
+   * @param {string} tagID - Tag tapped (a MISS_DIRECTIONS or MAKE_QUALITIES id)
+   * @returns {Object} New tags object for the shot
+   */
+  toggleTag(shot, tagID) {
+    const key = isMade(shot) ? 'makeQuality' : 'missDirection';
+    return { ...(shot.tags || {}), [key]: this.getShotTag(shot) === tagID ? null : tagID };
+  },
+
+  /**
+   * MISS-DIRECTION BREAKDOWN: Misses per direction for each zone
+   *
+   * @param {Array} shots - Local shots or shot documents
+   * @returns {Object} { [zoneID]: { short, long, left, right, untagged } }
+   */
+  getMissDirectionBreakdown(shots) {
+    const breakdown = {};
+    shots.filter(shot => !isMade(shot)).forEach(shot => {
+      const zoneID = shot.shotZone || shot.location;
+      if (!breakdown[zoneID]) {
+        breakdown[zoneID] = { ...Object.fromEntries(MISS_DIRECTIONS.map(({ id }) => [id, 0])), untagged: 0 };
+      }
+      breakdown[zoneID][this.getShotTag(shot) || 'untagged'] += 1;
+    });
+    return breakdown;
+  }
+};
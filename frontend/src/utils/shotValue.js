@@ -0,0 +1,67 @@
+/**
+ * SHOT VALUE
+ *
+ * Purpose: Points-based metrics for a session
+ * Context: Accuracy (made / total) treats a corner three and an elbow jumper as
+ *          equal. Once mid-range and three-point zones are tracked in the same
+ *          session, points tell the real story:
+ *
+ * - totalPoints: sum of shotValue over made shots
+ * - pointsPerShot: totalPoints / totalShots
+ * - effectiveFGPct: (totalMade + 0.5 * totalThreesMade) / totalShots - a made
+ *   three counts as one and a half makes. Like accuracy it is a 0-1 ratio.
+ *
+ * Works with both shot shapes used in the app: local shots ({ location, made })
+ * and shot documents ({ shotZone, shotResult }).
+ */
+
+import { zoneRegistry } from './zoneRegistry';
+
+/**
+ * Shot value of a three-pointer
+ */
+export const THREE_POINT_VALUE = 3;
+
+const isMade = (shot) => (shot.shotResult ? shot.shotResult === 'made' : Boolean(shot.made));
+
+export const shotValue = {
+  /**
+   * Points a make of this shot is worth: its own shotValue, or its zone's value for
+   * shots recorded before shot values existed
+   * @param {Object} shot - Local shot or shot document
+   */
+  getShotValue(shot) {
+    return shot.shotValue || zoneRegistry.getZoneValue(shot.shotZone || shot.location);
+  },
+
+  /**
+   * Ratios derived from the point totals (written alongside accuracy)
+   * @param {Object} totals - { totalShots, totalMade, totalPoints, totalThreesMade }
+   * @returns {Object} { pointsPerShot, effectiveFGPct }
+   */
+  getPointsRatios({ totalShots, totalMade, totalPoints, totalThreesMade }) {
+    return {
+      pointsPerShot: totalShots > 0 ? totalPoints / totalShots : 0,
+      effectiveFGPct: totalShots > 0 ? (totalMade + 0.5 * totalThreesMade) / totalShots : 0
+    };
+  },
+
+  /**
+   * POINTS STATS: Point totals and ratios for a list of shots
+   *
+   * @param {Array} shots - Local shots or shot documents
+   * @returns {Object} { totalPoints, totalThreesMade, pointsPerShot, effectiveFGPct }
+   */
+  calculatePointsStats(shots) {
+    const madeShots = shots.filter(isMade);
+    const values = madeShots.map(shot => this.getShotValue(shot));
+    const totalPoints = values.reduce((sum, value) => sum + value, 0);
+    const totalThreesMade = values.filter(value => value === THREE_POINT_VALUE).length;
+
+    return {
+      totalPoints,
+      totalThreesMade,
+      ...this.getPointsRatios({ totalShots: shots.length, totalMade: madeShots.length, totalPoints, totalThreesMade })
+    };
+  }
+};
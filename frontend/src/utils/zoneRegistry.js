@@ -0,0 +1,193 @@
+/**
+ * ZONE REGISTRY
+ *
+ * Purpose: Single source of truth for shooting zones and zone sets
+ * Context: Every screen that shows, records or summarizes shots by zone
+ *          (ZoneButtons, CourtTracker, HistoryLog, zone review, stats, exports)
+ *          looks zones up here instead of keeping its own list.
+ *
+ * Zone Sets:
+ * A zone set is the ordered list of spots a session is shot from. Built-in sets
+ * cover the common drills; coaches can add their own (stored in the Firestore
+ * zoneSets collection). A shooting log records the zoneSetID it was shot with,
+ * so its stats, review and exports use that set's zones.
+ *
+ * Zone IDs:
+ * The same spot keeps the same ID in every set (e.g. left_corner), so shots
+ * from different sets can be compared by zone. Custom zones get an ID derived
+ * from their label.
+ *
+ * Shot Values:
+ * Every zone carries the points a make from it is worth (3 beyond the arc, 2
+ * inside it, 1 for free throws). Shots store their own shotValue when
+ * recorded; older shots fall back to their zone's value (see utils/shotValue).
+ *
+ * Zone shape: { id, label, shortLabel, abbrev, value }
+ * Zone set shape: { zoneSetID, name, zones: [zone], isCustom }
+ */
+
+import { zoneSetsService } from '../firebase/services';
+
+/**
+ * Zone set used when a session does not name one (and by every session
+ * recorded before zone sets existed)
+ */
+export const DEFAULT_ZONE_SET_ID = 'three_point_5';
+
+/**
+ * Shot value of zones that do not set one (custom zones saved before shot values existed)
+ */
+export const DEFAULT_ZONE_VALUE = 2;
+
+const zone = (id, label, shortLabel, abbrev, value = DEFAULT_ZONE_VALUE) => ({ id, label, shortLabel, abbrev, value });
+
+// Every built-in zone, keyed by ID
+const ZONES = {
+  left_corner: zone('left_corner', 'Left Corner', 'L Corner', 'LC', 3),
+  left_wing: zone('left_wing', 'Left Wing', 'L Wing', 'LW', 3),
+  left_slot: zone('left_slot', 'Left Slot', 'L Slot', 'LS', 3),
+  top_key: zone('top_key', 'Top of Key', 'Top of Key', 'TK', 3),
+  right_slot: zone('right_slot', 'Right Slot', 'R Slot', 'RS', 3),
+  right_wing: zone('right_wing', 'Right Wing', 'R Wing', 'RW', 3),
+  right_corner: zone('right_corner', 'Right Corner', 'R Corner', 'RC', 3),
+  left_baseline_mid: zone('left_baseline_mid', 'Left Baseline Mid-Range', 'L Baseline', 'LB', 2),
+  left_elbow: zone('left_elbow', 'Left Elbow', 'L Elbow', 'LE', 2),
+  free_throw: zone('free_throw', 'Free Throw Line', 'Free Throw', 'FT', 2),
+  right_elbow: zone('right_elbow', 'Right Elbow', 'R Elbow', 'RE', 2),
+  right_baseline_mid: zone('right_baseline_mid', 'Right Baseline Mid-Range', 'R Baseline', 'RB', 2),
+  // Free throws in the free-throw test (see utils/freeThrowTrips); free_throw is a jumper from the line
+  free_throw_attempt: zone('free_throw_attempt', 'Free Throw Attempt', 'FT Attempt', 'FTA', 1)
+};
+
+const BUILT_IN_ZONE_SETS = [
+  {
+    zoneSetID: DEFAULT_ZONE_SET_ID,
+    name: '5-Spot Three-Point',
+    zones: [ZONES.left_corner, ZONES.left_wing, ZONES.top_key, ZONES.right_wing, ZONES.right_corner],
+    isCustom: false
+  },
+  {
+    zoneSetID: 'three_point_7',
+    name: '7-Spot Three-Point',
+    zones: [ZONES.left_corner, ZONES.left_wing, ZONES.left_slot, ZONES.top_key, ZONES.right_slot, ZONES.right_wing, ZONES.right_corner],
+    isCustom: false
+  },
+  {
+    zoneSetID: 'mid_range_5',
+    name: 'Mid-Range',
+    zones: [ZONES.left_baseline_mid, ZONES.left_elbow, ZONES.free_throw, ZONES.right_elbow, ZONES.right_baseline_mid],
+    isCustom: false
+  },
+  {
+    zoneSetID: 'elbows_free_throw',
+    name: 'Elbows & Free Throws',
+    zones: [ZONES.left_elbow, ZONES.free_throw, ZONES.right_elbow],
+    isCustom: false
+  },
+  {
+    zoneSetID: 'free_throws',
+    name: 'Free Throws',
+    zones: [ZONES.free_throw_attempt],
+    isCustom: false
+  }
+];
+
+// Custom zone sets loaded from Firestore (see loadCustomZoneSets)
+let customZoneSets = [];
+
+/**
+ * Turn a zone label into a zone ID ("Left Short Corner" → "left_short_corner")
+ * @param {string} label - Zone label entered by a coach
+ * @returns {string} Zone ID
+ */
+export function zoneIDFromLabel(label) {
+  return String(label).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+export const zoneRegistry = {
+  /**
+   * All zone sets a session can use: built-in sets first, then custom sets
+   */
+  getZoneSets() {
+    return [...BUILT_IN_ZONE_SETS, ...customZoneSets];
+  },
+
+  /**
+   * Zone set by ID, falling back to the default set for unknown or missing IDs
+   * @param {string} zoneSetID - Zone set identifier (may be undefined for older sessions)
+   */
+  getZoneSet(zoneSetID) {
+    return this.getZoneSets().find(zoneSet => zoneSet.zoneSetID === zoneSetID) || BUILT_IN_ZONE_SETS[0];
+  },
+
+  /**
+   * Zone by ID from any zone set; unknown IDs (e.g. from a deleted custom set)
+   * get a zone built from the ID so they still display
+   * @param {string} zoneID - Zone identifier stored on shots
+   */
+  getZone(zoneID) {
+    if (ZONES[zoneID]) {
+      return ZONES[zoneID];
+    }
+    const customZone = customZoneSets
+      .flatMap(zoneSet => zoneSet.zones)
+      .find(candidate => candidate.id === zoneID);
+    if (customZone) {
+      return customZone;
+    }
+    const label = String(zoneID || '').split('_').filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+    return zone(zoneID, label, label, label.split(' ').map(word => word[0]).join('').slice(0, 3));
+  },
+
+  /**
+   * Display name for a zone ID
+   * @param {string} zoneID - Zone identifier stored on shots
+   * @param {Object} options - { short } use the compact label (shot log)
+   */
+  getZoneLabel(zoneID, { short = false } = {}) {
+    const found = this.getZone(zoneID);
+    return short ? found.shortLabel : found.label;
+  },
+
+  /**
+   * Points a make from a zone is worth
+   * @param {string} zoneID - Zone identifier stored on shots
+   */
+  getZoneValue(zoneID) {
+    return this.getZone(zoneID).value || DEFAULT_ZONE_VALUE;
+  },
+
+  /**
+   * Zero made/attempts for every zone of a set - initial zoneStats of a shooting log
+   * @param {string} zoneSetID - Zone set the session uses
+   * @returns {Object} { [zoneID]: { made: 0, attempts: 0 } }
+   */
+  createEmptyZoneStats(zoneSetID) {
+    return Object.fromEntries(this.getZoneSet(zoneSetID).zones.map(({ id }) => [id, { made: 0, attempts: 0 }]));
+  },
+
+  /**
+   * Replace the custom zone sets held in memory
+   * @param {Array} zoneSets - Custom zone sets (zoneSetsService documents)
+   */
+  setCustomZoneSets(zoneSets) {
+    customZoneSets = (zoneSets || []).map(zoneSet => ({ ...zoneSet, isCustom: true }));
+  },
+
+  /**
+   * LOAD CUSTOM ZONE SETS: Fetch coach-defined zone sets from storage into the registry
+   *
+   * Offline or on error the built-in sets keep working; custom sets are simply
+   * not offered until they can be loaded.
+   *
+   * @returns {Array} All zone sets after loading
+   */
+  async loadCustomZoneSets() {
+    try {
+      this.setCustomZoneSets(await zoneSetsService.getAllZoneSets());
+    } catch (error) {
+      console.error('Error loading custom zone sets:', error);
+    }
+    return this.getZoneSets();
+  }
+};